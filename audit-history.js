@@ -0,0 +1,76 @@
+// ==================== CHANGE HISTORY ====================
+// Sidebar "History" card: recent audit entries for one valve or tank, each with
+// who made the change and which fields it touched.
+
+const HISTORY_LIMIT = 10;
+const HISTORY_IGNORED_FIELDS = ['created_at'];
+
+const HISTORY_ACTION_ICONS = {
+    create: '➕',
+    update: '✏️',
+    delete: '🗑️',
+    open: '🔓',
+    close: '🔒',
+    throttle: '🎚️',
+    start: '▶️',
+    stop: '🛑'
+};
+
+function auditFieldChanges(entry) {
+    if (!entry.before || !entry.after) return [];
+    return Object.keys(entry.after)
+        .filter(key => !HISTORY_IGNORED_FIELDS.includes(key))
+        .filter(key => JSON.stringify(entry.before[key]) !== JSON.stringify(entry.after[key]))
+        .map(key => ({ field: key, from: entry.before[key], to: entry.after[key] }));
+}
+
+// Actors, reasons and field values are whatever users typed - never markup
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    const text = String(value);
+    return escapeHtml(text.length > 24 ? text.slice(0, 21) + '...' : text);
+}
+
+async function loadAuditHistory(elementId, entityType, entityId) {
+    const list = document.getElementById(elementId);
+    if (!list) return;
+
+    try {
+        const params = new URLSearchParams({ entityType, entityId, limit: HISTORY_LIMIT });
+        const response = await fetch(`http://localhost:3000/api/audit?${params}`);
+        if (!response.ok) throw new Error('Failed to load history');
+        const entries = await response.json();
+
+        list.innerHTML = entries.length === 0
+            ? '<small>No recorded changes yet.</small>'
+            : entries.map(entry => {
+                const changes = auditFieldChanges(entry);
+                return `
+                    <div class="history-entry">
+                        <value>${HISTORY_ACTION_ICONS[entry.action] || '•'} ${escapeHtml(entry.action)} <small>by ${escapeHtml(entry.actor)}</small></value>
+                        <small>${new Date(entry.timestamp).toLocaleString()}</small>
+                        ${changes.length > 0 ? `
+                            <small class="history-changes">
+                                ${changes.map(change => `${escapeHtml(change.field)}: ${formatAuditValue(change.from)} → ${formatAuditValue(change.to)}`).join('<br>')}
+                            </small>
+                        ` : ''}
+                        ${entry.reason ? `<small class="history-reason">“${escapeHtml(entry.reason)}”</small>` : ''}
+                    </div>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(`Error loading history for ${entityType} ${entityId}:`, err);
+        list.innerHTML = '<small>⚠️ Could not load history</small>';
+    }
+}
+
+window.loadAuditHistory = loadAuditHistory;
@@ -0,0 +1,201 @@
+// ==================== AUTHENTICATION ====================
+// Login overlay, session token handling and role-based visibility. Loaded before
+// every other script: it wraps fetch so existing calls to the API carry the
+// session token without each one having to add it.
+
+const AUTH_API = 'http://localhost:3000';
+const AUTH_STORAGE_KEY = 'waterSession';
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+
+const AUTH_STYLES = `
+    #loginOverlay {
+        position: fixed; inset: 0; z-index: 10000;
+        display: flex; align-items: center; justify-content: center;
+        background: rgba(15, 23, 42, 0.92);
+    }
+    #loginOverlay form {
+        width: 320px; padding: 28px; border-radius: 16px;
+        background: #1e293b; color: #f1f5f9;
+        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
+        font-family: inherit;
+    }
+    #loginOverlay h2 { margin: 0 0 20px; font-size: 20px; }
+    #loginOverlay input {
+        width: 100%; box-sizing: border-box; margin-bottom: 12px; padding: 10px 12px;
+        border: 1px solid #334155; border-radius: 8px; background: #0f172a; color: #f1f5f9;
+    }
+    #loginOverlay button {
+        width: 100%; padding: 10px; border: none; border-radius: 8px; cursor: pointer;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-weight: 600;
+    }
+    #loginError { min-height: 18px; margin-bottom: 8px; color: #f87171; font-size: 13px; }
+    #userChip {
+        position: fixed; right: 16px; bottom: 16px; z-index: 9000;
+        display: flex; align-items: center; gap: 10px; padding: 8px 14px; border-radius: 20px;
+        background: rgba(30, 41, 59, 0.95); color: #f1f5f9; font-size: 13px;
+    }
+    #userChip button { border: none; background: none; color: #94a3b8; cursor: pointer; }
+    body:not([data-role="operator"]):not([data-role="admin"]) .requires-operator,
+    body:not([data-role="admin"]) .requires-admin {
+        display: none !important;
+    }
+`;
+
+class AuthManager {
+    constructor() {
+        this.session = this.loadSession();
+        this.nativeFetch = window.fetch.bind(window);
+        this.promptShown = false;
+    }
+
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+            if (session && new Date(session.expiresAt) > new Date()) return session;
+        } catch (err) {
+            console.error('Error reading saved session:', err);
+        }
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+        return null;
+    }
+
+    get user() {
+        return this.session ? this.session.user : null;
+    }
+
+    get token() {
+        return this.session ? this.session.token : null;
+    }
+
+    can(role) {
+        return !!this.user && ROLE_LEVELS[this.user.role] >= ROLE_LEVELS[role];
+    }
+
+    // For EventSource / WebSocket URLs, which can't carry an Authorization header
+    withToken(url) {
+        if (!this.token) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(this.token)}`;
+    }
+
+    async fetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (!url.startsWith(AUTH_API) || !this.token) {
+            const response = await this.nativeFetch(input, init);
+            if (response.status === 401 && url.startsWith(AUTH_API)) this.expire();
+            return response;
+        }
+
+        const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+        headers.set('Authorization', `Bearer ${this.token}`);
+        const response = await this.nativeFetch(input, { ...init, headers });
+
+        if (response.status === 401 && !url.endsWith('/api/auth/login')) {
+            this.expire();
+        } else if (response.status === 403) {
+            console.warn(`🚫 ${this.user.username} (${this.user.role}) is not allowed to call ${url}`);
+        }
+        return response;
+    }
+
+    async login(username, password) {
+        const response = await this.nativeFetch(`${AUTH_API}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Login failed');
+
+        this.session = { token: result.token, expiresAt: result.expiresAt, user: result.user };
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(this.session));
+        console.log(`🔑 Logged in as ${result.user.username} (${result.user.role})`);
+    }
+
+    async logout() {
+        try {
+            await this.fetch(`${AUTH_API}/api/auth/logout`, { method: 'POST' });
+        } catch (err) {
+            console.error('Error logging out:', err);
+        }
+        this.session = null;
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+        window.location.reload();
+    }
+
+    expire() {
+        if (this.session) console.log('🔑 Session expired - please log in again');
+        this.session = null;
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+        this.showLogin();
+    }
+
+    showLogin() {
+        if (this.promptShown) return;
+        this.promptShown = true;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'loginOverlay';
+        overlay.innerHTML = `
+            <form id="loginForm">
+                <h2>💧 Water Network Login</h2>
+                <input type="text" id="loginUsername" placeholder="Username" autocomplete="username" required>
+                <input type="password" id="loginPassword" placeholder="Password" autocomplete="current-password" required>
+                <div id="loginError"></div>
+                <button type="submit"><i class="fas fa-sign-in-alt"></i> Log In</button>
+            </form>
+        `;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('#loginForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                await this.login(
+                    document.getElementById('loginUsername').value.trim(),
+                    document.getElementById('loginPassword').value
+                );
+                // Every view reloads its data with the new session
+                window.location.reload();
+            } catch (err) {
+                document.getElementById('loginError').textContent = err.message;
+            }
+        });
+        document.getElementById('loginUsername').focus();
+    }
+
+    showUserChip() {
+        const chip = document.createElement('div');
+        chip.id = 'userChip';
+        chip.innerHTML = `
+            <span>👤 <span class="user-name"></span> <small class="user-role"></small></span>
+            <button title="Log out" onclick="authManager.logout()"><i class="fas fa-sign-out-alt"></i></button>
+        `;
+        // Filled in as text: usernames are whatever an admin typed
+        chip.querySelector('.user-name').textContent = this.user.username;
+        chip.querySelector('.user-role').textContent = `(${this.user.role})`;
+        document.body.appendChild(chip);
+    }
+
+    init() {
+        const style = document.createElement('style');
+        style.textContent = AUTH_STYLES;
+        document.head.appendChild(style);
+
+        if (!this.session) {
+            this.showLogin();
+            return;
+        }
+        document.body.dataset.role = this.user.role;
+        this.showUserChip();
+    }
+}
+
+const authManager = new AuthManager();
+window.fetch = (input, init) => authManager.fetch(input, init);
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => authManager.init());
+} else {
+    authManager.init();
+}
+
+window.authManager = authManager;
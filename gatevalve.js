@@ -1,16 +1,30 @@
 // ==================== GATE VALVE MANAGEMENT SYSTEM WITH PIPELINE SNAPPING ====================
 
+const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 class GateValveSystem {
     constructor(map) {
         this.map = map;
         this.valves = [];
         this.valveMarkers = new Map();
+        this.impactLayers = [];
+        this.graph = null;
+        this.collapsedValves = new Set();
     }
 
     // Create visible valve icon that won't disappear
-    createValveIcon(isOpen = false) {
-        const iconClass = isOpen ? 'valve-icon valve-icon-open' : 'valve-icon valve-icon-closed';
-        const html = `<div class="${iconClass}">🔧</div>`;
+    // flowBearing: check valves only - draws an arrow pointing downstream
+    createValveIcon(isOpen = false, openingPercent = 100, flowBearing = null) {
+        const throttled = isOpen && openingPercent !== undefined && openingPercent !== null && openingPercent < 100;
+        let iconClass = !isOpen ? 'valve-icon valve-icon-closed'
+            : throttled ? 'valve-icon valve-icon-throttled' : 'valve-icon valve-icon-open';
+        if (flowBearing !== null) iconClass += ' valve-icon-check';
+        const badge = throttled ? `<span class="valve-opening-badge">${openingPercent}%</span>` : '';
+        // ➤ points east, bearings are measured from north
+        const arrow = flowBearing !== null
+            ? `<span class="valve-check-arrow" style="transform: rotate(${flowBearing - 90}deg);">➤</span>`
+            : '';
+        const html = `<div class="${iconClass}">🔧${badge}${arrow}</div>`;
         
         return L.divIcon({
             className: 'valve-marker',
@@ -21,6 +35,20 @@ class GateValveSystem {
         });
     }
 
+    // Resolved downstream bearing for check valves, null for everything else
+    flowBearingOf(valve) {
+        if (valve.type !== 'Check' || !this.graph) return null;
+        const bearing = NetworkTopology.checkValveBearing(this.graph, valve);
+        return bearing === null ? null : Math.round(bearing);
+    }
+
+    refreshValveIcon(valve) {
+        const marker = this.valveMarkers.get(valve.valveId);
+        if (marker) {
+            marker.setIcon(this.createValveIcon(valve.isOpen, valve.openingPercent, this.flowBearingOf(valve)));
+        }
+    }
+
     // Add valve to map with persistent marker
     addValve(valve) {
         // Remove existing marker if present
@@ -30,7 +58,7 @@ class GateValveSystem {
             this.valveMarkers.delete(valve.valveId);
         }
 
-        const icon = this.createValveIcon(valve.isOpen);
+        const icon = this.createValveIcon(valve.isOpen, valve.openingPercent, this.flowBearingOf(valve));
         
         const marker = L.marker([valve.latitude, valve.longitude], {
             icon: icon,
@@ -45,7 +73,7 @@ class GateValveSystem {
                 <p><strong>ID:</strong> ${valve.valveId}</p>
                 <p><strong>Type:</strong> ${valve.type}</p>
                 <p><strong>Category:</strong> ${valve.category}</p>
-                <p><strong>Status:</strong> ${valve.isOpen ? '🔓 Open' : '🔒 Closed'}</p>
+                <p><strong>Status:</strong> ${valveStatusText(valve)}</p>
                 ${valve.households ? `<p><strong>Households:</strong> ${valve.households}</p>` : ''}
                 ${valve.flowRate ? `<p><strong>Flow Rate:</strong> ${valve.flowRate} L/min</p>` : ''}
                 <p style="margin: 10px 0 0 0; font-size: 12px; color: #666;">Click for details</p>
@@ -72,16 +100,26 @@ class GateValveSystem {
     openValveSidebar(valve) {
         const sidebar = document.getElementById('valveSidebar');
         const content = document.getElementById('valveSidebarContent');
+        const opening = valveOpeningPercent(valve);
         
         content.innerHTML = `
             <div class="detail-header">
                 <h2>🔧 ${valve.name}</h2>
                 <div class="status-badge ${valve.isOpen ? 'active' : 'inactive'}">
-                    ${valve.isOpen ? '🔓 OPEN - Water Flowing' : '🔒 CLOSED - Flow Blocked'}
+                    ${!valve.isOpen ? '🔒 CLOSED - Flow Blocked'
+                        : opening < 100 ? `🔓 OPEN ${opening}% - Throttled` : '🔓 OPEN - Water Flowing'}
                 </div>
             </div>
             
             <div class="detail-content">
+                <div class="info-card">
+                    <label>Valve Opening <span id="valveOpeningValue" style="margin-left: auto; color: #f1f5f9;">${opening}%</span></label>
+                    <input type="range" class="requires-operator" min="0" max="100" step="5" value="${opening}" style="width: 100%;"
+                           oninput="document.getElementById('valveOpeningValue').textContent = this.value + '%'"
+                           onchange="gateValveSystem.setValveOpening('${valve.valveId}', this.value)">
+                    ${valve.flowRate ? `<small>Delivering ~${(valve.flowRate * opening / 100).toFixed(0)} of ${valve.flowRate} L/min</small>` : ''}
+                </div>
+                
                 <div class="info-card">
                     <label>Valve ID</label>
                     <value>${valve.valveId}</value>
@@ -97,10 +135,22 @@ class GateValveSystem {
                     <value>${valve.category}</value>
                 </div>
                 
+                ${valve.type === 'Check' ? `
+                <div class="info-card">
+                    <label>Check Direction</label>
+                    <value>
+                        ${this.flowBearingOf(valve) !== null ? `Downstream bearing ${this.flowBearingOf(valve)}°` : 'Not on a pipeline'}<br>
+                        <small>${valve.flowBearing !== null && valve.flowBearing !== undefined && valve.flowBearing !== ''
+                            ? 'Explicit bearing'
+                            : valve.checkDirection === 'reverse' ? 'Against pipeline drawing order' : 'With pipeline drawing order'}</small>
+                    </value>
+                </div>
+                ` : ''}
+                
                 ${valve.parentValveId ? `
                 <div class="info-card">
                     <label>Parent Valve</label>
-                    <value>${valve.parentValveId}</value>
+                    <value>${(this.valves.find(v => v.valveId === valve.parentValveId) || { name: valve.parentValveId }).name}</value>
                 </div>
                 ` : ''}
                 
@@ -133,29 +183,271 @@ class GateValveSystem {
                 </div>
                 `}
                 
-                <button class="action-button ${valve.isOpen ? 'danger' : 'success'}" 
+                <div class="info-card">
+                    <label>⏰ Supply Schedule</label>
+                    <div id="valveScheduleList"><small>Loading schedule...</small></div>
+                    
+                    <div class="schedule-days requires-operator" style="margin-top: 16px;">
+                        ${SCHEDULE_DAY_NAMES.map((day, i) => `
+                            <label><input type="checkbox" class="schedule-day" value="${i}"> ${day}</label>
+                        `).join('')}
+                    </div>
+                    <div class="schedule-row requires-operator">
+                        <div class="form-group">
+                            <label>Open at</label>
+                            <input type="time" id="scheduleStart" value="06:00">
+                        </div>
+                        <div class="form-group">
+                            <label>Close at</label>
+                            <input type="time" id="scheduleEnd" value="08:00">
+                        </div>
+                        <div class="form-group">
+                            <label>Opening %</label>
+                            <input type="number" id="scheduleOpening" min="1" max="100" value="100">
+                        </div>
+                    </div>
+                    <div class="schedule-row requires-operator">
+                        <div class="form-group">
+                            <label>Label</label>
+                            <input type="text" id="scheduleLabel" placeholder="${valve.habitation || 'Morning slot'}">
+                        </div>
+                        <div class="form-group">
+                            <label>Timezone</label>
+                            <input type="text" id="scheduleTimezone" value="${Intl.DateTimeFormat().resolvedOptions().timeZone}">
+                        </div>
+                    </div>
+                    <button class="action-button primary requires-operator" onclick="gateValveSystem.addValveSchedule('${valve.valveId}')">
+                        <i class="fas fa-clock"></i> Add Time Slot
+                    </button>
+                </div>
+                
+                <div class="info-card">
+                    <label>🔌 Devices</label>
+                    <div id="valveDeviceList"><small>Loading devices...</small></div>
+                </div>
+                
+                <div class="info-card">
+                    <label>🕓 History</label>
+                    <div id="valveHistoryList"><small>Loading history...</small></div>
+                </div>
+                
+                <button class="action-button requires-operator ${valve.isOpen ? 'danger' : 'success'}" 
                         onclick="gateValveSystem.toggleValve('${valve.valveId}')">
                     <i class="fas ${valve.isOpen ? 'fa-lock' : 'fa-lock-open'}"></i>
                     ${valve.isOpen ? '🔒 Close Valve' : '🔓 Open Valve'}
                 </button>
                 
-                <button class="action-button warning" onclick="gateValveSystem.editValve('${valve.valveId}')">
+                <button class="action-button warning requires-admin" onclick="gateValveSystem.editValve('${valve.valveId}')">
                     <i class="fas fa-edit"></i> ✏️ Edit Valve
                 </button>
                 
-                <button class="action-button danger" onclick="gateValveSystem.deleteValve('${valve.valveId}')">
+                <button class="action-button danger requires-admin" onclick="gateValveSystem.deleteValve('${valve.valveId}')">
                     <i class="fas fa-trash"></i> 🗑️ Delete Valve
                 </button>
             </div>
         `;
         
         sidebar.classList.add('open');
+        this.loadValveSchedules(valve.valveId);
+        loadAssetDevices('valveDeviceList', 'valve', valve.valveId);
+        loadAuditHistory('valveHistoryList', 'valve', valve.valveId);
+    }
+
+    async loadValveSchedules(valveId) {
+        const list = document.getElementById('valveScheduleList');
+        if (!list) return;
+        
+        try {
+            const response = await fetch(`http://localhost:3000/api/valve/${valveId}/schedules`);
+            if (!response.ok) throw new Error('Failed to load schedule');
+            const rules = await response.json();
+            
+            list.innerHTML = rules.length === 0
+                ? '<small>No scheduled slots - valve is operated by hand.</small>'
+                : rules.map(rule => `
+                    <div class="schedule-rule ${rule.enabled ? '' : 'disabled'}">
+                        <div>
+                            <value>${rule.startTime} - ${rule.endTime}${rule.openingPercent < 100 ? ` @ ${rule.openingPercent}%` : ''}${rule.label ? ` • ${rule.label}` : ''}</value>
+                            <small>${rule.daysOfWeek.split(',').map(d => SCHEDULE_DAY_NAMES[d]).join(', ')} • ${rule.timezone}
+                                ${rule.lastAppliedAt ? `<br>Last ${rule.lastAction}: ${new Date(rule.lastAppliedAt).toLocaleString()}` : ''}</small>
+                        </div>
+                        <div class="item-actions requires-operator">
+                            <button class="icon-btn edit" title="${rule.enabled ? 'Pause' : 'Resume'}" onclick="gateValveSystem.toggleValveSchedule('${valveId}', ${rule.id}, ${!rule.enabled})">
+                                <i class="fas ${rule.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                            </button>
+                            <button class="icon-btn delete" onclick="gateValveSystem.deleteValveSchedule('${valveId}', ${rule.id})">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (err) {
+            console.error('Error loading valve schedule:', err);
+            list.innerHTML = '<small>⚠️ Could not load schedule</small>';
+        }
     }
 
-    // Toggle valve open/closed state
-    async toggleValve(valveId) {
+    async addValveSchedule(valveId) {
+        const daysOfWeek = [...document.querySelectorAll('.schedule-day:checked')].map(box => parseInt(box.value));
+        if (daysOfWeek.length === 0) {
+            alert('⚠️ Pick at least one day');
+            return;
+        }
+        
+        const rule = {
+            daysOfWeek,
+            startTime: document.getElementById('scheduleStart').value,
+            endTime: document.getElementById('scheduleEnd').value,
+            openingPercent: parseInt(document.getElementById('scheduleOpening').value) || 100,
+            label: document.getElementById('scheduleLabel').value.trim(),
+            timezone: document.getElementById('scheduleTimezone').value.trim()
+        };
+        
+        try {
+            const response = await fetch(`http://localhost:3000/api/valve/${valveId}/schedules`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(rule)
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to add schedule');
+            }
+            
+            console.log(`⏰ Schedule added for valve ${valveId}: ${rule.startTime}-${rule.endTime}`);
+            await this.loadValveSchedules(valveId);
+        } catch (err) {
+            console.error('Error adding valve schedule:', err);
+            alert('❌ ' + err.message);
+        }
+    }
+
+    async toggleValveSchedule(valveId, scheduleId, enabled) {
+        try {
+            const response = await fetch(`http://localhost:3000/api/schedule/${scheduleId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled })
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to update schedule');
+            }
+            await this.loadValveSchedules(valveId);
+        } catch (err) {
+            console.error('Error updating valve schedule:', err);
+            alert('❌ ' + err.message);
+        }
+    }
+
+    async deleteValveSchedule(valveId, scheduleId) {
+        if (!confirm('🗑️ Delete this time slot?')) return;
+        
+        try {
+            const response = await fetch(`http://localhost:3000/api/schedule/${scheduleId}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to delete schedule');
+            await this.loadValveSchedules(valveId);
+        } catch (err) {
+            console.error('Error deleting valve schedule:', err);
+            alert('❌ ' + err.message);
+        }
+    }
+
+    // Show what a closure would cut off before committing to it
+    async previewClosure(valve) {
+        const content = document.getElementById('valveSidebarContent');
+        
+        try {
+            const response = await fetch(`http://localhost:3000/api/valve/${valve.valveId}/impact`);
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Impact preview failed');
+            }
+            const impact = await response.json();
+            
+            this.clearImpactPreview();
+            impact.drySegments.forEach(segment => {
+                const line = L.polyline(
+                    [[segment.start.lat, segment.start.lng], [segment.end.lat, segment.end.lng]],
+                    { color: '#ef4444', weight: 8, opacity: 0.8, dashArray: '6, 10' }
+                ).addTo(this.map);
+                this.impactLayers.push(line);
+            });
+            
+            content.innerHTML = `
+                <div class="detail-header">
+                    <h2>⚠️ Close ${valve.name}?</h2>
+                    <div class="status-badge inactive">Impact preview</div>
+                </div>
+                
+                <div class="detail-content">
+                    <div class="metrics-grid">
+                        <div class="metric-card">
+                            <div class="metric-icon">🚱</div>
+                            <div class="metric-value">${impact.drySegmentCount}</div>
+                            <div class="metric-label">Segments Go Dry</div>
+                        </div>
+                        <div class="metric-card">
+                            <div class="metric-icon">🏠</div>
+                            <div class="metric-value">${impact.households}</div>
+                            <div class="metric-label">Households Affected</div>
+                        </div>
+                    </div>
+                    
+                    <div class="info-card">
+                        <label>Valves Losing Supply</label>
+                        ${impact.downstreamValves.length > 0
+                            ? impact.downstreamValves.map(v => `
+                                <value>🔧 ${v.name}${v.closed ? ' (this valve)' : ''} - ${v.households} households${v.habitation ? ` <small>(${v.habitation})</small>` : ''}</value>
+                            `).join('')
+                            : '<value>None</value>'}
+                    </div>
+                    
+                    ${impact.habitations.length > 0 ? `
+                    <div class="info-card">
+                        <label>📍 Habitations Without Supply</label>
+                        <value>${impact.habitations.join('<br>')}</value>
+                    </div>
+                    ` : ''}
+                    
+                    <button class="action-button danger requires-operator" onclick="gateValveSystem.toggleValve('${valve.valveId}', true)">
+                        <i class="fas fa-lock"></i> 🔒 Confirm Close
+                    </button>
+                    
+                    <button class="action-button primary" onclick="gateValveSystem.cancelClosurePreview('${valve.valveId}')">
+                        <i class="fas fa-times"></i> Cancel
+                    </button>
+                </div>
+            `;
+        } catch (err) {
+            console.error('Error previewing valve closure:', err);
+            if (confirm(`⚠️ Could not compute the closure impact (${err.message}).\n\nClose the valve anyway?`)) {
+                await this.toggleValve(valve.valveId, true);
+            }
+        }
+    }
+    
+    cancelClosurePreview(valveId) {
+        this.clearImpactPreview();
+        const valve = this.valves.find(v => v.valveId === valveId);
+        if (valve) this.openValveSidebar(valve);
+    }
+    
+    clearImpactPreview() {
+        this.impactLayers.forEach(layer => this.map.removeLayer(layer));
+        this.impactLayers = [];
+    }
+
+    // Toggle valve open/closed state; closing goes through the impact preview first
+    async toggleValve(valveId, confirmed = false) {
         const valve = this.valves.find(v => v.valveId === valveId);
         if (!valve) return;
+        
+        if (valve.isOpen && !confirmed) {
+            await this.previewClosure(valve);
+            return;
+        }
+        this.clearImpactPreview();
 
         try {
             const response = await fetch(`http://localhost:3000/api/valve/${valveId}/toggle`, {
@@ -166,12 +458,10 @@ class GateValveSystem {
             
             const result = await response.json();
             valve.isOpen = result.isOpen;
+            valve.openingPercent = result.openingPercent;
             
             // Update marker icon
-            const marker = this.valveMarkers.get(valveId);
-            if (marker) {
-                marker.setIcon(this.createValveIcon(valve.isOpen));
-            }
+            this.refreshValveIcon(valve);
             
             // CRITICAL: Recalculate water flow when valve state changes
             console.log(`🔄 Valve ${valveId} toggled - Recalculating flow...`);
@@ -196,6 +486,51 @@ class GateValveSystem {
         }
     }
 
+    // Throttle a valve; shutting it fully goes through the closure preview
+    async setValveOpening(valveId, percent) {
+        const valve = this.valves.find(v => v.valveId === valveId);
+        if (!valve) return;
+        const openingPercent = parseInt(percent);
+        
+        if (openingPercent === 0 && valve.isOpen) {
+            await this.previewClosure(valve);
+            return;
+        }
+        
+        try {
+            const response = await fetch(`http://localhost:3000/api/valve/${valveId}/opening`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ openingPercent })
+            });
+            
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to set valve opening');
+            }
+            
+            const result = await response.json();
+            valve.isOpen = result.isOpen;
+            valve.openingPercent = result.openingPercent;
+            
+            this.refreshValveIcon(valve);
+            
+            if (typeof waterFlowSystem !== 'undefined' && waterFlowSystem) {
+                await waterFlowSystem.recalculateAllFlows();
+            }
+            
+            this.openValveSidebar(valve);
+            this.updateValveList();
+            this.updateFlowStatistics();
+            
+            console.log(`✅ Valve ${valveId} set to ${valve.openingPercent}% open`);
+        } catch (err) {
+            console.error('Error setting valve opening:', err);
+            alert('❌ Error setting valve opening: ' + err.message);
+            this.openValveSidebar(valve);
+        }
+    }
+
     // Edit valve
     async editValve(valveId) {
         const valve = this.valves.find(v => v.valveId === valveId);
@@ -244,6 +579,11 @@ class GateValveSystem {
         document.getElementById('valveName').value = valve.name;
         document.getElementById('valveType').value = valve.type;
         document.getElementById('valveCategory').value = valve.category;
+        document.getElementById('valveCheckDirection').value = valve.checkDirection || 'forward';
+        document.getElementById('valveFlowBearing').value = valve.flowBearing ?? '';
+        updateCheckValveFields();
+        refreshParentSelect(false);
+        document.getElementById('valveParent').value = valve.parentValveId || '';
         document.getElementById('valveHouseholds').value = valve.households || '';
         document.getElementById('valveFlowRate').value = valve.flowRate || '';
         
@@ -312,10 +652,15 @@ class GateValveSystem {
     // Load all valves from database
     async loadValves() {
         try {
-            const response = await fetch('http://localhost:3000/api/valves');
+            // The network is needed to orient check valves along their pipe
+            const [response, networkResponse] = await Promise.all([
+                fetch('http://localhost:3000/api/valves'),
+                fetch('http://localhost:3000/api/network')
+            ]);
             if (!response.ok) throw new Error('Failed to load valves');
             
             const valves = await response.json();
+            this.graph = networkResponse.ok ? NetworkTopology.buildGraph(await networkResponse.json()) : null;
             
             // Clear existing valves
             this.clearValves();
@@ -347,8 +692,8 @@ class GateValveSystem {
         this.valves = [];
     }
 
-    // Update valve list in sidebar
-    updateValveList() {
+    // Valves tab: main/sub hierarchy with households rolled up per branch
+    async updateValveList() {
         const container = document.getElementById('valvesList');
         if (!container) return;
         
@@ -357,27 +702,58 @@ class GateValveSystem {
             return;
         }
         
-        container.innerHTML = this.valves.map(valve => `
-            <div class="list-item" onclick="gateValveSystem.openValveSidebar(gateValveSystem.valves.find(v => v.valveId === '${valve.valveId}'))">
+        try {
+            const response = await fetch('http://localhost:3000/api/valves/tree');
+            if (!response.ok) throw new Error('Failed to load valve tree');
+            const tree = await response.json();
+            container.innerHTML = tree.map(node => this.renderValveNode(node, 0)).join('');
+        } catch (err) {
+            console.error('Error loading valve tree:', err);
+        }
+    }
+
+    renderValveNode(node, depth) {
+        const collapsed = this.collapsedValves.has(node.valveId);
+        const hasChildren = node.children.length > 0;
+        const shutUpstream = node.isOpen && !node.effectivelyOpen;
+        
+        return `
+            <div class="list-item" style="margin-left: ${depth * 18}px;" onclick="gateValveSystem.openValveSidebar(gateValveSystem.valves.find(v => v.valveId === '${node.valveId}'))">
                 <div class="list-item-content">
-                    <div class="item-icon" style="background: linear-gradient(135deg, ${valve.isOpen ? '#2196F3' : '#f44336'} 0%, ${valve.isOpen ? '#1976D2' : '#d32f2f'} 100%);">
+                    ${hasChildren ? `
+                    <button class="icon-btn" style="width: 24px; background: none; color: #94a3b8;" onclick="event.stopPropagation(); gateValveSystem.toggleValveBranch('${node.valveId}')">
+                        <i class="fas fa-chevron-${collapsed ? 'right' : 'down'}"></i>
+                    </button>
+                    ` : '<span style="width: 24px; display: inline-block;"></span>'}
+                    <div class="item-icon" style="background: linear-gradient(135deg, ${node.effectivelyOpen ? '#2196F3' : '#f44336'} 0%, ${node.effectivelyOpen ? '#1976D2' : '#d32f2f'} 100%);">
                         <i class="fas fa-valve"></i>
                     </div>
                     <div class="item-details">
-                        <h4>${valve.name}</h4>
-                        <p>${valve.isOpen ? '🔓 Open' : '🔒 Closed'} • ${valve.category}</p>
+                        <h4>${node.name}</h4>
+                        <p>${valveStatusText(node)}${shutUpstream ? ' (shut upstream)' : ''} • ${node.category}</p>
+                        <p>🏠 ${node.households || 0}${hasChildren ? ` • branch ${node.suppliedHouseholds}/${node.subtreeHouseholds} supplied (${node.subtreeValves} valves)` : ''}</p>
                     </div>
                 </div>
-                <div class="item-actions">
-                    <button class="icon-btn edit" onclick="event.stopPropagation(); gateValveSystem.editValve('${valve.valveId}')">
+                <div class="item-actions requires-admin">
+                    <button class="icon-btn edit" onclick="event.stopPropagation(); gateValveSystem.editValve('${node.valveId}')">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="icon-btn delete" onclick="event.stopPropagation(); gateValveSystem.deleteValve('${valve.valveId}')">
+                    <button class="icon-btn delete" onclick="event.stopPropagation(); gateValveSystem.deleteValve('${node.valveId}')">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             </div>
-        `).join('');
+            ${hasChildren && !collapsed ? node.children.map(child => this.renderValveNode(child, depth + 1)).join('') : ''}
+        `;
+    }
+
+    toggleValveBranch(valveId) {
+        if (this.collapsedValves.has(valveId)) {
+            this.collapsedValves.delete(valveId);
+        } else {
+            this.collapsedValves.add(valveId);
+        }
+        this.updateValveList();
     }
 
     // Update flow statistics
@@ -390,9 +766,57 @@ class GateValveSystem {
     }
 }
 
+// Nearest valve upstream by the flow traversal - the natural parent
+function suggestParentValve() {
+    if (!gateValveSystem || !gateValveSystem.graph) return null;
+    const tanks = typeof waterFlowSystem !== 'undefined' ? waterFlowSystem.tanks : [];
+    const target = editingValveId
+        ? { valveId: editingValveId }
+        : valveMarkerPosition ? { lat: valveMarkerPosition.lat, lng: valveMarkerPosition.lng } : null;
+    if (!target) return null;
+    
+    const suggestion = NetworkTopology.suggestParentValve(gateValveSystem.graph, tanks, gateValveSystem.valves, target);
+    return suggestion && suggestion.valveId !== editingValveId ? suggestion : null;
+}
+
+function refreshParentSelect(selectSuggestion) {
+    const select = document.getElementById('valveParent');
+    const hint = document.getElementById('valveParentHint');
+    const current = select.value;
+    const suggestion = suggestParentValve();
+    
+    select.innerHTML = '<option value="">None (top-level valve)</option>' + gateValveSystem.valves
+        .filter(v => v.valveId !== editingValveId)
+        .map(v => `<option value="${v.valveId}">${v.name} (${v.valveId})${suggestion && suggestion.valveId === v.valveId ? ' ⭐ upstream' : ''}</option>`)
+        .join('');
+    select.value = selectSuggestion ? (suggestion ? suggestion.valveId : '') : current;
+    
+    hint.textContent = suggestion
+        ? `Nearest upstream valve on the network: ${suggestion.name}`
+        : 'No valve upstream of this point on the network';
+}
+
+function updateCheckValveFields() {
+    const isCheck = document.getElementById('valveType').value === 'Check';
+    document.getElementById('checkDirectionGroup').style.display = isCheck ? '' : 'none';
+    document.getElementById('flowBearingGroup').style.display = isCheck ? '' : 'none';
+}
+
+function valveOpeningPercent(valve) {
+    if (!valve.isOpen) return 0;
+    return valve.openingPercent === undefined || valve.openingPercent === null ? 100 : valve.openingPercent;
+}
+
+function valveStatusText(valve) {
+    const opening = valveOpeningPercent(valve);
+    if (!valve.isOpen) return '🔒 Closed';
+    return opening < 100 ? `🔓 Open ${opening}%` : '🔓 Open';
+}
+
 // Global close function for valve sidebar
 function closeValveSidebar() {
     document.getElementById('valveSidebar').classList.remove('open');
+    if (gateValveSystem) gateValveSystem.clearImpactPreview();
 }
 
 window.closeValveSidebar = closeValveSidebar;
@@ -437,6 +861,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const valveForm = document.getElementById('valveForm');
     const cancelValveBtn = document.getElementById('cancelValveBtn');
 
+    document.getElementById('valveType').addEventListener('change', updateCheckValveFields);
+
     if (addValveBtn) {
         addValveBtn.addEventListener('click', () => {
             valveAddMode = true;
@@ -631,11 +1057,14 @@ function handleValvePlacement(e) {
         
         // Re-snap to nearest pipeline on drag end
         snapValveToPipeline();
+        refreshParentSelect(true);
     });
     
     // Reset form for new valve
     editingValveId = null;
     document.getElementById('valveForm').reset();
+    updateCheckValveFields();
+    refreshParentSelect(true);
     document.getElementById('valveModalTitle').textContent = '🔧 Add Valve (Snapped to Pipeline - drag to adjust)';
     document.getElementById('valveId').disabled = false;
     
@@ -685,11 +1114,20 @@ async function saveValve() {
         category: document.getElementById('valveCategory').value,
         households: parseInt(document.getElementById('valveHouseholds').value) || 0,
         flowRate: parseFloat(document.getElementById('valveFlowRate').value) || 0,
+        parentValveId: document.getElementById('valveParent').value || null,
+        checkDirection: document.getElementById('valveCheckDirection').value,
+        flowBearing: document.getElementById('valveFlowBearing').value,
         latitude: parseFloat(valveMarkerPosition.lat),
         longitude: parseFloat(valveMarkerPosition.lng),
+        pipelineId: result.pipelineInfo.pipelineId, // Server splits this pipeline at the valve
         isOpen: true // Default to open for new valves
     };
     
+    // Editing details must not reopen a closed or throttled valve
+    if (editingValveId) {
+        delete valveData.isOpen;
+    }
+    
     // Validation
     if (!valveData.valveId || !valveData.name) {
         alert('❌ Valve ID and Name are required');
@@ -0,0 +1,258 @@
+// ==================== STEADY-STATE HYDRAULIC SOLVER ====================
+// Hazen-Williams head loss solved with the global gradient method (Todini &
+// Pilati, as used by EPANET). Tanks are fixed-head nodes; every other junction
+// on the wet network gets a head, and every wet pipe a flow.
+
+const NetworkTopology = require('./network-topology');
+
+const HW_EXPONENT = 1.852;
+const GRAVITY = 9.81;
+const MIN_FLOW = 1e-6;          // m³/s - keeps the gradient finite on idle pipes
+const MAX_ITERATIONS = 50;
+const ACCURACY = 1e-5;          // relative flow change that counts as converged
+
+const DEFAULT_DIAMETER_MM = 100;
+const DEFAULT_HW_C = 130;
+
+// Hazen-Williams C for pipes in service (new pipe values less ageing allowance)
+const HW_C_BY_MATERIAL = {
+    DI: 130,    // ductile iron, cement-mortar lined
+    CI: 100,    // cast iron
+    PVC: 145,
+    HDPE: 145,
+    AC: 140,    // asbestos cement
+    GI: 110,    // galvanised iron
+    MS: 120     // mild steel, lined
+};
+
+function hazenWilliamsC(material) {
+    return HW_C_BY_MATERIAL[material] || DEFAULT_HW_C;
+}
+
+// Resistance r in h = r·|Q|^0.852·Q (SI units: m, m³/s)
+function hazenWilliamsResistance(lengthM, diameterM, C) {
+    return 10.67 * lengthM / (Math.pow(C, HW_EXPONENT) * Math.pow(diameterM, 4.87));
+}
+
+// Dense symmetric solve; wet networks here are a few hundred junctions at most
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) {
+            throw new Error('Hydraulic system is singular - a wet junction has no path to a tank');
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            if (factor === 0) continue;
+            for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+// Junctions without a surveyed elevation are taken as level with the lowest tank
+// ground in the network. Pass every tank, not just the releasing ones, so a
+// junction's elevation doesn't change with which tanks are on.
+function defaultJunctionElevation(tanks) {
+    return tanks.length > 0 ? Math.min(...tanks.map(tank => tank.groundElevation || 0)) : 0;
+}
+
+function junctionElevation(junction, defaultElevation) {
+    return junction && junction.elevation !== null && junction.elevation !== undefined
+        ? junction.elevation
+        : defaultElevation;
+}
+
+/**
+ * @param network   { junctions, edges, attachments } as served by /api/network
+ * @param tanks     active tanks; head = groundElevation + stagingHeight + waterLevel
+ * @param valves    gate valves; closed ones cut the pipe, open ones draw flowRate (L/min) × opening
+ * @param pipeOf    edge => { diameterMm, hazenWilliamsC } for the edge's pipeline
+ * @param defaultElevation  for junctions with no elevation, from defaultJunctionElevation(all tanks)
+ */
+function solveHydraulics(network, tanks, valves, pipeOf = () => ({}), defaultElevation = defaultJunctionElevation(tanks)) {
+    const graph = NetworkTopology.buildGraph(network);
+    const flowData = NetworkTopology.computeFlow(graph, tanks, valves);
+
+    const valveAt = new Map();
+    valves.forEach(valve => {
+        const junctionId = graph.attachments.valve.get(String(valve.valveId));
+        if (junctionId !== undefined) valveAt.set(junctionId, valve);
+    });
+
+    const fixedHead = new Map();
+    tanks.forEach(tank => {
+        const junctionId = graph.attachments.tank.get(String(tank.tankId));
+        if (junctionId === undefined) return;
+        const head = (tank.groundElevation || 0) + (tank.stagingHeight || 0) + (tank.waterLevel || 0);
+        fixedHead.set(String(junctionId), Math.max(head, fixedHead.get(String(junctionId)) || 0));
+    });
+
+    // A closed valve splits its junction: each pipe ends at its own dead end
+    const nodeKey = (junctionId, edge) => {
+        const valve = valveAt.get(junctionId);
+        return valve && !NetworkTopology.isValveOpen(valve) ? `${junctionId}:${edge.id}` : String(junctionId);
+    };
+
+    const links = flowData.segments.map(segment => {
+        const edge = graph.edges.find(e => e.id === segment.edgeId);
+        const pipe = pipeOf(edge);
+        const diameterM = (pipe.diameterMm || DEFAULT_DIAMETER_MM) / 1000;
+        const C = pipe.hazenWilliamsC || DEFAULT_HW_C;
+        const area = Math.PI * diameterM * diameterM / 4;
+        return {
+            edge,
+            from: nodeKey(edge.fromJunctionId, edge),
+            to: nodeKey(edge.toJunctionId, edge),
+            r: hazenWilliamsResistance(Math.max(edge.length, 0.1), diameterM, C),
+            diameterM,
+            area,
+            Q: area * 0.3 // start at 0.3 m/s
+        };
+    });
+
+    const nodes = new Map();
+    const touch = (key) => {
+        if (!nodes.has(key)) {
+            const junctionId = parseInt(key);
+            nodes.set(key, { key, junctionId, demand: 0, head: fixedHead.get(key) });
+        }
+        return nodes.get(key);
+    };
+    links.forEach(link => { touch(link.from); touch(link.to); });
+
+    // A throttled valve delivers its rated flow scaled by the opening
+    valveAt.forEach((valve, junctionId) => {
+        const node = nodes.get(String(junctionId));
+        if (node) {
+            node.demand += (valve.flowRate || 0) * NetworkTopology.valveOpening(valve) / 60000; // L/min → m³/s
+        }
+    });
+
+    const unknown = [...nodes.values()].filter(node => node.head === undefined);
+    const index = new Map(unknown.map((node, i) => [node.key, i]));
+
+    // Start unknown heads at the highest source head
+    const startHead = Math.max(0, ...fixedHead.values());
+    unknown.forEach(node => { node.head = startHead; });
+
+    let iterations = 0;
+    let converged = unknown.length === 0;
+
+    while (!converged && iterations < MAX_ITERATIONS) {
+        iterations++;
+        const n = unknown.length;
+        const A = Array.from({ length: n }, () => new Array(n).fill(0));
+        const F = unknown.map(node => -node.demand);
+
+        links.forEach(link => {
+            const absQ = Math.max(Math.abs(link.Q), MIN_FLOW);
+            const gradient = HW_EXPONENT * link.r * Math.pow(absQ, HW_EXPONENT - 1);
+            link.p = 1 / gradient;
+            link.y = link.p * link.r * Math.pow(absQ, HW_EXPONENT - 1) * link.Q;
+
+            const i = index.get(link.from);
+            const j = index.get(link.to);
+            const carried = link.Q - link.y;
+
+            if (i !== undefined) {
+                A[i][i] += link.p;
+                F[i] -= carried;
+                if (j !== undefined) A[i][j] -= link.p;
+                else F[i] += link.p * nodes.get(link.to).head;
+            }
+            if (j !== undefined) {
+                A[j][j] += link.p;
+                F[j] += carried;
+                if (i !== undefined) A[j][i] -= link.p;
+                else F[j] += link.p * nodes.get(link.from).head;
+            }
+        });
+
+        const heads = solveLinearSystem(A, F);
+        unknown.forEach((node, i) => { node.head = heads[i]; });
+
+        let change = 0;
+        let total = 0;
+        links.forEach(link => {
+            const dH = nodes.get(link.from).head - nodes.get(link.to).head;
+            const newQ = link.Q - link.y + link.p * dH;
+            change += Math.abs(newQ - link.Q);
+            total += Math.abs(newQ);
+            link.Q = newQ;
+        });
+
+        converged = change <= ACCURACY * Math.max(total, MIN_FLOW);
+    }
+
+    const junctionResults = new Map();
+    nodes.forEach(node => {
+        const junction = graph.junctions.get(node.junctionId);
+        const elevation = junctionElevation(junction, defaultElevation);
+        const pressureHead = node.head - elevation;
+        const existing = junctionResults.get(node.junctionId);
+        // Split dead ends at a closed valve: report the upstream side
+        if (existing && existing.head >= node.head) return;
+        junctionResults.set(node.junctionId, {
+            junctionId: node.junctionId,
+            latitude: junction ? junction.latitude : null,
+            longitude: junction ? junction.longitude : null,
+            elevation,
+            head: parseFloat(node.head.toFixed(2)),
+            pressureHead: parseFloat(pressureHead.toFixed(2)),
+            pressureKPa: parseFloat((pressureHead * GRAVITY).toFixed(1)),
+            demandLps: parseFloat((node.demand * 1000).toFixed(3)),
+            isSource: fixedHead.has(node.key)
+        });
+    });
+
+    return {
+        converged,
+        iterations,
+        junctions: [...junctionResults.values()],
+        segments: links.map(link => {
+            const from = nodes.get(link.from);
+            const to = nodes.get(link.to);
+            return {
+                edgeId: link.edge.id,
+                pipelineId: link.edge.pipelineId,
+                segmentIndex: link.edge.segmentIndex,
+                fromJunctionId: link.edge.fromJunctionId,
+                toJunctionId: link.edge.toJunctionId,
+                flowLps: parseFloat((link.Q * 1000).toFixed(3)),
+                velocity: parseFloat((Math.abs(link.Q) / link.area).toFixed(3)),
+                headLoss: parseFloat((from.head - to.head).toFixed(3)),
+                diameterMm: Math.round(link.diameterM * 1000),
+                minPressureHead: parseFloat(Math.min(
+                    junctionResults.get(link.edge.fromJunctionId).pressureHead,
+                    junctionResults.get(link.edge.toJunctionId).pressureHead
+                ).toFixed(2))
+            };
+        }),
+        blockedSegments: flowData.blockedSegments
+    };
+}
+
+module.exports = {
+    DEFAULT_DIAMETER_MM,
+    DEFAULT_HW_C,
+    hazenWilliamsC,
+    defaultJunctionElevation,
+    junctionElevation,
+    solveHydraulics
+};
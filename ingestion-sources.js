@@ -0,0 +1,558 @@
+// ==================== INGESTION SOURCES ====================
+// Where sensor readings come from. Every source hands readings to the same
+// ingest(deviceId, reading, options) callback, and may look a device up with
+// findDevice(deviceId) (null unless it is attached); the server decides which
+// sources run from INGESTION_SOURCES (comma-separated):
+//   firebase - Firebase Realtime Database, devices/<deviceId>/latest
+//   http     - devices POST to /api/sensor/data
+//   replay   - JSON lines from REPLAY_FILE ("-" for stdin), for offline runs and tests
+//   mqtt     - messages on MQTT_TOPIC from the broker at MQTT_URL
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const BATCH_MAX_READINGS = 1000;
+const BATCH_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW = 2 * 60 * 1000;
+const MAX_FUTURE_DRIFT = 5 * 60 * 1000;
+
+const DEFAULT_FIREBASE_DATABASE_URL = 'https://jal-mahakal-shakti-default-rtdb.asia-southeast1.firebasedatabase.app/';
+const FIREBASE_KEY_FILE = path.join(__dirname, 'firebase-service-account.json');
+
+// Level sensors report a level, an ultrasonic distance or a pressure (the tank's
+// measurement mode decides how the server converts it); flow meters, pressure
+// loggers and valve position sensors a single value (DEVICE_TYPES in server.js)
+const SENSOR_VALUE_KEYS = ['waterLevel', 'distance', 'pressure', 'flowRate', 'flow', 'position', 'openingPercent', 'value'];
+
+function hasSensorValue(reading) {
+    return SENSOR_VALUE_KEYS.some(key => reading[key] !== undefined);
+}
+
+// Device clock offset from the device's sentAt, or 0 when it is within tolerance
+function clockSkew(sentAt) {
+    if (sentAt === undefined) return 0;
+    const sent = new Date(sentAt).getTime();
+    if (isNaN(sent)) throw new Error('sentAt must be an ISO date or timestamp');
+    const skew = Date.now() - sent;
+    return Math.abs(skew) > MAX_CLOCK_SKEW ? skew : 0;
+}
+
+// Corrected ISO timestamp for one device-timed reading, or an error message
+function readingTime(reading, skew, now) {
+    if (!reading || typeof reading !== 'object') return { error: 'reading must be an object' };
+    if (!hasSensorValue(reading)) return { error: 'a reading value (waterLevel, distance, pressure, flowRate, position or value) required' };
+    if (reading.timestamp === undefined) return { error: 'timestamp required' };
+    if (reading.sequence !== undefined && !Number.isInteger(reading.sequence)) {
+        return { error: 'sequence must be an integer' };
+    }
+
+    const time = new Date(reading.timestamp).getTime();
+    if (isNaN(time)) return { error: 'timestamp must be an ISO date or timestamp' };
+    const corrected = time + skew;
+    if (corrected > now + MAX_FUTURE_DRIFT) return { error: 'timestamp is in the future' };
+    if (corrected < now - BATCH_MAX_AGE) return { error: 'timestamp is too old' };
+    return { timestamp: new Date(corrected).toISOString() };
+}
+
+class FirebaseSource {
+    constructor() {
+        this.type = 'firebase';
+        this.listeners = new Map();
+        this.database = null;
+        this.ingest = null;
+    }
+
+    // Credentials from the environment in production, the JSON key file otherwise
+    static credentialsAvailable() {
+        return process.env.NODE_ENV === 'production'
+            ? !!process.env.FIREBASE_PROJECT_ID
+            : fs.existsSync(FIREBASE_KEY_FILE);
+    }
+
+    initialize() {
+        // Only loaded when selected, so other setups don't need the SDK configured
+        const admin = require('firebase-admin');
+
+        if (process.env.NODE_ENV === 'production') {
+            console.log('🔥 Initializing Firebase from environment variables...');
+            const serviceAccount = {
+                type: 'service_account',
+                project_id: process.env.FIREBASE_PROJECT_ID,
+                private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+                private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+                client_email: process.env.FIREBASE_CLIENT_EMAIL,
+                client_id: process.env.FIREBASE_CLIENT_ID,
+                auth_uri: 'https://accounts.google.com/o/oauth2/auth',
+                token_uri: 'https://oauth2.googleapis.com/token',
+                auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
+            };
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                databaseURL: process.env.FIREBASE_DATABASE_URL
+            });
+        } else {
+            console.log('🔥 Initializing Firebase from JSON file...');
+            admin.initializeApp({
+                credential: admin.credential.cert(require(FIREBASE_KEY_FILE)),
+                databaseURL: process.env.FIREBASE_DATABASE_URL || DEFAULT_FIREBASE_DATABASE_URL
+            });
+        }
+
+        this.database = admin.database();
+        console.log('✅ Firebase initialized successfully');
+    }
+
+    start(ingest) {
+        this.ingest = ingest;
+        this.initialize();
+    }
+
+    subscribe(deviceId) {
+        if (this.listeners.has(deviceId)) return;
+
+        console.log(`🎧 Starting real-time listener for device ${deviceId}`);
+        const deviceRef = this.database.ref(`devices/${deviceId}/latest`);
+
+        const listener = deviceRef.on('value', (snapshot) => {
+            const sensorData = snapshot.val();
+            if (!sensorData) {
+                console.log(`⚠️  No data for device ${deviceId}`);
+                return;
+            }
+            console.log(`🔥 Received real-time update for device ${deviceId}:`, sensorData);
+            this.ingest(deviceId, sensorData)
+                .then(result => {
+                    if (!result) console.error(`❌ Device ${deviceId} is not attached to anything`);
+                    else if (result.error) console.error(`❌ Rejected reading from device ${deviceId}: ${result.error}`);
+                    else if (!result.duplicate) console.log(`💾 Stored sensor data for device ${deviceId}`);
+                })
+                .catch(err => console.error('❌ Error storing sensor data:', err));
+        }, (error) => {
+            console.error(`❌ Firebase listener error for device ${deviceId}:`, error);
+        });
+
+        this.listeners.set(deviceId, { ref: deviceRef, listener });
+    }
+
+    unsubscribe(deviceId) {
+        const listenerInfo = this.listeners.get(deviceId);
+        if (listenerInfo) {
+            listenerInfo.ref.off('value', listenerInfo.listener);
+            this.listeners.delete(deviceId);
+            console.log(`🔇 Stopped real-time listener for device ${deviceId}`);
+        }
+    }
+
+    // Subscribe newly linked devices, drop ones no tank uses any more
+    syncDevices(deviceIds) {
+        const linked = new Set(deviceIds);
+        [...this.listeners.keys()].forEach(deviceId => {
+            if (!linked.has(deviceId)) this.unsubscribe(deviceId);
+        });
+        linked.forEach(deviceId => this.subscribe(deviceId));
+    }
+
+    stop() {
+        [...this.listeners.keys()].forEach(deviceId => this.unsubscribe(deviceId));
+    }
+
+    status() {
+        return { type: this.type, devices: [...this.listeners.keys()] };
+    }
+}
+
+// Push source: the server's /api/sensor/data route calls handle(), and
+// /api/sensor/batch calls handleBatch() for devices flushing an offline buffer:
+//   { "deviceId": "123456", "sentAt": "<device clock at upload>",
+//     "readings": [{ "timestamp": "...", "waterLevel": 7.2, "temperature": 26.1, "sequence": 1041 }, ...] }
+// Batch readings keep the device's timestamps. If sentAt shows the device clock
+// is off by more than MAX_CLOCK_SKEW, every timestamp is shifted by the offset;
+// readings that still land in the future or more than BATCH_MAX_AGE back are
+// rejected. Retried uploads are recognised by sequence number, or by the
+// device's own (uncorrected) timestamp for devices that don't number their readings.
+class HttpPushSource {
+    constructor() {
+        this.type = 'http';
+        this.ingest = null;
+        this.received = 0;
+        this.batches = 0;
+    }
+
+    start(ingest, findDevice) {
+        this.ingest = ingest;
+        this.findDevice = findDevice;
+    }
+
+    async handle(req, res) {
+        const { deviceId } = req.body;
+
+        if (!deviceId || !hasSensorValue(req.body)) {
+            return res.status(400).json({ error: 'deviceId and a reading value (waterLevel, distance, pressure, flowRate, position or value) required' });
+        }
+
+        try {
+            // The server clock stamps pushed readings
+            const result = await this.ingest(deviceId, req.body, { receivedAt: new Date().toISOString() });
+            if (!result) return res.status(404).json({ error: 'Device is not registered to a tank, valve or junction' });
+            if (result.error) return res.status(400).json({ error: result.error });
+            this.received++;
+            res.json({ success: true, id: result.id, metrics: result.metrics });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+
+    async handleBatch(req, res) {
+        const { deviceId, sentAt, readings } = req.body;
+
+        if (!deviceId || !Array.isArray(readings)) {
+            return res.status(400).json({ error: 'deviceId and a readings array required' });
+        }
+        if (readings.length === 0 || readings.length > BATCH_MAX_READINGS) {
+            return res.status(400).json({ error: `A batch holds 1 to ${BATCH_MAX_READINGS} readings` });
+        }
+
+        let skew;
+        try {
+            skew = clockSkew(sentAt);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        try {
+            if (!await this.findDevice(deviceId)) {
+                return res.status(404).json({ error: 'Device is not registered to a tank, valve or junction' });
+            }
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+
+        const now = Date.now();
+        const results = readings.map((reading, index) => ({ index, ...readingTime(reading, skew, now) }));
+
+        // Newest first: the first stored reading updates the live level and SSE
+        // viewers, the older ones only fill in history
+        const accepted = results
+            .filter(result => !result.error)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+        // Items are stored one by one, so a failure part-way is reported per item
+        // and the rest still go in; a retry then only needs the rejected ones
+        for (const result of accepted) {
+            const reading = { ...readings[result.index], deviceId };
+            let stored;
+            try {
+                stored = await this.ingest(deviceId, reading, { timestamp: result.timestamp });
+            } catch (err) {
+                result.error = err.message;
+                continue;
+            }
+            if (!stored || stored.error) {
+                result.error = stored ? stored.error : 'Device is not registered to a tank, valve or junction';
+                continue;
+            }
+            result.status = stored.duplicate ? 'duplicate' : 'stored';
+            result.id = stored.id;
+        }
+
+        results.forEach(result => {
+            if (result.error) result.status = 'rejected';
+        });
+        const count = status => results.filter(result => result.status === status).length;
+        this.received += count('stored');
+        this.batches++;
+
+        res.json({
+            success: true,
+            deviceId,
+            clockSkewMs: skew,
+            stored: count('stored'),
+            duplicates: count('duplicate'),
+            rejected: count('rejected'),
+            results
+        });
+    }
+
+    syncDevices() {}
+
+    stop() {}
+
+    status() {
+        return { type: this.type, received: this.received, batches: this.batches };
+    }
+}
+
+// Replays recorded readings, one JSON object per line:
+//   {"deviceId":"123456","waterLevel":7.2,"temperature":26.1,"timestamp":"2024-05-01T06:00:00Z"}
+// REPLAY_SPEED scales the gaps between timestamps (0 = as fast as possible),
+// REPLAY_KEEP_TIMESTAMPS=1 stores the recorded times instead of "now",
+// REPLAY_LOOP=1 starts over at the end of a file.
+class ReplaySource {
+    constructor({ file, speed = 1, keepTimestamps = false, loop = false }) {
+        this.type = 'replay';
+        this.file = file;
+        this.speed = speed;
+        this.keepTimestamps = keepTimestamps;
+        this.loop = loop && file !== '-';
+        this.stopped = false;
+        this.finished = false;
+        this.replayed = 0;
+        this.skipped = 0;
+    }
+
+    start(ingest) {
+        if (!this.file) throw new Error('REPLAY_FILE is required for the replay source');
+        this.ingest = ingest;
+        console.log(`⏯️  Replaying readings from ${this.file === '-' ? 'stdin' : this.file} (speed ${this.speed || 'max'})`);
+        this.run().catch(err => console.error('❌ Replay source error:', err));
+    }
+
+    async run() {
+        do {
+            const input = this.file === '-' ? process.stdin : fs.createReadStream(this.file);
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+            let previousTime = null;
+
+            for await (const line of lines) {
+                if (this.stopped) break;
+                if (!line.trim()) continue;
+
+                let reading;
+                try {
+                    reading = JSON.parse(line);
+                } catch (err) {
+                    this.skipped++;
+                    console.error(`❌ Replay: skipping unreadable line: ${line.slice(0, 80)}`);
+                    continue;
+                }
+
+                const time = Date.parse(reading.timestamp);
+                if (this.speed > 0 && previousTime !== null && !isNaN(time) && time > previousTime) {
+                    await new Promise(resolve => setTimeout(resolve, (time - previousTime) / this.speed));
+                }
+                if (!isNaN(time)) previousTime = time;
+
+                const options = this.keepTimestamps ? {} : { receivedAt: new Date().toISOString() };
+                try {
+                    const result = await this.ingest(reading.deviceId, reading, options);
+                    if (result && !result.duplicate && !result.error) this.replayed++;
+                    else this.skipped++;
+                    if (result && result.error) console.error(`❌ Replay: rejected reading for ${reading.deviceId}: ${result.error}`);
+                } catch (err) {
+                    this.skipped++;
+                    console.error(`❌ Replay: error storing reading for ${reading.deviceId}:`, err.message);
+                }
+            }
+        } while (this.loop && !this.stopped);
+
+        this.finished = true;
+        console.log(`⏹️  Replay finished: ${this.replayed} stored, ${this.skipped} skipped`);
+    }
+
+    syncDevices() {}
+
+    stop() {
+        this.stopped = true;
+    }
+
+    status() {
+        return { type: this.type, file: this.file, replayed: this.replayed, skipped: this.skipped, finished: this.finished };
+    }
+}
+
+// Subscribes to a topic pattern such as devices/+/telemetry; the "+" level is
+// the deviceId, so broker ACLs decide which client may publish for which device.
+// Payloads are the same JSON as an HTTP push; a device timestamp is checked
+// like a batch reading's (shifted by the skew a "sentAt" shows, rejected if it
+// is in the future or too old). The session is persistent
+// (clean: false) and QoS 1 messages are only acknowledged once stored, so
+// readings published while the server is down or reconnecting are delivered
+// afterwards; redeliveries are dropped by the (deviceId, timestamp) check.
+class MqttSource {
+    constructor({ url, topic = 'devices/+/telemetry', qos = 1, username, password, clientId, reconnectPeriod = 5000 }) {
+        this.type = 'mqtt';
+        this.url = url;
+        this.topic = topic;
+        this.qos = qos;
+        this.username = username;
+        this.password = password;
+        this.clientId = clientId || `water-network-${os.hostname()}`;
+        this.reconnectPeriod = reconnectPeriod;
+        this.deviceLevel = topic.split('/').indexOf('+');
+        this.client = null;
+        this.connected = false;
+        this.received = 0;
+        this.rejected = 0;
+        this.lastError = null;
+    }
+
+    start(ingest) {
+        if (!this.url) throw new Error('MQTT_URL is required for the mqtt source');
+        if (![0, 1, 2].includes(this.qos)) throw new Error(`MQTT_QOS must be 0, 1 or 2 (got ${this.qos})`);
+        this.ingest = ingest;
+
+        // Only loaded when selected, like the Firebase SDK
+        const mqtt = require('mqtt');
+
+        console.log(`📡 Connecting to MQTT broker ${this.url} as ${this.clientId}...`);
+        this.client = mqtt.connect(this.url, {
+            clientId: this.clientId,
+            username: this.username,
+            password: this.password,
+            clean: false,
+            reconnectPeriod: this.reconnectPeriod
+        });
+
+        // Acknowledge (QoS 1/2) only after the reading is stored or rejected
+        this.client.handleMessage = (packet, done) => {
+            this.handleMessage(packet.topic, packet.payload).then(() => done(), done);
+        };
+
+        this.client.on('connect', () => {
+            this.connected = true;
+            this.lastError = null;
+            console.log(`✅ MQTT connected to ${this.url}`);
+
+            // Subscribe even when the broker kept the session: its subscription
+            // may be for an older MQTT_TOPIC or QoS, and re-subscribing is harmless
+            this.client.subscribe(this.topic, { qos: this.qos }, (err, granted) => {
+                if (err) {
+                    this.lastError = err.message;
+                    console.error(`❌ MQTT subscribe to ${this.topic} failed:`, err.message);
+                } else {
+                    console.log(`🎧 Subscribed to ${this.topic} (QoS ${granted[0] ? granted[0].qos : this.qos})`);
+                }
+            });
+        });
+        this.client.on('reconnect', () => console.log(`🔄 Reconnecting to MQTT broker ${this.url}...`));
+        this.client.on('offline', () => {
+            if (this.connected) console.log('⚠️  MQTT broker connection lost');
+            this.connected = false;
+        });
+        this.client.on('error', (err) => {
+            // The same failure repeats on every reconnect attempt while the broker is down
+            if (err.message !== this.lastError) console.error('❌ MQTT error:', err.message);
+            this.lastError = err.message;
+        });
+    }
+
+    deviceIdFromTopic(topic) {
+        if (this.deviceLevel === -1) return null;
+        return topic.split('/')[this.deviceLevel] || null;
+    }
+
+    async handleMessage(topic, payload) {
+        let reading;
+        try {
+            reading = JSON.parse(payload.toString());
+        } catch (err) {
+            this.rejected++;
+            console.error(`❌ MQTT: unreadable payload on ${topic}`);
+            return;
+        }
+
+        const deviceId = this.deviceIdFromTopic(topic) || reading.deviceId;
+        if (!deviceId || !hasSensorValue(reading)) {
+            this.rejected++;
+            console.error(`❌ MQTT: message on ${topic} needs a deviceId and waterLevel (or distance/pressure)`);
+            return;
+        }
+
+        // Stamp readings without a device time on arrival; ones that carry a
+        // timestamp keep it so QoS redeliveries are recognised as duplicates
+        let options = { receivedAt: new Date().toISOString() };
+        if (reading.timestamp !== undefined) {
+            let time;
+            try {
+                time = readingTime(reading, clockSkew(reading.sentAt), Date.now());
+            } catch (err) {
+                time = { error: err.message };
+            }
+            if (time.error) {
+                this.rejected++;
+                console.error(`❌ MQTT: rejected reading from ${deviceId}: ${time.error}`);
+                return;
+            }
+            options = { timestamp: time.timestamp };
+        }
+        try {
+            const result = await this.ingest(deviceId, { ...reading, deviceId }, options);
+            if (!result) {
+                this.rejected++;
+                console.error(`❌ MQTT: device ${deviceId} is not attached to anything`);
+            } else if (result.error) {
+                this.rejected++;
+                console.error(`❌ MQTT: rejected reading from ${deviceId}: ${result.error}`);
+            } else if (!result.duplicate) {
+                this.received++;
+            }
+        } catch (err) {
+            this.rejected++;
+            console.error(`❌ MQTT: error storing reading for ${deviceId}:`, err.message);
+        }
+    }
+
+    syncDevices() {}
+
+    stop() {
+        if (this.client) this.client.end();
+    }
+
+    status() {
+        return {
+            type: this.type,
+            url: this.url,
+            topic: this.topic,
+            qos: this.qos,
+            connected: this.connected,
+            received: this.received,
+            rejected: this.rejected,
+            lastError: this.lastError
+        };
+    }
+}
+
+// Sources named in INGESTION_SOURCES, or HTTP push plus Firebase when its credentials exist
+function createIngestionSources(env = process.env) {
+    const names = env.INGESTION_SOURCES
+        ? env.INGESTION_SOURCES.split(',').map(name => name.trim()).filter(Boolean)
+        : ['http', ...(FirebaseSource.credentialsAvailable() ? ['firebase'] : [])];
+
+    return names.map(name => {
+        switch (name) {
+            case 'firebase':
+                return new FirebaseSource();
+            case 'http':
+                return new HttpPushSource();
+            case 'replay':
+                return new ReplaySource({
+                    file: env.REPLAY_FILE,
+                    speed: env.REPLAY_SPEED === undefined ? 1 : Number(env.REPLAY_SPEED),
+                    keepTimestamps: env.REPLAY_KEEP_TIMESTAMPS === '1',
+                    loop: env.REPLAY_LOOP === '1'
+                });
+            case 'mqtt':
+                return new MqttSource({
+                    url: env.MQTT_URL,
+                    topic: env.MQTT_TOPIC,
+                    qos: env.MQTT_QOS === undefined ? 1 : Number(env.MQTT_QOS),
+                    username: env.MQTT_USERNAME,
+                    password: env.MQTT_PASSWORD,
+                    clientId: env.MQTT_CLIENT_ID,
+                    reconnectPeriod: env.MQTT_RECONNECT_MS === undefined ? 5000 : Number(env.MQTT_RECONNECT_MS)
+                });
+            default:
+                throw new Error(`Unknown ingestion source "${name}" (expected firebase, http, replay or mqtt)`);
+        }
+    });
+}
+
+module.exports = {
+    FirebaseSource,
+    HttpPushSource,
+    ReplaySource,
+    MqttSource,
+    createIngestionSources
+};
@@ -0,0 +1,63 @@
+// ==================== LEVEL CONVERSION ====================
+// What a device's raw value means, per tank (sensorHeight = mounting height
+// of the sensor above the tank floor, m):
+//   level        - water level in m
+//   distance     - ultrasonic distance from the sensor down to the surface, m;
+//                  anything inside the dead-band reads as the top of the dead-band
+//   pressure_kpa - transducer at the floor, kPa of water head
+//   pressure_bar - the same in bar
+// levelOffset (m) is added afterwards to calibrate against a dip reading.
+
+const TankGeometry = require('./tank-geometry');
+
+const MEASUREMENT_MODES = ['level', 'distance', 'pressure_kpa', 'pressure_bar'];
+const KPA_PER_METRE = 9.81;
+
+// Reading field each mode is measured in
+function measurementField(mode) {
+    if (mode === 'distance') return 'distance';
+    return mode.startsWith('pressure') ? 'pressure' : 'waterLevel';
+}
+
+// The reading's value for the mode, or null when it is missing or not a number.
+// Distance and pressure tanks only take their own field: a waterLevel sent
+// alongside would otherwise be converted as if it were a distance or pressure.
+function rawSensorValue(sensorData, mode) {
+    const field = measurementField(mode);
+    let value = sensorData[field];
+    // Older level sensors send sensorHeight instead of waterLevel
+    if (field === 'waterLevel' && value === undefined) value = sensorData.sensorHeight;
+    return isFinite(parseFloat(value)) ? parseFloat(value) : null;
+}
+
+// Resolves a reading to { waterLevel, rawValue, inDeadBand } for the tank's mode,
+// or null if it carries no usable value - a missing distance must not read as full
+function readingToLevel(tank, sensorData) {
+    const mode = tank.measurementMode || 'level';
+    const rawValue = rawSensorValue(sensorData, mode);
+    if (rawValue === null) return null;
+    let level = rawValue;
+    let inDeadBand = false;
+
+    if (mode === 'distance') {
+        const deadBand = tank.deadBand || 0;
+        inDeadBand = rawValue < deadBand;
+        level = (tank.sensorHeight || 0) - Math.max(rawValue, deadBand);
+    } else if (mode === 'pressure_kpa') {
+        level = rawValue / KPA_PER_METRE;
+    } else if (mode === 'pressure_bar') {
+        level = (rawValue * 100) / KPA_PER_METRE;
+    }
+
+    level += tank.levelOffset || 0;
+    const maxLevel = TankGeometry.maxLevel(tank) || Infinity;
+    return { waterLevel: Math.min(Math.max(level, 0), maxLevel), rawValue, inDeadBand };
+}
+
+module.exports = {
+    MEASUREMENT_MODES,
+    KPA_PER_METRE,
+    measurementField,
+    rawSensorValue,
+    readingToLevel
+};
@@ -0,0 +1,492 @@
+// ==================== NETWORK TOPOLOGY & FLOW TRACING ====================
+// Shared by the map (pipeline-manager.js) and the server (server.js).
+// Connectivity comes only from the persisted junction / edge / attachment model
+// served by /api/network - two pipelines are joined when they share a junction,
+// never because they happen to be drawn close to each other.
+
+(function(root) {
+    'use strict';
+
+    const EARTH_RADIUS = 6371000; // metres, same sphere Leaflet uses for map.distance()
+
+    function toRadians(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function distanceMeters(a, b) {
+        const lat1 = toRadians(a.lat);
+        const lat2 = toRadians(b.lat);
+        const sinDLat = Math.sin((lat2 - lat1) / 2);
+        const sinDLng = Math.sin(toRadians(b.lng - a.lng) / 2);
+        const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
+        return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    // Initial bearing from a to b, degrees clockwise from north
+    function bearingDegrees(a, b) {
+        const lat1 = toRadians(a.lat);
+        const lat2 = toRadians(b.lat);
+        const dLng = toRadians(b.lng - a.lng);
+        const y = Math.sin(dLng) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    function angleBetween(a, b) {
+        const diff = Math.abs(a - b) % 360;
+        return diff > 180 ? 360 - diff : diff;
+    }
+
+    // Closest point on a segment, clamped to its ends
+    function projectOntoSegment(point, segStart, segEnd) {
+        const A = point.lat - segStart.lat;
+        const B = point.lng - segStart.lng;
+        const C = segEnd.lat - segStart.lat;
+        const D = segEnd.lng - segStart.lng;
+
+        const lenSq = C * C + D * D;
+        let param = lenSq !== 0 ? (A * C + B * D) / lenSq : 0;
+        param = Math.max(0, Math.min(1, param));
+
+        return {
+            lat: segStart.lat + param * C,
+            lng: segStart.lng + param * D,
+            param
+        };
+    }
+
+    function nearestJunction(junctions, point, maxDistance) {
+        let nearest = null;
+        let minDistance = maxDistance;
+
+        junctions.forEach(junction => {
+            const dist = distanceMeters(point, { lat: junction.latitude, lng: junction.longitude });
+            if (dist < minDistance) {
+                minDistance = dist;
+                nearest = junction;
+            }
+        });
+
+        return nearest;
+    }
+
+    function buildGraph(network) {
+        const junctions = new Map();
+        (network.junctions || []).forEach(junction => {
+            junctions.set(junction.id, { ...junction, edges: [] });
+        });
+
+        const edges = [];
+        (network.edges || []).forEach(edge => {
+            const from = junctions.get(edge.fromJunctionId);
+            const to = junctions.get(edge.toJunctionId);
+            if (!from || !to) return;
+            from.edges.push(edge);
+            to.edges.push(edge);
+            edges.push(edge);
+        });
+
+        const attachments = { tank: new Map(), valve: new Map() };
+        (network.attachments || []).forEach(attachment => {
+            if (attachments[attachment.entityType]) {
+                attachments[attachment.entityType].set(String(attachment.entityId), attachment.junctionId);
+            }
+        });
+
+        return { junctions, edges, attachments };
+    }
+
+    function otherEnd(edge, junctionId) {
+        return edge.fromJunctionId === junctionId ? edge.toJunctionId : edge.fromJunctionId;
+    }
+
+    function toSegment(graph, edge, extra) {
+        const from = graph.junctions.get(edge.fromJunctionId);
+        const to = graph.junctions.get(edge.toJunctionId);
+        return {
+            edgeId: edge.id,
+            pipelineId: edge.pipelineId,
+            segmentIndex: edge.segmentIndex,
+            start: { lat: from.latitude, lng: from.longitude },
+            end: { lat: to.latitude, lng: to.longitude },
+            ...extra
+        };
+    }
+
+    // Fraction of the valve's bore that is open, 0..1. Valves saved before
+    // throttling existed only carry isOpen.
+    function valveOpening(valve) {
+        if (!valve.isOpen) return 0;
+        if (valve.openingPercent === undefined || valve.openingPercent === null) return 1;
+        return Math.max(0, Math.min(100, valve.openingPercent)) / 100;
+    }
+
+    function isValveOpen(valve) {
+        return valveOpening(valve) > 0;
+    }
+
+    function isCheckValve(valve) {
+        return valve.type === 'Check';
+    }
+
+    function junctionPoint(graph, junctionId) {
+        const junction = graph.junctions.get(junctionId);
+        return { lat: junction.latitude, lng: junction.longitude };
+    }
+
+    // Direction a check valve lets water through. An explicit flowBearing wins;
+    // otherwise it follows the drawing order of the pipe the valve was cut into
+    // (checkDirection 'reverse' flips it).
+    function checkValveBearing(graph, valve) {
+        if (valve.flowBearing !== undefined && valve.flowBearing !== null && valve.flowBearing !== '') {
+            return ((Number(valve.flowBearing) % 360) + 360) % 360;
+        }
+
+        const junctionId = graph.attachments.valve.get(String(valve.valveId));
+        const junction = junctionId !== undefined ? graph.junctions.get(junctionId) : null;
+        if (!junction || junction.edges.length === 0) return null;
+
+        const here = junctionPoint(graph, junctionId);
+        const outgoing = junction.edges.find(edge => edge.fromJunctionId === junctionId);
+        const bearing = outgoing
+            ? bearingDegrees(here, junctionPoint(graph, outgoing.toJunctionId))
+            : bearingDegrees(junctionPoint(graph, junction.edges[0].fromJunctionId), here);
+
+        return valve.checkDirection === 'reverse' ? (bearing + 180) % 360 : bearing;
+    }
+
+    // Which side of a check valve an incident pipe is on
+    function isDownstreamOfCheck(graph, junctionId, edge, bearing) {
+        const outward = bearingDegrees(junctionPoint(graph, junctionId), junctionPoint(graph, otherEnd(edge, junctionId)));
+        return angleBetween(outward, bearing) < 90;
+    }
+
+    // Multi-tank BFS over junctions. A closed valve stops propagation at its
+    // junction; the pipe segments on its far side are reported as blocked by it.
+    // Throttled valves pass water on; supplyFraction on each segment is the
+    // product of the openings crossed on the way from the tank. A check valve is
+    // only entered from its upstream side and only feeds its downstream side.
+    function computeFlow(network, tanks, valves) {
+        const graph = network.junctions instanceof Map ? network : buildGraph(network);
+
+        const flowData = {
+            segments: [],
+            blockedSegments: [],
+            totalSegments: graph.edges.length
+        };
+
+        const valveAt = new Map();
+        (valves || []).forEach(valve => {
+            const junctionId = graph.attachments.valve.get(String(valve.valveId));
+            if (junctionId !== undefined) valveAt.set(junctionId, valve);
+        });
+
+        const checkBearing = new Map();
+        valveAt.forEach((valve, junctionId) => {
+            if (!isCheckValve(valve)) return;
+            const bearing = checkValveBearing(graph, valve);
+            if (bearing !== null) checkBearing.set(junctionId, bearing);
+        });
+        const passesCheck = (junctionId, edge) =>
+            !checkBearing.has(junctionId) || isDownstreamOfCheck(graph, junctionId, edge, checkBearing.get(junctionId));
+
+        const sourceOf = new Map();
+        const supplyOf = new Map();
+        const queue = [];
+
+        (tanks || []).forEach(tank => {
+            const junctionId = graph.attachments.tank.get(String(tank.tankId));
+            if (junctionId === undefined || !graph.junctions.has(junctionId) || sourceOf.has(junctionId)) return;
+            sourceOf.set(junctionId, tank.name);
+            supplyOf.set(junctionId, 1);
+            queue.push(junctionId);
+        });
+
+        const wetEdges = new Set();
+        const stoppedAt = [];
+
+        while (queue.length > 0) {
+            const junctionId = queue.shift();
+            const sourceTank = sourceOf.get(junctionId);
+            const valve = valveAt.get(junctionId);
+
+            if (valve && !isValveOpen(valve)) {
+                stoppedAt.push({ junctionId, valve });
+                continue;
+            }
+
+            const supplyFraction = supplyOf.get(junctionId) * (valve ? valveOpening(valve) : 1);
+
+            graph.junctions.get(junctionId).edges.forEach(edge => {
+                if (wetEdges.has(edge.id) || !passesCheck(junctionId, edge)) return;
+                wetEdges.add(edge.id);
+                flowData.segments.push(toSegment(graph, edge, { status: 'flowing', sourceTank, supplyFraction }));
+
+                const next = otherEnd(edge, junctionId);
+                if (checkBearing.has(next) && passesCheck(next, edge)) {
+                    // Arrived on the downstream side of a check valve - it stays shut
+                    stoppedAt.push({ junctionId: next, valve: valveAt.get(next) });
+                    return;
+                }
+                if (!sourceOf.has(next)) {
+                    sourceOf.set(next, sourceTank);
+                    supplyOf.set(next, supplyFraction);
+                    queue.push(next);
+                }
+            });
+        }
+
+        stoppedAt.forEach(({ junctionId, valve }) => {
+            graph.junctions.get(junctionId).edges.forEach(edge => {
+                if (wetEdges.has(edge.id)) return;
+                wetEdges.add(edge.id);
+                flowData.blockedSegments.push(toSegment(graph, edge, {
+                    status: 'blocked',
+                    blockedBy: valve.name,
+                    blockedByValveId: valve.valveId
+                }));
+            });
+        });
+
+        return flowData;
+    }
+
+    function wetJunctions(graph, flowData) {
+        const wet = new Set();
+        flowData.segments.forEach(segment => {
+            const edge = graph.edges.find(e => e.id === segment.edgeId);
+            wet.add(edge.fromJunctionId);
+            wet.add(edge.toJunctionId);
+        });
+        return wet;
+    }
+
+    // What-if: close the given valves and compare against the current state.
+    // A valve "loses supply" when water reached it through an open valve before
+    // and no longer does; its households are the ones that go dry.
+    function computeImpact(network, tanks, valves, closeValveIds) {
+        const graph = network.junctions instanceof Map ? network : buildGraph(network);
+        const closing = new Set((closeValveIds || []).map(String));
+
+        const before = computeFlow(graph, tanks, valves);
+        const afterValves = (valves || []).map(valve =>
+            closing.has(String(valve.valveId)) ? { ...valve, isOpen: false } : valve
+        );
+        const after = computeFlow(graph, tanks, afterValves);
+
+        const wetAfter = new Set(after.segments.map(segment => segment.edgeId));
+        const drySegments = before.segments.filter(segment => !wetAfter.has(segment.edgeId));
+
+        const suppliedBefore = wetJunctions(graph, before);
+        const suppliedAfter = wetJunctions(graph, after);
+
+        const affectedValves = [];
+        afterValves.forEach((valve, i) => {
+            const junctionId = graph.attachments.valve.get(String(valve.valveId));
+            if (junctionId === undefined) return;
+            const wasSupplying = suppliedBefore.has(junctionId) && isValveOpen(valves[i]);
+            const stillSupplying = suppliedAfter.has(junctionId) && isValveOpen(valve);
+            if (wasSupplying && !stillSupplying) {
+                affectedValves.push({
+                    valveId: valve.valveId,
+                    name: valve.name,
+                    households: valve.households || 0,
+                    mandal: valve.mandal || '',
+                    habitation: valve.habitation || '',
+                    closed: closing.has(String(valve.valveId))
+                });
+            }
+        });
+
+        const habitations = [...new Set(affectedValves
+            .filter(valve => valve.habitation)
+            .map(valve => valve.mandal ? `${valve.habitation}, ${valve.mandal}` : valve.habitation))];
+
+        return {
+            closedValveIds: [...closing],
+            flowingBefore: before.segments.length,
+            flowingAfter: after.segments.length,
+            drySegments,
+            affectedValves,
+            households: affectedValves.reduce((sum, valve) => sum + valve.households, 0),
+            habitations
+        };
+    }
+
+    // Repair isolation: grow the valve-bounded section around the burst edge,
+    // then keep only the boundary valves that actually have a tank behind them.
+    // Closing those is the smallest shut-off that leaves the section dry.
+    function planIsolation(network, tanks, valves, edgeId) {
+        const graph = network.junctions instanceof Map ? network : buildGraph(network);
+        const target = graph.edges.find(edge => edge.id === edgeId);
+        if (!target) return null;
+
+        const valveAt = new Map();
+        (valves || []).forEach(valve => {
+            const junctionId = graph.attachments.valve.get(String(valve.valveId));
+            if (junctionId !== undefined) valveAt.set(junctionId, valve);
+        });
+
+        const tankAt = new Map();
+        (tanks || []).forEach(tank => {
+            const junctionId = graph.attachments.tank.get(String(tank.tankId));
+            if (junctionId !== undefined) tankAt.set(junctionId, tank);
+        });
+
+        const section = new Set();
+        const sectionEdges = new Set([target.id]);
+        const boundary = new Map();
+        const feedingTanks = [];
+        const queue = [target.fromJunctionId, target.toJunctionId];
+
+        while (queue.length > 0) {
+            const junctionId = queue.shift();
+            if (section.has(junctionId) || boundary.has(junctionId)) continue;
+
+            if (tankAt.has(junctionId)) {
+                feedingTanks.push(tankAt.get(junctionId));
+            }
+            if (valveAt.has(junctionId) && !tankAt.has(junctionId)) {
+                boundary.set(junctionId, valveAt.get(junctionId));
+                continue;
+            }
+
+            section.add(junctionId);
+            graph.junctions.get(junctionId).edges.forEach(edge => {
+                sectionEdges.add(edge.id);
+                queue.push(otherEnd(edge, junctionId));
+            });
+        }
+
+        // Supply reaching the boundary from outside, without crossing the section
+        // or another boundary valve
+        const fed = new Set();
+        const supplyQueue = [];
+        tankAt.forEach((tank, junctionId) => {
+            if (section.has(junctionId) || !graph.junctions.has(junctionId)) return;
+            fed.add(junctionId);
+            supplyQueue.push(junctionId);
+        });
+
+        while (supplyQueue.length > 0) {
+            const junctionId = supplyQueue.shift();
+            if (boundary.has(junctionId)) continue;
+            const valve = valveAt.get(junctionId);
+            if (valve && !isValveOpen(valve)) continue;
+
+            graph.junctions.get(junctionId).edges.forEach(edge => {
+                const next = otherEnd(edge, junctionId);
+                if (section.has(next) || fed.has(next)) return;
+                fed.add(next);
+                supplyQueue.push(next);
+            });
+        }
+
+        const valvesToClose = [];
+        const alreadyClosed = [];
+        boundary.forEach((valve, junctionId) => {
+            if (!fed.has(junctionId)) return;
+            (isValveOpen(valve) ? valvesToClose : alreadyClosed).push(valve);
+        });
+
+        const isolatable = feedingTanks.length === 0;
+
+        return {
+            edgeId: target.id,
+            pipelineId: target.pipelineId,
+            segmentIndex: target.segmentIndex,
+            isolatable,
+            feedingTanks: feedingTanks.map(tank => ({ tankId: tank.tankId, name: tank.name })),
+            valvesToClose,
+            alreadyClosed,
+            sectionSegments: graph.edges
+                .filter(edge => sectionEdges.has(edge.id))
+                .map(edge => toSegment(graph, edge, { status: 'isolated' })),
+            impact: computeImpact(graph, tanks, valves, valvesToClose.map(valve => valve.valveId))
+        };
+    }
+
+    // Nearest valve upstream of a valve (target.valveId) or of a point on a pipe
+    // (target.lat/lng). The walk starts at every tank and treats all valves as
+    // open - the hierarchy follows the pipes, not today's valve positions.
+    function suggestParentValve(network, tanks, valves, target) {
+        const graph = network.junctions instanceof Map ? network : buildGraph(network);
+
+        const valveAt = new Map();
+        (valves || []).forEach(valve => {
+            const junctionId = graph.attachments.valve.get(String(valve.valveId));
+            if (junctionId !== undefined) valveAt.set(junctionId, valve);
+        });
+
+        const depth = new Map();
+        const upstreamValve = new Map();
+        const queue = [];
+        (tanks || []).forEach(tank => {
+            const junctionId = graph.attachments.tank.get(String(tank.tankId));
+            if (junctionId === undefined || !graph.junctions.has(junctionId) || depth.has(junctionId)) return;
+            depth.set(junctionId, 0);
+            upstreamValve.set(junctionId, null);
+            queue.push(junctionId);
+        });
+
+        while (queue.length > 0) {
+            const junctionId = queue.shift();
+            const passOn = valveAt.get(junctionId) || upstreamValve.get(junctionId);
+            graph.junctions.get(junctionId).edges.forEach(edge => {
+                const next = otherEnd(edge, junctionId);
+                if (depth.has(next)) return;
+                depth.set(next, depth.get(junctionId) + 1);
+                upstreamValve.set(next, passOn);
+                queue.push(next);
+            });
+        }
+
+        const targetJunction = target.valveId !== undefined
+            ? graph.attachments.valve.get(String(target.valveId))
+            : undefined;
+        if (targetJunction !== undefined) {
+            return upstreamValve.get(targetJunction) || null;
+        }
+        if (target.lat === undefined || target.lng === undefined) return null;
+
+        // A new valve: the upstream end of the pipe segment it lands on decides
+        let nearestEdge = null;
+        let minDistance = Infinity;
+        graph.edges.forEach(edge => {
+            const from = junctionPoint(graph, edge.fromJunctionId);
+            const to = junctionPoint(graph, edge.toJunctionId);
+            const dist = distanceMeters(target, projectOntoSegment(target, from, to));
+            if (dist < minDistance) {
+                minDistance = dist;
+                nearestEdge = edge;
+            }
+        });
+        if (!nearestEdge) return null;
+
+        const ends = [nearestEdge.fromJunctionId, nearestEdge.toJunctionId].filter(id => depth.has(id));
+        if (ends.length === 0) return null;
+        const upstream = ends.reduce((a, b) => depth.get(a) <= depth.get(b) ? a : b);
+        return valveAt.get(upstream) || upstreamValve.get(upstream) || null;
+    }
+
+    const NetworkTopology = {
+        distanceMeters,
+        bearingDegrees,
+        projectOntoSegment,
+        nearestJunction,
+        buildGraph,
+        valveOpening,
+        isValveOpen,
+        checkValveBearing,
+        computeFlow,
+        computeImpact,
+        planIsolation,
+        suggestParentValve
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NetworkTopology;
+    } else {
+        root.NetworkTopology = NetworkTopology;
+    }
+})(typeof window !== 'undefined' ? window : this);
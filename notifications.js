@@ -0,0 +1,189 @@
+// ==================== NOTIFICATION CHANNELS ====================
+// How outbound notifications are sent. The server (NOTIFICATIONS in server.js)
+// works out who gets an event from the subscriptions, renders the event's
+// template and queues one delivery per recipient; a channel only sends one
+// rendered message and throws if it didn't get through:
+//   webhook - JSON POST to the channel URL, signed with the channel secret
+//   email   - SMTP via nodemailer; point host/port at a local sink
+//             (e.g. MailHog on localhost:1025) to try it without a mail server
+
+const crypto = require('crypto');
+
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+
+// Event types a subscription can ask for
+const NOTIFICATION_EVENTS = {
+    tank_low_level: 'A tank fell below its low-level alert',
+    tank_overflow: 'A tank rose above its overflow alert',
+    tank_drop_rate: 'A tank level is falling faster than its alert allows',
+    tank_temperature: 'Water temperature left its allowed range',
+    alert_cleared: 'A tank alert ended',
+    device_offline: 'A sensor device stopped reporting',
+    valve_updated: 'A valve was opened, closed or throttled'
+};
+
+// {{path.to.value}} placeholders are filled from the event data
+const DEFAULT_TEMPLATES = {
+    tank_low_level: {
+        subject: '🚨 Low level at {{tank.name}}',
+        body: '{{alert.message}}\nSeverity: {{alert.severity}}\nSince: {{alert.startedAt}}\nMandal: {{tank.mandal}}'
+    },
+    tank_overflow: {
+        subject: '🚨 Overflow risk at {{tank.name}}',
+        body: '{{alert.message}}\nSeverity: {{alert.severity}}\nSince: {{alert.startedAt}}\nMandal: {{tank.mandal}}'
+    },
+    tank_drop_rate: {
+        subject: '🚨 Rapid level drop at {{tank.name}}',
+        body: '{{alert.message}}\nSeverity: {{alert.severity}}\nSince: {{alert.startedAt}}\nMandal: {{tank.mandal}}'
+    },
+    tank_temperature: {
+        subject: '🌡️ Temperature alert at {{tank.name}}',
+        body: '{{alert.message}}\nSeverity: {{alert.severity}}\nSince: {{alert.startedAt}}\nMandal: {{tank.mandal}}'
+    },
+    alert_cleared: {
+        subject: '✅ Alert cleared at {{tank.name}}',
+        body: 'Cleared: {{alert.message}}\nWorst reading: {{alert.peakValue}}\nFrom {{alert.startedAt}} to {{alert.endedAt}}'
+    },
+    device_offline: {
+        subject: '📡 Device {{device.deviceId}} is offline',
+        body: 'No reading from {{device.type}} device {{device.deviceId}} on {{asset.name}} since {{device.lastSeen}}.'
+    },
+    valve_updated: {
+        subject: '🚰 Valve {{valve.name}} {{valve.state}}',
+        body: '{{valve.name}} ({{valve.valveId}}) in {{valve.mandal}} is now {{valve.state}}.'
+    }
+};
+
+function renderTemplate(template, data) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), data);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+// Wait before attempt n+1: 30s, 1m, 2m, ... capped at 30m
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY);
+}
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare it
+// with X-Water-Signature; the timestamp lets them reject replays
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookChannel {
+    constructor(config) {
+        this.type = 'webhook';
+        this.url = config.url;
+        this.secret = config.secret || '';
+    }
+
+    static validate(config) {
+        try {
+            const url = new URL(config.url);
+            if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http(s)';
+        } catch (err) {
+            return 'webhook channels need a valid url';
+        }
+        return null;
+    }
+
+    async send(message, delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const body = JSON.stringify({
+            deliveryId: delivery.id,
+            event: message.eventType,
+            subject: message.subject,
+            text: message.body,
+            data: message.data,
+            sentAt: new Date().toISOString()
+        });
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Water-Event': message.eventType,
+            'X-Water-Delivery': String(delivery.id),
+            'X-Water-Timestamp': String(timestamp)
+        };
+        if (this.secret) headers['X-Water-Signature'] = `sha256=${signPayload(this.secret, timestamp, body)}`;
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+        if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+    }
+}
+
+class EmailChannel {
+    constructor(config) {
+        this.type = 'email';
+        this.config = config;
+        this.transporter = null;
+    }
+
+    static validate(config) {
+        if (!config.host) return 'email channels need an SMTP host';
+        if (config.port !== undefined && !(Number(config.port) > 0)) return 'port must be a number';
+        if (!config.from) return 'email channels need a from address';
+        return null;
+    }
+
+    transport() {
+        if (!this.transporter) {
+            // Only loaded when an email channel is used
+            const nodemailer = require('nodemailer');
+            const { host, port, secure, user, pass } = this.config;
+            this.transporter = nodemailer.createTransport({
+                host,
+                port: Number(port) || 25,
+                secure: !!secure,
+                auth: user ? { user, pass } : undefined
+            });
+        }
+        return this.transporter;
+    }
+
+    async send(message, delivery) {
+        if (!delivery.target) throw new Error('No email address for this subscription');
+        await this.transport().sendMail({
+            from: this.config.from,
+            to: delivery.target,
+            subject: message.subject,
+            text: message.body
+        });
+    }
+}
+
+const CHANNEL_TYPES = {
+    webhook: WebhookChannel,
+    email: EmailChannel
+};
+
+// Config keys that are never returned by the API
+const SECRET_CONFIG_KEYS = ['secret', 'pass'];
+
+function createChannel(row) {
+    const Channel = CHANNEL_TYPES[row.type];
+    if (!Channel) throw new Error(`Unknown channel type ${row.type}`);
+    return new Channel(JSON.parse(row.config || '{}'));
+}
+
+module.exports = {
+    MAX_DELIVERY_ATTEMPTS,
+    NOTIFICATION_EVENTS,
+    DEFAULT_TEMPLATES,
+    CHANNEL_TYPES,
+    SECRET_CONFIG_KEYS,
+    renderTemplate,
+    retryDelay,
+    signPayload,
+    createChannel,
+    WebhookChannel,
+    EmailChannel
+};
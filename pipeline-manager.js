@@ -8,6 +8,8 @@ class AdvancedWaterFlowSystem {
         this.flowAnimations = [];
         this.flowLayers = [];
         this.tankMarkers = new Map();
+        this.tankAlerts = new Map(); // tankId -> open alerts, shown as a badge on the marker
+        this.network = { junctions: [], edges: [], attachments: [] };
     }
 
     addTank(tank) {
@@ -27,9 +29,10 @@ class AdvancedWaterFlowSystem {
         
         // Create highly visible tank icon with emoji
         const iconClass = isActive ? 'tank-icon tank-icon-active' : 'tank-icon tank-icon-inactive';
+        const alerts = this.tankAlerts.get(tank.tankId) || [];
         const icon = L.divIcon({
             className: 'tank-marker',
-            html: `<div class="${iconClass}">🏭</div>`,
+            html: `<div class="${iconClass}">🏭</div>${this.alertBadge(alerts)}`,
             iconSize: [48, 48],
             iconAnchor: [24, 24],
             popupAnchor: [0, -24]
@@ -47,6 +50,7 @@ class AdvancedWaterFlowSystem {
                 <p><strong>Status:</strong> ${isActive ? '✅ Active' : '⭕ Inactive'}</p>
                 <p><strong>Type:</strong> ${tank.type}</p>
                 <p><strong>Capacity:</strong> ${tank.capacity.toLocaleString()} L</p>
+                ${alerts.map(alert => `<p class="alert-line alert-${alert.severity}">🚨 ${alert.message}</p>`).join('')}
                 <p style="margin: 10px 0 0 0; font-size: 12px; color: #666;">Click for details</p>
             </div>
         `);
@@ -101,6 +105,10 @@ class AdvancedWaterFlowSystem {
     async recalculateAllFlows() {
         console.log('🔄 Recalculating water flows for all active tanks with valve control');
         this.stopWaterFlow();
+        
+        if (pressureOverlayVisible) {
+            refreshPressureOverlay();
+        }
 
         if (this.activeTanks.length === 0) {
             console.log('⚠️ No active tanks');
@@ -108,18 +116,23 @@ class AdvancedWaterFlowSystem {
         }
 
         try {
-            const response = await fetch('http://localhost:3000/api/pipelines');
-            const pipelines = await response.json();
-            this.pipelines = pipelines;
-
-            const allFlowingSegments = this.computeMultiTankBFS(this.activeTanks, pipelines);
+            const [pipelinesResponse, networkResponse] = await Promise.all([
+                fetch('http://localhost:3000/api/pipelines'),
+                fetch('http://localhost:3000/api/network')
+            ]);
+            this.pipelines = await pipelinesResponse.json();
+            this.network = await networkResponse.json();
+
+            const allFlowingSegments = this.computeMultiTankBFS(this.activeTanks, this.network);
             
             console.log('📊 Multi-tank flow computation complete:', {
                 activeTanks: this.activeTanks.length,
                 totalSegments: allFlowingSegments.totalSegments,
                 flowingSegments: allFlowingSegments.segments.length,
                 blockedSegments: allFlowingSegments.blockedSegments.length,
-                coverage: ((allFlowingSegments.segments.length / allFlowingSegments.totalSegments) * 100).toFixed(1) + '%'
+                coverage: allFlowingSegments.totalSegments > 0
+                    ? ((allFlowingSegments.segments.length / allFlowingSegments.totalSegments) * 100).toFixed(1) + '%'
+                    : '0%'
             });
 
             this.animateWaterFlow(allFlowingSegments);
@@ -130,258 +143,22 @@ class AdvancedWaterFlowSystem {
         }
     }
 
-    computeMultiTankBFS(tanks, pipelines) {
-        const CONNECT_DISTANCE = 50;
-        const VALVE_BLOCK_DISTANCE = 15; // Distance to check if valve blocks segment
-        
-        const flowData = {
-            segments: [],
-            blockedSegments: [],
-            totalSegments: 0,
-            pipelineStatus: new Map()
-        };
-
-        // Get all closed valves from the gate valve system
-        const closedValves = (typeof gateValveSystem !== 'undefined' && gateValveSystem) 
-            ? gateValveSystem.valves.filter(v => !v.isOpen) 
+    computeMultiTankBFS(tanks, network) {
+        // Valves are passed through as-is; the traversal decides which ones block
+        const valves = (typeof gateValveSystem !== 'undefined' && gateValveSystem) 
+            ? gateValveSystem.valves 
             : [];
         
-        console.log(`🔧 Found ${closedValves.length} closed valves that will block flow`);
-
-        const visitedSegments = new Set();
-        const blockedSegments = new Set();
-        const queue = [];
-
-        console.log(`🔍 Starting BFS from ${tanks.length} active tank(s)`);
+        console.log(`🔍 Starting BFS from ${tanks.length} active tank(s) over ${network.edges.length} pipe edge(s)`);
         
-        tanks.forEach(tank => {
-            console.log(`🏭 Processing tank: ${tank.name}`);
-            pipelines.forEach(pipeline => {
-                const nodes = JSON.parse(pipeline.nodes);
-                
-                for (let idx = 0; idx < nodes.length; idx++) {
-                    const node = nodes[idx];
-                    const dist = this.map.distance(
-                        [tank.latitude, tank.longitude], 
-                        [node.lat, node.lng]
-                    );
-                    
-                    if (dist < CONNECT_DISTANCE) {
-                        console.log(`✅ Tank "${tank.name}" connected to Pipeline ${pipeline.id} node ${idx} (distance: ${dist.toFixed(1)}m)`);
-                        queue.push({ 
-                            pipelineId: pipeline.id, 
-                            nodeIndex: idx,
-                            sourceTank: tank.name
-                        });
-                        break;
-                    }
-                }
-                
-                for (let i = 0; i < nodes.length - 1; i++) {
-                    const segmentDist = this.distanceToSegment(
-                        { lat: tank.latitude, lng: tank.longitude },
-                        nodes[i],
-                        nodes[i + 1]
-                    );
-                    
-                    if (segmentDist < CONNECT_DISTANCE) {
-                        console.log(`✅ Tank "${tank.name}" connected to Pipeline ${pipeline.id} segment ${i}-${i+1} (distance: ${segmentDist.toFixed(1)}m)`);
-                        queue.push({ 
-                            pipelineId: pipeline.id, 
-                            nodeIndex: i,
-                            sourceTank: tank.name
-                        });
-                        break;
-                    }
-                }
-            });
-        });
-
-        console.log(`🌊 BFS Phase 2: Propagating flow through ${queue.length} initial connections`);
-
-        const visitedPipelineNodes = new Set();
-        let iterations = 0;
-        const maxIterations = 10000;
-
-        while (queue.length > 0 && iterations < maxIterations) {
-            iterations++;
-            const current = queue.shift();
-            const currentPipeline = pipelines.find(p => p.id === current.pipelineId);
-            
-            if (!currentPipeline) continue;
-
-            const currentNodes = JSON.parse(currentPipeline.nodes);
-            const nodeKey = `${current.pipelineId}-${current.nodeIndex}`;
-            
-            if (visitedPipelineNodes.has(nodeKey)) continue;
-            visitedPipelineNodes.add(nodeKey);
-
-            // Process each segment of current pipeline with valve checking
-            for (let i = 0; i < currentNodes.length - 1; i++) {
-                const segmentKey = `${current.pipelineId}-${i}-${i+1}`;
-                
-                if (visitedSegments.has(segmentKey) || blockedSegments.has(segmentKey)) {
-                    continue;
-                }
-                
-                // CRITICAL: Check if any closed valve blocks this segment
-                const blockingValve = this.getBlockingValve(
-                    currentNodes[i], 
-                    currentNodes[i + 1], 
-                    closedValves,
-                    VALVE_BLOCK_DISTANCE
-                );
-                
-                if (blockingValve) {
-                    console.log(`🚫 Segment ${segmentKey} BLOCKED by valve "${blockingValve.name}"`);
-                    blockedSegments.add(segmentKey);
-                    flowData.blockedSegments.push({
-                        pipelineId: current.pipelineId,
-                        start: currentNodes[i],
-                        end: currentNodes[i + 1],
-                        status: 'blocked',
-                        blockedBy: blockingValve.name
-                    });
-                    // Don't add downstream segments to queue - flow stops here
-                    break; // Stop processing this pipeline beyond the valve
-                } else {
-                    visitedSegments.add(segmentKey);
-                    flowData.segments.push({
-                        pipelineId: current.pipelineId,
-                        start: currentNodes[i],
-                        end: currentNodes[i + 1],
-                        status: 'flowing',
-                        sourceTank: current.sourceTank
-                    });
-                }
-            }
-
-            flowData.pipelineStatus.set(currentPipeline.id, 'flowing');
-
-            // Find connections to other pipelines (only if not blocked)
-            pipelines.forEach(otherPipeline => {
-                if (otherPipeline.id === current.pipelineId) return;
-
-                const otherNodes = JSON.parse(otherPipeline.nodes);
-                
-                currentNodes.forEach((currentNode, currentIdx) => {
-                    // Check node-to-node connections
-                    otherNodes.forEach((otherNode, otherIdx) => {
-                        const dist = this.map.distance(
-                            [currentNode.lat, currentNode.lng],
-                            [otherNode.lat, otherNode.lng]
-                        );
-
-                        if (dist < CONNECT_DISTANCE) {
-                            const otherNodeKey = `${otherPipeline.id}-${otherIdx}`;
-                            if (!visitedPipelineNodes.has(otherNodeKey)) {
-                                queue.push({ 
-                                    pipelineId: otherPipeline.id, 
-                                    nodeIndex: otherIdx,
-                                    sourceTank: current.sourceTank
-                                });
-                            }
-                        }
-                    });
-                    
-                    // Check node-to-segment connections
-                    for (let i = 0; i < otherNodes.length - 1; i++) {
-                        const segmentDist = this.distanceToSegment(
-                            currentNode,
-                            otherNodes[i],
-                            otherNodes[i + 1]
-                        );
-                        
-                        if (segmentDist < CONNECT_DISTANCE) {
-                            const otherNodeKey = `${otherPipeline.id}-${i}`;
-                            if (!visitedPipelineNodes.has(otherNodeKey)) {
-                                queue.push({ 
-                                    pipelineId: otherPipeline.id, 
-                                    nodeIndex: i,
-                                    sourceTank: current.sourceTank
-                                });
-                            }
-                        }
-                    }
-                });
-                
-                // Check segment-to-node connections
-                for (let i = 0; i < currentNodes.length - 1; i++) {
-                    otherNodes.forEach((otherNode, otherIdx) => {
-                        const segmentDist = this.distanceToSegment(
-                            otherNode,
-                            currentNodes[i],
-                            currentNodes[i + 1]
-                        );
-                        
-                        if (segmentDist < CONNECT_DISTANCE) {
-                            const otherNodeKey = `${otherPipeline.id}-${otherIdx}`;
-                            if (!visitedPipelineNodes.has(otherNodeKey)) {
-                                queue.push({ 
-                                    pipelineId: otherPipeline.id, 
-                                    nodeIndex: otherIdx,
-                                    sourceTank: current.sourceTank
-                                });
-                            }
-                        }
-                    });
-                }
-            });
-        }
-
-        pipelines.forEach(pipeline => {
-            const nodes = JSON.parse(pipeline.nodes);
-            flowData.totalSegments += nodes.length - 1;
+        const flowData = NetworkTopology.computeFlow(network, tanks, valves);
+        
+        flowData.blockedSegments.forEach(segment => {
+            console.log(`🚫 Pipeline ${segment.pipelineId} segment ${segment.segmentIndex} BLOCKED by valve "${segment.blockedBy}"`);
         });
-
-        console.log(`✅ BFS complete in ${iterations} iterations`);
         console.log(`📈 Flowing: ${flowData.segments.length} segments, Blocked: ${flowData.blockedSegments.length} segments`);
-
-        return flowData;
-    }
-    
-    // NEW: Check if valve blocks a segment
-    getBlockingValve(segmentStart, segmentEnd, closedValves, maxDistance) {
-        for (let valve of closedValves) {
-            const distToSegment = this.distanceToSegment(
-                { lat: valve.latitude, lng: valve.longitude },
-                segmentStart,
-                segmentEnd
-            );
-            
-            if (distToSegment < maxDistance) {
-                return valve; // This valve blocks the segment
-            }
-        }
-        return null;
-    }
-    
-    distanceToSegment(point, segmentStart, segmentEnd) {
-        const A = point.lat - segmentStart.lat;
-        const B = point.lng - segmentStart.lng;
-        const C = segmentEnd.lat - segmentStart.lat;
-        const D = segmentEnd.lng - segmentStart.lng;
-        
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
-        
-        if (lenSq != 0) param = dot / lenSq;
-        
-        let xx, yy;
         
-        if (param < 0) {
-            xx = segmentStart.lat;
-            yy = segmentStart.lng;
-        } else if (param > 1) {
-            xx = segmentEnd.lat;
-            yy = segmentEnd.lng;
-        } else {
-            xx = segmentStart.lat + param * C;
-            yy = segmentStart.lng + param * D;
-        }
-        
-        return this.map.distance(point, {lat: xx, lng: yy});
+        return flowData;
     }
 
     animateWaterFlow(flowData) {
@@ -400,12 +177,14 @@ class AdvancedWaterFlowSystem {
 
         // Draw flowing segments with animation
         flowData.segments.forEach((segment, idx) => {
+            // Throttled supply draws thinner and fainter
+            const supply = segment.supplyFraction === undefined ? 1 : segment.supplyFraction;
             const flowLine = L.polyline(
                 [[segment.start.lat, segment.start.lng], [segment.end.lat, segment.end.lng]],
                 {
                     color: '#2196F3',
-                    weight: 6,
-                    opacity: 0.8,
+                    weight: 3 + 3 * supply,
+                    opacity: 0.35 + 0.45 * supply,
                     dashArray: '12, 12',
                     className: 'water-flow-line'
                 }
@@ -413,9 +192,9 @@ class AdvancedWaterFlowSystem {
 
             flowLine.bindPopup(`
                 <b>💧 Water Flow Active</b><br>
-                Pipeline: ${segment.pipelineId}<br>
+                Pipeline: ${this.describePipeline(segment.pipelineId)}<br>
                 Source: ${segment.sourceTank}<br>
-                Status: ✅ Flowing
+                Status: ✅ Flowing${supply < 1 ? ` (throttled to ${Math.round(supply * 100)}%)` : ''}
             `);
 
             this.flowLayers.push(flowLine);
@@ -462,7 +241,7 @@ class AdvancedWaterFlowSystem {
 
             blockedLine.bindPopup(`
                 <b>🚫 Flow Blocked</b><br>
-                Pipeline: ${segment.pipelineId}<br>
+                Pipeline: ${this.describePipeline(segment.pipelineId)}<br>
                 Blocked by: ${segment.blockedBy}<br>
                 Status: ❌ No Water Flow
             `);
@@ -471,6 +250,13 @@ class AdvancedWaterFlowSystem {
         });
     }
 
+    describePipeline(pipelineId) {
+        const pipeline = this.pipelines.find(p => p.id === pipelineId);
+        if (!pipeline) return `${pipelineId}`;
+        const spec = pipelineSpecSummary(pipeline);
+        return `${pipelineLabel(pipeline)}${spec ? `<br><small>${spec}</small>` : ''}`;
+    }
+
     stopWaterFlow() {
         console.log('🛑 Stopping water flow');
         this.flowAnimations.forEach(id => cancelAnimationFrame(id));
@@ -489,6 +275,7 @@ class AdvancedWaterFlowSystem {
             
             this.tanks = tanks;
             this.activeTanks = tanks.filter(t => t.isActive);
+            await this.loadActiveAlerts();
             
             tanks.forEach(tank => this.drawTankOnMap(tank));
             
@@ -502,6 +289,40 @@ class AdvancedWaterFlowSystem {
         }
     }
 
+    // Count of open alerts, coloured by the most severe one
+    alertBadge(alerts) {
+        if (alerts.length === 0) return '';
+        const severity = ALERT_SEVERITY_ORDER.find(level => alerts.some(alert => alert.severity === level));
+        const title = alerts.map(alert => alert.message).join('\n');
+        return `<span class="tank-alert-badge alert-${severity}" title="${title}">${alerts.length}</span>`;
+    }
+
+    async loadActiveAlerts() {
+        try {
+            const response = await fetch('http://localhost:3000/api/alerts?active=true&limit=1000');
+            if (!response.ok) throw new Error('Failed to load alerts');
+            const alerts = await response.json();
+            
+            this.tankAlerts.clear();
+            alerts.forEach(alert => {
+                if (!this.tankAlerts.has(alert.tankId)) this.tankAlerts.set(alert.tankId, []);
+                this.tankAlerts.get(alert.tankId).push(alert);
+            });
+        } catch (err) {
+            console.error('Error loading alerts:', err);
+        }
+    }
+
+    // WebSocket 'alert' message: update the tank's open alerts and redraw its marker
+    applyAlert(event, alert) {
+        const open = (this.tankAlerts.get(alert.tankId) || []).filter(a => a.id !== alert.id);
+        if (event === 'raised') open.push(alert);
+        this.tankAlerts.set(alert.tankId, open);
+        
+        const tank = this.tanks.find(t => t.tankId === alert.tankId);
+        if (tank) this.drawTankOnMap(tank);
+    }
+
     clearTanks() {
         this.tankMarkers.forEach(marker => {
             this.map.removeLayer(marker);
@@ -552,25 +373,56 @@ let markers = [];
 let savedPipelines = [];
 let selectedPipelineId = null;
 let editingPipelineId = null;
+let editingPipelineAttributesId = null;
 let allLayers = [];
 let eraserStartNode = null;
 let eraserEndNode = null;
 let tempTankMarker = null;
 let editingTankId = null;
 let currentViewingTank = null;
+let currentCalibration = [];
+let pendingCalibration = null; // null = unchanged, [] = remove, points = replace
+
+// How the server reads each tank's sensor value (see measurementMode in server.js)
+const MEASUREMENT_MODE_LABELS = {
+    level: 'Direct level',
+    distance: 'Distance from top (ultrasonic)',
+    pressure_kpa: 'Pressure (kPa)',
+    pressure_bar: 'Pressure (bar)'
+};
+
+// Alert rule types the server evaluates on each reading (see ALERT RULES in server.js)
+const ALERT_RULE_TYPES = {
+    low_level: { label: 'Low level', unit: '%' },
+    overflow: { label: 'Overflow risk', unit: '%' },
+    drop_rate: { label: 'Rapid drop', unit: 'm/h' },
+    temperature: { label: 'Temperature', unit: '°C' }
+};
+const ALERT_SEVERITY_ORDER = ['critical', 'warning', 'info'];
 
 const drawBtn = document.getElementById('drawBtn');
 const loadBtn = document.getElementById('loadBtn');
 const eraseBtn = document.getElementById('eraseBtn');
+const pressureBtn = document.getElementById('pressureBtn');
 const addTankBtn = document.getElementById('addTankBtn');
 const tankModal = document.getElementById('tankModal');
 const modalOverlay = document.getElementById('modalOverlay');
 const tankForm = document.getElementById('tankForm');
 const cancelTankBtn = document.getElementById('cancelTankBtn');
 const tankSidebar = document.getElementById('tankSidebar');
+const pipelineModal = document.getElementById('pipelineModal');
+const pipelineForm = document.getElementById('pipelineForm');
+const cancelPipelineBtn = document.getElementById('cancelPipelineBtn');
 
 const SNAP_DISTANCE = 50;
 
+// Residual head bands (m) for the pressure overlay - CPHEEO minimums for 1 and 2 storey supply
+const MIN_RESIDUAL_HEAD = 7;
+const COMFORT_RESIDUAL_HEAD = 12;
+
+let pressureOverlayVisible = false;
+let pressureLayers = [];
+
 const waterFlowSystem = new AdvancedWaterFlowSystem(map);
 
 // ==================== TAB SWITCHING ====================
@@ -640,15 +492,25 @@ async function openTankSidebar(tankId) {
                 
                 <div class="info-card">
                     <label>🗃️ Type & Shape</label>
-                    <value>${tank.type} - ${tank.shape}</value>
+                    <value>${tank.type} - ${tankShapeLabel(tank)}</value>
                 </div>
                 
                 <div class="info-card">
                     <label>📏 Dimensions</label>
                     <value>
-                        Diameter: ${tank.diameter}m<br>
+                        ${tankDimensionLines(tank).join('<br>')}<br>
                         Height: ${tank.height}m<br>
-                        Sensor Height: ${tank.sensorHeight}m
+                        Sensor Height: ${tank.sensorHeight}m<br>
+                        Staging Height: ${tank.stagingHeight || 0}m<br>
+                        Ground Elevation: ${tank.groundElevation || 0}m
+                    </value>
+                </div>
+                
+                <div class="info-card">
+                    <label>📡 Sensor</label>
+                    <value>
+                        ${MEASUREMENT_MODE_LABELS[tank.measurementMode] || MEASUREMENT_MODE_LABELS.level}<br>
+                        Dead-band: ${tank.deadBand || 0}m · Offset: ${tank.levelOffset || 0}m
                     </value>
                 </div>
                 
@@ -662,17 +524,17 @@ async function openTankSidebar(tankId) {
                     <value>${tank.waterLevel || 0}m</value>
                 </div>
                 
-                <button class="action-button ${tank.isActive ? 'danger' : 'success'}" 
+                <button class="action-button requires-operator ${tank.isActive ? 'danger' : 'success'}" 
                         onclick="toggleTankFromSidebar('${tank.tankId}')">
                     <i class="fas ${tank.isActive ? 'fa-stop' : 'fa-play'}"></i>
                     ${tank.isActive ? '🛑 Stop Water Flow' : '▶️ Start Water Flow'}
                 </button>
                 
-                <button class="action-button warning" onclick="editTankFromSidebar('${tank.tankId}')">
+                <button class="action-button warning requires-admin" onclick="editTankFromSidebar('${tank.tankId}')">
                     <i class="fas fa-edit"></i> ✏️ Edit Tank
                 </button>
                 
-                <button class="action-button danger" onclick="deleteTankFromSidebar('${tank.tankId}')">
+                <button class="action-button danger requires-admin" onclick="deleteTankFromSidebar('${tank.tankId}')">
                     <i class="fas fa-trash"></i> 🗑️ Delete Tank
                 </button>
             </div>
@@ -765,7 +627,8 @@ map.on('click', (e) => {
             const node = pipelineNodes[i];
             const dist = map.distance(clickPoint, [node.lat, node.lng]);
             if (dist < SNAP_DISTANCE) {
-                snappedNode = { lat: node.lat, lng: node.lng };
+                // Reuse the node's junction so both pipelines share it
+                snappedNode = { lat: node.lat, lng: node.lng, junctionId: node.junctionId };
                 snappedToExisting = true;
                 console.log(`🔗 Snapped to Pipeline ${pipeline.id} node ${i}`);
                 break;
@@ -782,7 +645,9 @@ map.on('click', (e) => {
                     {lat: end.lat, lng: end.lng}
                 );
                 if (distToLine < SNAP_DISTANCE) {
-                    snappedNode = { lat: clickPoint.lat, lng: clickPoint.lng };
+                    // Place the node on the line; the server splits that pipeline here
+                    const onLine = NetworkTopology.projectOntoSegment(clickPoint, start, end);
+                    snappedNode = { lat: onLine.lat, lng: onLine.lng, snapPipelineId: pipeline.id };
                     snappedToExisting = true;
                     console.log(`🔗 Snapped to Pipeline ${pipeline.id} segment ${i}-${i+1}`);
                     break;
@@ -873,7 +738,10 @@ function handleTankPlacement(e) {
     editingTankId = null;
     tankForm.reset();
     document.getElementById('tankModalTitle').textContent = '🏭 Add Tank (Drag marker to reposition)';
+    resetCalibrationForm([]);
+    updateTankShapeFields();
     updateTankLocationDisplay();
+    updateTankJunctionOptions(suggestedTankJunction());
     tankModal.classList.add('show');
     modalOverlay.classList.add('show');
     
@@ -887,6 +755,42 @@ function updateTankLocationDisplay() {
     if (locationInput && tempTankMarker && tempTankMarker.savedLat) {
         locationInput.value = `${tempTankMarker.savedLat.toFixed(6)}, ${tempTankMarker.savedLng.toFixed(6)}`;
     }
+    const junctionSelect = document.getElementById('tankJunction');
+    if (junctionSelect) updateTankJunctionOptions(parseInt(junctionSelect.value) || null);
+}
+
+// Junctions around the tank marker, nearest first. The server never connects a
+// tank by proximity: it joins the network at the junction picked here, if any.
+const TANK_JUNCTION_RADIUS = 500;    // metres - junctions offered in the list
+const TANK_JUNCTION_SUGGEST = 50;    // metres - a new tank starts on the nearest one this close
+
+function nearbyJunctions(point) {
+    return waterFlowSystem.network.junctions
+        .map(junction => ({
+            id: junction.id,
+            dist: NetworkTopology.distanceMeters(point, { lat: junction.latitude, lng: junction.longitude })
+        }))
+        .filter(junction => junction.dist <= TANK_JUNCTION_RADIUS)
+        .sort((a, b) => a.dist - b.dist);
+}
+
+function updateTankJunctionOptions(selectedId) {
+    const select = document.getElementById('tankJunction');
+    if (!select || !tempTankMarker) return;
+    
+    const junctions = nearbyJunctions({ lat: tempTankMarker.savedLat, lng: tempTankMarker.savedLng });
+    if (selectedId && !junctions.some(junction => junction.id === selectedId)) {
+        junctions.push({ id: selectedId, dist: null });
+    }
+    select.innerHTML = '<option value="">— Not connected —</option>' + junctions.map(junction => `
+        <option value="${junction.id}">Junction ${junction.id}${junction.dist !== null ? ` (${Math.round(junction.dist)} m)` : ''}</option>
+    `).join('');
+    select.value = selectedId ? String(selectedId) : '';
+}
+
+function suggestedTankJunction() {
+    const nearest = nearbyJunctions({ lat: tempTankMarker.savedLat, lng: tempTankMarker.savedLng })[0];
+    return nearest && nearest.dist <= TANK_JUNCTION_SUGGEST ? nearest.id : null;
 }
 
 function distanceToLineSegment(point, lineStart, lineEnd) {
@@ -987,6 +891,117 @@ async function eraseSection(pipeline, startIdx, endIdx) {
     }
 }
 
+// ==================== PRESSURE OVERLAY ====================
+
+function pressureColor(pressureHead) {
+    if (pressureHead < MIN_RESIDUAL_HEAD) return '#ef4444';
+    if (pressureHead < COMFORT_RESIDUAL_HEAD) return '#f59e0b';
+    return '#10b981';
+}
+
+function clearPressureOverlay() {
+    pressureLayers.forEach(layer => map.removeLayer(layer));
+    pressureLayers = [];
+}
+
+async function refreshPressureOverlay() {
+    try {
+        const response = await fetch('http://localhost:3000/api/network/hydraulics');
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Hydraulic solve failed');
+        }
+        const result = await response.json();
+        
+        clearPressureOverlay();
+        if (!pressureOverlayVisible) return;
+        
+        const junctionsById = new Map(result.junctions.map(j => [j.junctionId, j]));
+        
+        result.segments.forEach(segment => {
+            const from = junctionsById.get(segment.fromJunctionId);
+            const to = junctionsById.get(segment.toJunctionId);
+            if (!from || !to) return;
+            
+            const line = L.polyline([[from.latitude, from.longitude], [to.latitude, to.longitude]], {
+                color: pressureColor(segment.minPressureHead),
+                weight: 9,
+                opacity: 0.85
+            }).addTo(map);
+            
+            line.bindPopup(`
+                <b>📊 ${waterFlowSystem.describePipeline(segment.pipelineId)}</b><br>
+                Segment ${segment.segmentIndex} • ${segment.diameterMm} mm<br>
+                Flow: ${segment.flowLps.toFixed(2)} L/s<br>
+                Velocity: ${segment.velocity.toFixed(2)} m/s<br>
+                Head loss: ${segment.headLoss.toFixed(2)} m<br>
+                Lowest residual head: ${segment.minPressureHead} m
+            `);
+            pressureLayers.push(line);
+        });
+        
+        result.junctions.forEach(junction => {
+            const marker = L.circleMarker([junction.latitude, junction.longitude], {
+                radius: junction.isSource ? 8 : 5,
+                color: '#0f172a',
+                weight: 1,
+                fillColor: pressureColor(junction.pressureHead),
+                fillOpacity: 1
+            }).addTo(map);
+            
+            marker.bindPopup(`
+                <b>${junction.isSource ? '🏭 Source' : '🔘 Junction'} ${junction.junctionId}</b><br>
+                Hydraulic head: ${junction.head} m<br>
+                Elevation: ${junction.elevation} m<br>
+                Residual pressure: ${junction.pressureHead} m (${junction.pressureKPa} kPa)<br>
+                ${junction.demandLps > 0 ? `Demand: ${junction.demandLps} L/s<br>` : ''}
+                ${junction.pressureHead < MIN_RESIDUAL_HEAD ? '⚠️ Insufficient head<br>' : ''}
+                <button class="requires-admin" onclick="setJunctionElevation(${junction.junctionId}, ${junction.elevation})">⛰️ Set elevation</button>
+            `);
+            pressureLayers.push(marker);
+        });
+        
+        if (!result.converged) {
+            console.warn(`⚠️ Hydraulic solve did not converge after ${result.iterations} iterations`);
+        }
+        console.log(`📊 Pressure overlay: ${result.segments.length} segments, ${result.junctions.length} junctions`);
+    } catch (err) {
+        console.error('Error loading pressure overlay:', err);
+        alert('❌ Error computing pressures: ' + err.message);
+    }
+}
+
+async function setJunctionElevation(junctionId, current) {
+    const input = prompt(`Elevation of junction ${junctionId} (m above the datum used for tank ground elevations):`, current);
+    if (input === null) return;
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/network/junction/${junctionId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ elevation: input.trim() === '' ? null : parseFloat(input) })
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Update failed');
+        }
+        await refreshPressureOverlay();
+    } catch (err) {
+        alert('❌ Error setting elevation: ' + err.message);
+    }
+}
+
+pressureBtn.addEventListener('click', async () => {
+    pressureOverlayVisible = !pressureOverlayVisible;
+    pressureBtn.classList.toggle('active', pressureOverlayVisible);
+    
+    if (pressureOverlayVisible) {
+        await refreshPressureOverlay();
+    } else {
+        clearPressureOverlay();
+    }
+});
+
 // ==================== SAVE & LOAD FUNCTIONS ====================
 
 // Save button handler
@@ -997,38 +1012,15 @@ document.addEventListener('DOMContentLoaded', () => {
     saveBtn.title = 'Save Pipeline';
     saveBtn.style.cssText = 'color: #4CAF50;';
     
-    saveBtn.addEventListener('click', async () => {
+    saveBtn.addEventListener('click', () => {
         if (nodes.length < 2) {
             alert('⚠️ Draw at least 2 nodes');
             return;
         }
-
-        try {
-            if (editingPipelineId) {
-                await fetch(`http://localhost:3000/api/pipeline/${editingPipelineId}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ nodes })
-                });
-                alert('✅ Pipeline updated!');
-                editingPipelineId = null;
-            } else {
-                const response = await fetch('http://localhost:3000/api/pipeline', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ nodes })
-                });
-                const data = await response.json();
-                alert('✅ New pipeline created! ID: ' + data.id);
-            }
-            
-            clearDrawing();
-            await loadPipelines();
-            await waterFlowSystem.recalculateAllFlows();
-        } catch (err) {
-            console.error('Error saving:', err);
-            alert('❌ Error saving pipeline: ' + err.message);
-        }
+        
+        // Attributes are collected in the pipeline modal; its submit does the save
+        const pipeline = savedPipelines.find(p => p.id === editingPipelineId);
+        openPipelineModal(pipeline, false);
     });
     
     // Insert save button after draw button
@@ -1072,7 +1064,9 @@ cancelTankBtn.addEventListener('click', () => {
 
 modalOverlay.addEventListener('click', () => {
     tankModal.classList.remove('show');
+    pipelineModal.classList.remove('show');
     modalOverlay.classList.remove('show');
+    editingPipelineAttributesId = null;
     document.getElementById('tankId').disabled = false;
     
     if (tempTankMarker) {
@@ -1126,10 +1120,15 @@ tankForm.addEventListener('submit', async (e) => {
         longitude: parseFloat(longitude),
         type: document.getElementById('tankType').value,
         shape: document.getElementById('tankShape').value,
-        diameter: parseFloat(document.getElementById('diameter').value),
-        height: parseFloat(document.getElementById('height').value),
+        ...readTankDimensions(),
         sensorHeight: parseFloat(document.getElementById('sensorHeight').value),
+        stagingHeight: parseFloat(document.getElementById('stagingHeight').value) || 0,
+        groundElevation: parseFloat(document.getElementById('groundElevation').value) || 0,
+        measurementMode: document.getElementById('measurementMode').value,
+        deadBand: parseFloat(document.getElementById('deadBand').value) || 0,
+        levelOffset: parseFloat(document.getElementById('levelOffset').value) || 0,
         capacity: parseFloat(document.getElementById('capacity').value),
+        junctionId: parseInt(document.getElementById('tankJunction').value) || null,
         waterLevel: 0,
         isActive: false
     };
@@ -1169,6 +1168,8 @@ tankForm.addEventListener('submit', async (e) => {
             alert('✅ Tank added successfully!');
         }
         
+        if (pendingCalibration !== null) await saveCalibration(tankData.tankId);
+        
         tankModal.classList.remove('show');
         modalOverlay.classList.remove('show');
         
@@ -1185,6 +1186,253 @@ tankForm.addEventListener('submit', async (e) => {
     }
 });
 
+// ==================== TANK GEOMETRY FORM ====================
+
+function optionalFormNumber(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return isNaN(value) ? null : value;
+}
+
+function readTankDimensions() {
+    return {
+        shape: document.getElementById('tankShape').value,
+        diameter: optionalFormNumber('diameter') || 0,
+        height: parseFloat(document.getElementById('height').value),
+        length: optionalFormNumber('tankLength'),
+        width: optionalFormNumber('tankWidth'),
+        coneHeight: optionalFormNumber('coneHeight'),
+        bottomDiameter: optionalFormNumber('bottomDiameter'),
+        domeRise: optionalFormNumber('domeRise')
+    };
+}
+
+// Only the dimensions the selected shape is computed from are shown
+function updateTankShapeFields() {
+    const shape = TankGeometry.TANK_SHAPES[document.getElementById('tankShape').value];
+    const fields = shape ? shape.fields : ['diameter'];
+    document.querySelectorAll('.tank-dimension').forEach(group => {
+        const used = fields.includes(group.dataset.dimension);
+        const optional = ['bottomDiameter', 'domeRise'].includes(group.dataset.dimension);
+        group.style.display = used ? '' : 'none';
+        group.querySelector('input').required = used && !optional;
+    });
+    updateGeometricCapacity();
+}
+
+function updateGeometricCapacity() {
+    const hint = document.getElementById('geometricCapacity');
+    const points = pendingCalibration !== null ? pendingCalibration : currentCalibration;
+    if (points.length >= TankGeometry.MIN_CALIBRATION_POINTS) {
+        hint.textContent = `Calibration table: ${Math.round(points[points.length - 1].volumeLiters).toLocaleString()} L at ${points[points.length - 1].level} m`;
+        return;
+    }
+    const liters = TankGeometry.fullVolumeLiters(readTankDimensions());
+    hint.textContent = liters > 0 ? `Shape holds ${Math.round(liters).toLocaleString()} L when full` : '';
+}
+
+function showCalibrationStatus() {
+    const status = document.getElementById('calibrationStatus');
+    const points = pendingCalibration !== null ? pendingCalibration : currentCalibration;
+    if (pendingCalibration !== null && pendingCalibration.length === 0 && currentCalibration.length > 0) {
+        status.textContent = 'Table will be removed on save - volume from shape';
+    } else if (points.length > 0) {
+        status.textContent = `${points.length} points (${points[0].level}-${points[points.length - 1].level} m)${pendingCalibration !== null ? ' - saved with the tank' : ''}`;
+    } else {
+        status.textContent = 'None - volume from shape';
+    }
+    document.getElementById('clearCalibrationBtn').style.display = points.length > 0 ? '' : 'none';
+    updateGeometricCapacity();
+}
+
+function resetCalibrationForm(points) {
+    currentCalibration = points;
+    pendingCalibration = null;
+    document.getElementById('calibrationFile').value = '';
+    showCalibrationStatus();
+}
+
+// One "level,volume" pair per line; header and blank lines are skipped
+function parseCalibrationCsv(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.split(/[,;\t]/).map(cell => parseFloat(cell)))
+        .filter(cells => cells.length >= 2 && !isNaN(cells[0]) && !isNaN(cells[1]))
+        .map(cells => ({ level: cells[0], volumeLiters: cells[1] }));
+}
+
+function loadCalibrationFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        const { points, error } = TankGeometry.normalizeCalibration(parseCalibrationCsv(reader.result));
+        if (error || points.length === 0) {
+            alert('⚠️ Invalid calibration table: ' + (error || 'no level,volume rows found'));
+            input.value = '';
+            return;
+        }
+        pendingCalibration = points;
+        showCalibrationStatus();
+    };
+    reader.readAsText(file);
+}
+
+function clearCalibration() {
+    pendingCalibration = [];
+    document.getElementById('calibrationFile').value = '';
+    showCalibrationStatus();
+}
+
+async function saveCalibration(tankId) {
+    const response = await fetch(`http://localhost:3000/api/tank/${tankId}/calibration`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ points: pendingCalibration })
+    });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Calibration table not saved');
+    }
+    pendingCalibration = null;
+}
+
+// Shape-specific dimensions for the popup and sidebars
+function tankDimensionLines(tank) {
+    const shape = TankGeometry.TANK_SHAPES[tank.shape];
+    const labels = {
+        diameter: 'Diameter',
+        length: 'Length',
+        width: 'Width',
+        coneHeight: 'Cone Height',
+        bottomDiameter: 'Cone Bottom Ø',
+        domeRise: 'Dome Rise'
+    };
+    const fields = shape ? shape.fields : ['diameter'];
+    return fields
+        .filter(field => tank[field] !== null && tank[field] !== undefined)
+        .map(field => `${labels[field]}: ${tank[field]}m`);
+}
+
+function tankShapeLabel(tank) {
+    const shape = TankGeometry.TANK_SHAPES[tank.shape];
+    const calibrated = TankGeometry.calibrationPoints(tank).length >= TankGeometry.MIN_CALIBRATION_POINTS;
+    return `${shape ? shape.label : tank.shape}${calibrated ? ' (calibrated)' : ''}`;
+}
+
+// ==================== PIPELINE ATTRIBUTES ====================
+
+function pipelineLabel(pipeline) {
+    return pipeline && pipeline.name ? pipeline.name : `Pipeline ${pipeline ? pipeline.id : ''}`;
+}
+
+function pipelineSpecSummary(pipeline) {
+    if (!pipeline) return '';
+    return [
+        pipeline.diameter ? `${pipeline.diameter} mm` : null,
+        pipeline.material,
+        pipeline.pressureClass,
+        pipeline.installYear ? `laid ${pipeline.installYear}` : null,
+        pipeline.zone ? `Zone ${pipeline.zone}` : null
+    ].filter(Boolean).join(' • ');
+}
+
+// attributesOnly: edit the pipe record without touching the drawn geometry
+function openPipelineModal(pipeline, attributesOnly) {
+    pipelineForm.reset();
+    editingPipelineAttributesId = attributesOnly ? pipeline.id : null;
+    
+    document.getElementById('pipelineModalTitle').textContent = pipeline 
+        ? `✏️ ${pipelineLabel(pipeline)}` 
+        : '🛠️ New Pipeline';
+    
+    if (pipeline) {
+        document.getElementById('pipelineName').value = pipeline.name || '';
+        document.getElementById('pipelineDiameter').value = pipeline.diameter || '';
+        document.getElementById('pipelineMaterial').value = pipeline.material || '';
+        document.getElementById('pipelineInstallYear').value = pipeline.installYear || '';
+        document.getElementById('pipelinePressureClass').value = pipeline.pressureClass || '';
+        document.getElementById('pipelineZone').value = pipeline.zone || '';
+    }
+    
+    pipelineModal.classList.add('show');
+    modalOverlay.classList.add('show');
+}
+
+function closePipelineModal() {
+    pipelineModal.classList.remove('show');
+    modalOverlay.classList.remove('show');
+    editingPipelineAttributesId = null;
+}
+
+cancelPipelineBtn.addEventListener('click', closePipelineModal);
+
+pipelineForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const attributes = {
+        name: document.getElementById('pipelineName').value.trim(),
+        diameter: parseFloat(document.getElementById('pipelineDiameter').value) || null,
+        material: document.getElementById('pipelineMaterial').value,
+        installYear: parseInt(document.getElementById('pipelineInstallYear').value) || null,
+        pressureClass: document.getElementById('pipelinePressureClass').value.trim(),
+        zone: document.getElementById('pipelineZone').value.trim()
+    };
+    
+    try {
+        let response;
+        if (editingPipelineAttributesId) {
+            response = await fetch(`http://localhost:3000/api/pipeline/${editingPipelineAttributesId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(attributes)
+            });
+        } else if (editingPipelineId) {
+            response = await fetch(`http://localhost:3000/api/pipeline/${editingPipelineId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ nodes, ...attributes })
+            });
+        } else {
+            response = await fetch('http://localhost:3000/api/pipeline', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ nodes, ...attributes })
+            });
+        }
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Save failed');
+        }
+        const data = await response.json();
+        
+        if (editingPipelineAttributesId) {
+            alert('✅ Pipeline details updated!');
+        } else if (editingPipelineId) {
+            alert('✅ Pipeline updated!');
+            editingPipelineId = null;
+            clearDrawing();
+        } else {
+            alert('✅ New pipeline created! ID: ' + data.id);
+            clearDrawing();
+        }
+        
+        closePipelineModal();
+        await loadPipelines();
+        await waterFlowSystem.recalculateAllFlows();
+    } catch (err) {
+        console.error('Error saving:', err);
+        alert('❌ Error saving pipeline: ' + err.message);
+    }
+});
+
+function editPipelineAttributes(id) {
+    const pipeline = savedPipelines.find(p => p.id === id);
+    if (pipeline) {
+        openPipelineModal(pipeline, true);
+    }
+}
+
 // ==================== PIPELINE MANAGEMENT ====================
 
 async function loadPipelines() {
@@ -1214,12 +1462,15 @@ async function loadPipelines() {
                             <i class="fas fa-route"></i>
                         </div>
                         <div class="item-details">
-                            <h4>Pipeline ${pipeline.id}</h4>
-                            <p>${JSON.parse(pipeline.nodes).length} nodes</p>
+                            <h4>${pipelineLabel(pipeline)}</h4>
+                            <p>${[`${JSON.parse(pipeline.nodes).length} nodes`, pipelineSpecSummary(pipeline)].filter(Boolean).join(' • ')}</p>
                         </div>
                     </div>
-                    <div class="item-actions">
-                        <button class="icon-btn edit" onclick="event.stopPropagation(); editPipeline(${pipeline.id})">
+                    <div class="item-actions requires-admin">
+                        <button class="icon-btn edit" title="Pipe details" onclick="event.stopPropagation(); editPipelineAttributes(${pipeline.id})">
+                            <i class="fas fa-tags"></i>
+                        </button>
+                        <button class="icon-btn edit" title="Edit route" onclick="event.stopPropagation(); editPipeline(${pipeline.id})">
                             <i class="fas fa-edit"></i>
                         </button>
                         <button class="icon-btn delete" onclick="event.stopPropagation(); deletePipeline(${pipeline.id})">
@@ -1267,9 +1518,10 @@ async function loadTanks() {
                         <div class="item-details">
                             <h4>${tank.name}</h4>
                             <p>${tank.isActive ? '🟢 Active' : '⭕ Inactive'} • ${tank.type}</p>
+                            ${tank.deviceId && tank.deviceId.trim() ? `<small class="device-status" data-device-id="${tank.deviceId.trim()}"></small>` : ''}
                         </div>
                     </div>
-                    <div class="item-actions">
+                    <div class="item-actions requires-admin">
                         <button class="icon-btn edit" onclick="event.stopPropagation(); editTank(waterFlowSystem.tanks.find(t => t.tankId === '${tank.tankId}'))">
                             <i class="fas fa-edit"></i>
                         </button>
@@ -1281,6 +1533,7 @@ async function loadTanks() {
                 
                 tanksList.appendChild(div);
             });
+            window.applyDeviceStatuses();
         }
     } catch (err) {
         console.error('Error loading tanks:', err);
@@ -1336,12 +1589,27 @@ function editTank(tank) {
     document.getElementById('habitation').value = tank.habitation || '';
     document.getElementById('tankType').value = tank.type;
     document.getElementById('tankShape').value = tank.shape;
-    document.getElementById('diameter').value = tank.diameter;
+    document.getElementById('diameter').value = tank.diameter || '';
     document.getElementById('height').value = tank.height;
+    document.getElementById('tankLength').value = tank.length ?? '';
+    document.getElementById('tankWidth').value = tank.width ?? '';
+    document.getElementById('coneHeight').value = tank.coneHeight ?? '';
+    document.getElementById('bottomDiameter').value = tank.bottomDiameter ?? '';
+    document.getElementById('domeRise').value = tank.domeRise ?? '';
     document.getElementById('sensorHeight').value = tank.sensorHeight;
+    document.getElementById('stagingHeight').value = tank.stagingHeight || '';
+    document.getElementById('groundElevation').value = tank.groundElevation || '';
+    document.getElementById('measurementMode').value = tank.measurementMode || 'level';
+    document.getElementById('deadBand').value = tank.deadBand || '';
+    document.getElementById('levelOffset').value = tank.levelOffset || '';
     document.getElementById('capacity').value = tank.capacity;
+    resetCalibrationForm(TankGeometry.calibrationPoints(tank));
+    updateTankShapeFields();
     
     updateTankLocationDisplay();
+    const attachment = waterFlowSystem.network.attachments
+        .find(a => a.entityType === 'tank' && a.entityId === tank.tankId);
+    updateTankJunctionOptions(attachment ? attachment.junctionId : null);
     
     tankModal.classList.add('show');
     modalOverlay.classList.add('show');
@@ -1488,8 +1756,14 @@ function clearAllLayers() {
 // Make functions globally accessible
 window.selectPipeline = selectPipeline;
 window.editPipeline = editPipeline;
+window.editPipelineAttributes = editPipelineAttributes;
 window.deletePipeline = deletePipeline;
 window.editTank = editTank;
+window.setJunctionElevation = setJunctionElevation;
+window.updateTankShapeFields = updateTankShapeFields;
+window.updateGeometricCapacity = updateGeometricCapacity;
+window.loadCalibrationFile = loadCalibrationFile;
+window.clearCalibration = clearCalibration;
 window.deleteTank = deleteTank;
 
 // Initial load
@@ -8,7 +8,7 @@
     function connectWebSocket() {
         if (ws && ws.readyState === WebSocket.OPEN) return;
         console.log('🔌 Connecting to WebSocket...');
-        ws = new WebSocket('ws://localhost:3000');
+        ws = new WebSocket(authManager.withToken('ws://localhost:3000'));
 
         ws.onopen = () => {
             console.log('✅ WebSocket connected');
@@ -22,6 +22,10 @@
                     handleTankUpdate(data.tank);
                 } else if (data.type === 'valve_updated') {
                     handleValveUpdate(data.valve);
+                } else if (data.type === 'alert') {
+                    handleAlert(data.event, data.alert);
+                } else if (data.type === 'device_offline' || data.type === 'device_online') {
+                    window.setDeviceStatus(data.device);
                 }
             } catch (err) {
                 console.error('Error parsing WebSocket message:', err);
@@ -82,13 +86,18 @@
             
             const btn = sidebar.querySelector('.action-button.success, .action-button.danger');
             if (btn) {
-                btn.className = `action-button ${tank.isActive ? 'danger' : 'success'}`;
+                btn.className = `action-button requires-operator ${tank.isActive ? 'danger' : 'success'}`;
                 btn.innerHTML = `
                     <i class="fas ${tank.isActive ? 'fa-stop' : 'fa-play'}"></i>
                     ${tank.isActive ? '🛑 Stop Water Flow' : '▶️ Start Water Flow'}
                 `;
                 btn.onclick = () => window.toggleTankFromSidebar(tank.tankId);
             }
+            
+            // The change may have come from a release slot - show its last action
+            window.loadTankSchedules(tank.tankId);
+            window.loadSupplyHead(tank.tankId);
+            window.loadAuditHistory('tankHistoryList', 'tank', tank.tankId);
         }
         
         // Update list item WITHOUT reloading entire list
@@ -116,6 +125,21 @@
         });
     }
 
+    function handleAlert(event, alert) {
+        console.log(`🚨 Alert ${event} for ${alert.tankId}: ${alert.message}`);
+        
+        if (typeof waterFlowSystem !== 'undefined') {
+            waterFlowSystem.applyAlert(event, alert);
+        }
+        
+        const sidebar = document.getElementById('tankSidebar');
+        if (sidebar && sidebar.classList.contains('open') &&
+            typeof currentViewingTank !== 'undefined' &&
+            currentViewingTank && currentViewingTank.tankId === alert.tankId) {
+            window.loadTankAlerts(alert.tankId);
+        }
+    }
+
     function handleValveUpdate(valve) {
         console.log('📡 Valve update via WebSocket:', valve.valveId, valve.isOpen);
         
@@ -123,7 +147,7 @@
             const existing = gateValveSystem.valves.find(v => v.valveId === valve.valveId);
             if (existing) {
                 Object.assign(existing, valve);
-                gateValveSystem.drawValveOnMap(existing);
+                gateValveSystem.addValve(existing);
             }
         }
         
@@ -131,23 +155,17 @@
             waterFlowSystem.recalculateAllFlows();
         }
         
-        const valvesList = document.getElementById('valvesList');
-        if (valvesList) {
-            valvesList.querySelectorAll('.list-item').forEach(item => {
-                const onclick = item.getAttribute('onclick');
-                if (onclick && onclick.includes(valve.valveId)) {
-                    const icon = item.querySelector('.item-icon');
-                    if (icon) {
-                        icon.style.background = valve.isOpen ?
-                            'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)' :
-                            'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
-                    }
-                    const details = item.querySelector('.item-details p');
-                    if (details) {
-                        details.innerHTML = `${valve.isOpen ? '🟢 Open' : '🔴 Closed'} • ${valve.type}`;
-                    }
-                }
-            });
+        // Rolled-up households depend on the whole hierarchy - redraw the tree
+        if (typeof gateValveSystem !== 'undefined' && gateValveSystem) {
+            gateValveSystem.updateValveList();
+        }
+        
+        // Sidebar open on this valve: its history just gained an entry
+        const valveSidebar = document.getElementById('valveSidebar');
+        const historyList = document.getElementById('valveHistoryList');
+        if (valveSidebar && valveSidebar.classList.contains('open') && historyList &&
+            valveSidebar.querySelector(`[onclick*="'${valve.valveId}'"]`)) {
+            window.loadAuditHistory('valveHistoryList', 'valve', valve.valveId);
         }
     }
 
@@ -188,7 +206,7 @@ class LiveSensorManager {
 
         console.log(`🔌 Connecting to live stream for device: ${deviceId}`);
 
-        const eventSource = new EventSource(`http://localhost:3000/api/stream/device/${deviceId}`);
+        const eventSource = new EventSource(authManager.withToken(`http://localhost:3000/api/stream/device/${deviceId}`));
 
         eventSource.onmessage = (event) => {
             try {
@@ -360,40 +378,159 @@ window.openTankSidebar = async function(tankId) {
                 
                 <div class="info-card">
                     <label>🗃️ Type & Shape</label>
-                    <value>${tank.type} - ${tank.shape}</value>
+                    <value>${tank.type} - ${tankShapeLabel(tank)}</value>
                 </div>
                 
                 <div class="info-card">
                     <label>📏 Dimensions</label>
                     <value>
-                        Diameter: ${tank.diameter}m<br>
+                        ${tankDimensionLines(tank).join('<br>')}<br>
                         Height: ${tank.height}m<br>
-                        Sensor Height: ${tank.sensorHeight}m
+                        Sensor Height: ${tank.sensorHeight}m<br>
+                        Staging Height: ${tank.stagingHeight || 0}m<br>
+                        Ground Elevation: ${tank.groundElevation || 0}m
+                    </value>
+                </div>
+                
+                <div class="info-card">
+                    <label>📡 Sensor</label>
+                    <value>
+                        ${MEASUREMENT_MODE_LABELS[tank.measurementMode] || MEASUREMENT_MODE_LABELS.level}<br>
+                        Dead-band: ${tank.deadBand || 0}m · Offset: ${tank.levelOffset || 0}m
                     </value>
                 </div>
                 
+                <div class="info-card">
+                    <label>🔌 Devices</label>
+                    <div id="tankDeviceList"><small>Loading devices...</small></div>
+                </div>
+                
                 <div class="info-card">
                     <label>💧 Capacity</label>
                     <value>${tank.capacity.toLocaleString()} Liters</value>
                 </div>
                 
-                <button class="action-button ${tank.isActive ? 'danger' : 'success'}" 
+                <div class="info-card">
+                    <label>⛰️ Supply Head</label>
+                    <div id="tankSupplyHead"><small>Loading supply head...</small></div>
+                </div>
+                
+                <div class="info-card">
+                    <label>🚨 Alerts</label>
+                    <div id="tankAlertList"><small>Loading alerts...</small></div>
+                    
+                    <div class="schedule-row requires-operator" style="margin-top: 16px;">
+                        <div class="form-group">
+                            <label>Rule</label>
+                            <select id="alertRuleType" onchange="updateAlertRuleFields()">
+                                ${Object.entries(ALERT_RULE_TYPES).map(([type, info]) => `
+                                    <option value="${type}">${info.label} (${info.unit})</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Severity</label>
+                            <select id="alertRuleSeverity">
+                                <option value="info">Info</option>
+                                <option value="warning" selected>Warning</option>
+                                <option value="critical">Critical</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="schedule-row requires-operator">
+                        <div class="form-group">
+                            <label id="alertRuleThresholdLabel">Below (%)</label>
+                            <input type="number" id="alertRuleThreshold" step="0.1">
+                        </div>
+                        <div class="form-group" id="alertRuleMaxGroup" style="display: none;">
+                            <label>Above (°C)</label>
+                            <input type="number" id="alertRuleMax" step="0.1">
+                        </div>
+                        <div class="form-group">
+                            <label>Hysteresis</label>
+                            <input type="number" id="alertRuleHysteresis" min="0" step="0.1" placeholder="Default">
+                        </div>
+                    </div>
+                    <button class="action-button primary requires-operator" onclick="addAlertRule('${tank.tankId}')">
+                        <i class="fas fa-bell"></i> Add Alert Rule
+                    </button>
+                </div>
+                
+                <div class="info-card">
+                    <label>⏰ Release Schedule</label>
+                    <div id="tankScheduleList"><small>Loading schedule...</small></div>
+                    
+                    <div class="schedule-days requires-operator" style="margin-top: 16px;">
+                        ${SCHEDULE_DAY_NAMES.map((day, i) => `
+                            <label><input type="checkbox" class="tank-schedule-day" value="${i}"> ${day}</label>
+                        `).join('')}
+                    </div>
+                    <div class="schedule-row requires-operator">
+                        <div class="form-group">
+                            <label>Start at</label>
+                            <input type="time" id="tankScheduleStart" value="06:00">
+                        </div>
+                        <div class="form-group">
+                            <label>Stop at</label>
+                            <input type="time" id="tankScheduleEnd" value="08:00">
+                        </div>
+                    </div>
+                    <div class="schedule-row requires-operator">
+                        <div class="form-group">
+                            <label>Label</label>
+                            <input type="text" id="tankScheduleLabel" placeholder="Morning release">
+                        </div>
+                        <div class="form-group">
+                            <label>Timezone</label>
+                            <input type="text" id="tankScheduleTimezone" value="${Intl.DateTimeFormat().resolvedOptions().timeZone}">
+                        </div>
+                    </div>
+                    <button class="action-button primary requires-operator" onclick="addTankSchedule('${tank.tankId}')">
+                        <i class="fas fa-clock"></i> Add Release Slot
+                    </button>
+                    
+                    <div class="schedule-row requires-operator" style="margin-top: 16px;">
+                        <div class="form-group">
+                            <label>Stop release below (m)</label>
+                            <input type="number" id="tankMinReleaseLevel" min="0" step="0.1"
+                                   value="${tank.minReleaseLevel ?? ''}" placeholder="Off">
+                        </div>
+                    </div>
+                    <small class="requires-operator">${hasDevice
+                        ? 'Release stops automatically when the live level falls below this.'
+                        : 'Needs a linked device - without live readings the minimum is not enforced.'}</small>
+                    <button class="action-button primary requires-operator" onclick="saveMinReleaseLevel('${tank.tankId}')">
+                        <i class="fas fa-save"></i> Save Minimum Level
+                    </button>
+                </div>
+                
+                <div class="info-card">
+                    <label>🕓 History</label>
+                    <div id="tankHistoryList"><small>Loading history...</small></div>
+                </div>
+                
+                <button class="action-button requires-operator ${tank.isActive ? 'danger' : 'success'}" 
                         onclick="toggleTankFromSidebar('${tank.tankId}')">
                     <i class="fas ${tank.isActive ? 'fa-stop' : 'fa-play'}"></i>
                     ${tank.isActive ? '🛑 Stop Water Flow' : '▶️ Start Water Flow'}
                 </button>
                 
-                <button class="action-button warning" onclick="editTankFromSidebar('${tank.tankId}')">
+                <button class="action-button warning requires-admin" onclick="editTankFromSidebar('${tank.tankId}')">
                     <i class="fas fa-edit"></i> ✏️ Edit Tank
                 </button>
                 
-                <button class="action-button danger" onclick="deleteTankFromSidebar('${tank.tankId}')">
+                <button class="action-button danger requires-admin" onclick="deleteTankFromSidebar('${tank.tankId}')">
                     <i class="fas fa-trash"></i> 🗑️ Delete Tank
                 </button>
             </div>
         `;
         
         tankSidebar.classList.add('open');
+        loadTankSchedules(tank.tankId);
+        loadSupplyHead(tank.tankId);
+        loadTankAlerts(tank.tankId);
+        loadAssetDevices('tankDeviceList', 'tank', tank.tankId);
+        loadAuditHistory('tankHistoryList', 'tank', tank.tankId);
 
         if (hasDevice) {
             startLiveSensorDisplay(tank.deviceId, tank);
@@ -413,7 +550,9 @@ function startLiveSensorDisplay(deviceId, tank) {
     liveSensorManager.connectToDevice(deviceId, (data) => {
         updateLiveDataDisplay(deviceId, data, tank);
         updateConnectionStatus(deviceId, 'connected');
+        setDeviceStatus({ deviceId, state: 'online', lastSeen: new Date().toISOString() });
     });
+    showDeviceState(deviceId);
 
     liveSensorManager.fetchHistory(deviceId, 1).then(() => {
         updateMiniChart(deviceId);
@@ -427,14 +566,29 @@ function updateConnectionStatus(deviceId, status) {
     const statusMap = {
         'connecting': { text: '🔄 Connecting...', color: 'rgba(255,255,255,0.3)' },
         'connected': { text: '✅ Live', color: 'rgba(76, 175, 80, 0.9)' },
+        'stale': { text: '⚠️ Stale', color: 'rgba(255, 152, 0, 0.9)' },
+        'offline': { text: '📴 Offline', color: 'rgba(244, 67, 54, 0.9)' },
+        'never': { text: '📭 No data yet', color: 'rgba(255,255,255,0.3)' },
         'error': { text: '❌ Error', color: 'rgba(244, 67, 54, 0.9)' }
     };
 
+    // Stale and offline say how long the device has been silent
+    const device = deviceStatuses.get(deviceId);
+    const since = (status === 'stale' || status === 'offline') && device && device.lastSeen
+        ? ` · ${timeAgo(device.lastSeen)}`
+        : '';
+
     const config = statusMap[status] || statusMap['connecting'];
-    statusEl.textContent = config.text;
+    statusEl.textContent = config.text + since;
     statusEl.style.background = config.color;
 }
 
+// Live readings carry it; history rows only have the level
+function supplyHeadOf(tank, data) {
+    if (data.supplyHead !== undefined) return data.supplyHead;
+    return (tank.groundElevation || 0) + (tank.stagingHeight || 0) + (data.waterLevel || 0);
+}
+
 function updateLiveDataDisplay(deviceId, data, tank) {
     const displayEl = document.getElementById(`liveDataDisplay-${deviceId}`);
     if (displayEl) {
@@ -461,13 +615,15 @@ function updateLiveDataDisplay(deviceId, data, tank) {
                     <div style="font-weight: 600; font-size: 16px;">${data.volumeLiters.toLocaleString()}L</div>
                 </div>
                 <div>
-                    <div style="opacity: 0.8;">Pressure</div>
-                    <div style="font-weight: 600; font-size: 16px;">${data.pressureKPa} kPa</div>
+                    <div style="opacity: 0.8;">Supply Head</div>
+                    <div style="font-weight: 600; font-size: 16px;">${supplyHeadOf(tank, data).toFixed(2)} m</div>
                 </div>
             </div>
             
             <div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 11px; opacity: 0.8;">
                 Last updated: ${new Date(data.timestamp).toLocaleTimeString()}
+                ${data.rawValue !== undefined && data.measurementMode !== 'level' ? `<br>Raw: ${data.rawValue} (${MEASUREMENT_MODE_LABELS[data.measurementMode]})` : ''}
+                ${data.inDeadBand ? '<br>⚠️ Surface inside sensor dead-band - tank at or above max readable level' : ''}
             </div>
         `;
     }
@@ -484,7 +640,7 @@ function updateLiveDataDisplay(deviceId, data, tank) {
             <div class="info-card" style="text-align: center; padding: 16px;">
                 <div style="font-size: 24px; margin-bottom: 4px;">📊</div>
                 <div style="font-size: 20px; font-weight: 700; color: #667eea;">${data.pressureKPa}</div>
-                <div style="font-size: 12px; color: #666; margin-top: 4px;">kPa Pressure</div>
+                <div style="font-size: 12px; color: #666; margin-top: 4px;">kPa at Tank Floor</div>
             </div>
             
             <div class="info-card" style="text-align: center; padding: 16px;">
@@ -573,6 +729,455 @@ function updateMiniChart(deviceId) {
     ctx.fillText(minValue.toFixed(1) + 'm', 5, height - padding);
 }
 
+// ==================== DEVICE STATUS ====================
+// When each registered device was last heard from: loaded from /api/devices every
+// minute and pushed by device_offline / device_online WebSocket messages.
+// Shown on the tank list, in the live sensor card of an open tank sidebar and
+// in the Devices card of the tank and valve sidebars.
+
+const DEVICE_STATUS_REFRESH = 60 * 1000;
+const DEVICE_STATE_LABELS = {
+    online: '📡 Online',
+    stale: '⚠️ Stale',
+    offline: '📴 Offline',
+    never: '📭 No data yet'
+};
+const DEVICE_TYPE_LABELS = {
+    level: '📏 Level',
+    flow: '🌊 Flow',
+    pressure: '🧭 Pressure',
+    valve_position: '🎚️ Position'
+};
+const deviceStatuses = new Map();
+
+function timeAgo(timestamp) {
+    const minutes = Math.max(Math.round((Date.now() - new Date(timestamp).getTime()) / 60000), 0);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return `${Math.round(minutes / 1440)} days ago`;
+}
+
+async function loadDeviceStatuses() {
+    try {
+        const response = await fetch('http://localhost:3000/api/devices');
+        if (!response.ok) throw new Error('Failed to load device status');
+        const devices = await response.json();
+        
+        deviceStatuses.clear();
+        devices.forEach(device => deviceStatuses.set(device.deviceId, device));
+        applyDeviceStatuses();
+    } catch (err) {
+        console.error('Error loading device status:', err);
+    }
+}
+
+function setDeviceStatus(device) {
+    const existing = deviceStatuses.get(device.deviceId) || {};
+    deviceStatuses.set(device.deviceId, { ...existing, ...device });
+    applyDeviceStatuses();
+}
+
+// Sidebar live card: stale / offline / never replace "Waiting for sensor data..."
+function showDeviceState(deviceId) {
+    const device = deviceStatuses.get(deviceId);
+    const state = device ? device.state : 'never';
+    if (state === 'online') return;
+    
+    updateConnectionStatus(deviceId, state);
+    if (liveSensorManager.getLatestData(deviceId)) return;
+    
+    const display = document.getElementById(`liveDataDisplay-${deviceId}`);
+    if (!display) return;
+    display.innerHTML = `
+        <div style="text-align: center; padding: 20px; color: rgba(255,255,255,0.85);">
+            <i class="fas ${state === 'never' ? 'fa-inbox' : 'fa-plug'}" style="font-size: 24px;"></i>
+            <p style="margin-top: 12px; font-size: 14px;">
+                ${state === 'never'
+                    ? `Device ${deviceId} has not sent any readings yet.`
+                    : `No reading since ${new Date(device.lastSeen).toLocaleString()} (${timeAgo(device.lastSeen)}).`}
+            </p>
+            ${device && device.lastValue !== null && device.lastValue !== undefined
+                ? `<p style="font-size: 12px;">Last level: ${device.lastValue} m</p>`
+                : ''}
+        </div>
+    `;
+}
+
+function applyDeviceStatuses() {
+    document.querySelectorAll('.device-status[data-device-id]').forEach(el => {
+        const device = deviceStatuses.get(el.dataset.deviceId);
+        const state = device ? device.state : 'never';
+        el.className = `device-status device-${state}`;
+        el.textContent = DEVICE_STATE_LABELS[state] || state;
+        el.title = device && device.lastSeen ? `Last heard from ${timeAgo(device.lastSeen)}` : 'No readings received yet';
+    });
+    
+    if (typeof currentViewingTank !== 'undefined' && currentViewingTank && currentViewingTank.deviceId) {
+        showDeviceState(currentViewingTank.deviceId.trim());
+    }
+}
+
+// Every device attached to a tank or valve, for its sidebar. The state badges
+// are kept current by applyDeviceStatuses.
+async function loadAssetDevices(elementId, assetType, assetId) {
+    const list = document.getElementById(elementId);
+    if (!list) return;
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/devices?assetType=${assetType}&assetId=${encodeURIComponent(assetId)}`);
+        if (!response.ok) throw new Error('Failed to load devices');
+        const devices = await response.json();
+        devices.forEach(device => deviceStatuses.set(device.deviceId, device));
+        
+        list.innerHTML = devices.length === 0
+            ? '<small>No devices attached.</small>'
+            : devices.map(device => `
+                <div class="history-entry">
+                    <value>${DEVICE_TYPE_LABELS[device.type] || device.type} ${device.deviceId}</value>
+                    <small>
+                        ${device.model ? `${device.model} • ` : ''}${device.installDate ? `installed ${device.installDate} • ` : ''}
+                        ${device.lastValue !== null ? `last ${device.lastValue} ${device.units || ''}` : 'no readings yet'}
+                    </small>
+                    <small class="device-status" data-device-id="${device.deviceId}"></small>
+                </div>
+            `).join('');
+        applyDeviceStatuses();
+    } catch (err) {
+        console.error('Error loading devices:', err);
+        list.innerHTML = '<small>⚠️ Could not load devices</small>';
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadDeviceStatuses);
+} else {
+    loadDeviceStatuses();
+}
+setInterval(loadDeviceStatuses, DEVICE_STATUS_REFRESH);
+
+// ==================== SUPPLY HEAD ====================
+
+async function loadSupplyHead(tankId) {
+    const el = document.getElementById('tankSupplyHead');
+    if (!el) return;
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank/${tankId}/supply-head`);
+        if (!response.ok) throw new Error('Failed to load supply head');
+        const head = await response.json();
+        const lowest = head.downstream[0];
+        const shortfall = head.downstream.filter(point => (point.pressureHead ?? point.staticPressureHead) < MIN_RESIDUAL_HEAD);
+        
+        el.innerHTML = `
+            <value>${head.supplyHead} m above datum</value>
+            <small>
+                ${head.groundElevation} m ground + ${head.stagingHeight} m staging + ${head.waterLevel} m water${head.live ? '' : ' (last known level)'}<br>
+                At ground level: ${head.headAboveGround} m (${(head.headAboveGround * 9.81).toFixed(1)} kPa) •
+                tank floor: ${head.floorPressureKPa} kPa
+            </small>
+            ${lowest ? `
+                <small style="display: block; margin-top: 8px;">
+                    ${head.downstream.length} downstream junction(s); lowest head ${lowest.staticPressureHead} m static
+                    ${lowest.pressureHead !== null ? `/ ${lowest.pressureHead} m while releasing` : ''}
+                    at junction ${lowest.junctionId}${lowest.elevationKnown ? '' : ' (elevation not set)'}
+                    ${shortfall.length > 0 ? `<br>⚠️ ${shortfall.length} below ${MIN_RESIDUAL_HEAD} m residual head` : ''}
+                </small>
+            ` : '<small style="display: block; margin-top: 8px;">Not connected to the pipe network</small>'}
+        `;
+    } catch (err) {
+        console.error('Error loading supply head:', err);
+        el.innerHTML = '<small>⚠️ Could not load supply head</small>';
+    }
+}
+
+// ==================== TANK ALERTS ====================
+// Open alerts and the rules that raise them. Rules are evaluated by the server
+// on every reading; an open alert only ends once the value is back past the
+// threshold by the rule's hysteresis.
+
+// The worst reading while the alert was open, when it went past the one that raised it
+function alertPeak(alert) {
+    if (alert.peakValue === null || alert.peakValue === undefined || alert.peakValue === alert.value) return '';
+    const { unit } = ALERT_RULE_TYPES[alert.type] || { unit: '' };
+    return ` • worst ${alert.peakValue}${unit === '%' ? unit : ` ${unit}`}`;
+}
+
+function alertRuleSummary(rule) {
+    const { label, unit } = ALERT_RULE_TYPES[rule.type] || { label: rule.type, unit: '' };
+    let condition;
+    if (rule.type === 'low_level') {
+        condition = `below ${rule.threshold}${unit}`;
+    } else if (rule.type === 'temperature') {
+        condition = [
+            rule.threshold !== null ? `below ${rule.threshold}${unit}` : '',
+            rule.maxThreshold !== null ? `above ${rule.maxThreshold}${unit}` : ''
+        ].filter(Boolean).join(' or ');
+    } else {
+        condition = `above ${rule.threshold} ${unit}`;
+    }
+    return `${label} ${condition} • ±${rule.hysteresis} • ${rule.severity}`;
+}
+
+function updateAlertRuleFields() {
+    const type = document.getElementById('alertRuleType').value;
+    const { unit } = ALERT_RULE_TYPES[type];
+    document.getElementById('alertRuleThresholdLabel').textContent =
+        `${type === 'low_level' || type === 'temperature' ? 'Below' : 'Above'} (${unit})`;
+    document.getElementById('alertRuleMaxGroup').style.display = type === 'temperature' ? 'block' : 'none';
+}
+
+async function loadTankAlerts(tankId) {
+    const list = document.getElementById('tankAlertList');
+    if (!list) return;
+    
+    try {
+        const [rulesResponse, alertsResponse] = await Promise.all([
+            fetch(`http://localhost:3000/api/tank/${tankId}/alert-rules`),
+            fetch(`http://localhost:3000/api/alerts?tankId=${encodeURIComponent(tankId)}&limit=5`)
+        ]);
+        if (!rulesResponse.ok || !alertsResponse.ok) throw new Error('Failed to load alerts');
+        const rules = await rulesResponse.json();
+        const alerts = await alertsResponse.json();
+        
+        const recent = alerts.length === 0
+            ? '<small>No alerts raised yet.</small>'
+            : alerts.map(alert => `
+                <div class="history-entry alert-line alert-${alert.severity}">
+                    <value>${alert.endedAt ? '✅' : '🚨'} ${alert.message}</value>
+                    <small>${new Date(alert.startedAt).toLocaleString()}${alert.endedAt ? ` → ${new Date(alert.endedAt).toLocaleString()}` : ' • ongoing'}${alertPeak(alert)}</small>
+                </div>
+            `).join('');
+        
+        list.innerHTML = recent + (rules.length === 0
+            ? '<small style="display: block; margin-top: 8px;">No alert rules for this tank.</small>'
+            : rules.map(rule => `
+                <div class="schedule-rule ${rule.enabled ? '' : 'disabled'}">
+                    <div>
+                        <value>${alertRuleSummary(rule)}</value>
+                    </div>
+                    <div class="item-actions requires-operator">
+                        <button class="icon-btn edit" title="${rule.enabled ? 'Pause' : 'Resume'}" onclick="toggleAlertRule('${tankId}', ${rule.id}, ${!rule.enabled})">
+                            <i class="fas ${rule.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                        </button>
+                        <button class="icon-btn delete" onclick="deleteAlertRule('${tankId}', ${rule.id})">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `).join(''));
+    } catch (err) {
+        console.error('Error loading tank alerts:', err);
+        list.innerHTML = '<small>⚠️ Could not load alerts</small>';
+    }
+}
+
+async function addAlertRule(tankId) {
+    const type = document.getElementById('alertRuleType').value;
+    const numberOrNull = id => {
+        const raw = document.getElementById(id).value.trim();
+        return raw === '' ? null : parseFloat(raw);
+    };
+    
+    const rule = {
+        type,
+        severity: document.getElementById('alertRuleSeverity').value,
+        threshold: numberOrNull('alertRuleThreshold'),
+        maxThreshold: type === 'temperature' ? numberOrNull('alertRuleMax') : null,
+        hysteresis: numberOrNull('alertRuleHysteresis')
+    };
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank/${tankId}/alert-rules`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rule)
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add alert rule');
+        }
+        
+        console.log(`🚨 Alert rule added for tank ${tankId}: ${type}`);
+        await loadTankAlerts(tankId);
+    } catch (err) {
+        console.error('Error adding alert rule:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+async function toggleAlertRule(tankId, ruleId, enabled) {
+    try {
+        const response = await fetch(`http://localhost:3000/api/alert-rule/${ruleId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update alert rule');
+        }
+        await loadTankAlerts(tankId);
+    } catch (err) {
+        console.error('Error updating alert rule:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+async function deleteAlertRule(tankId, ruleId) {
+    if (!confirm('🗑️ Delete this alert rule?')) return;
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/alert-rule/${ruleId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to delete alert rule');
+        await loadTankAlerts(tankId);
+    } catch (err) {
+        console.error('Error deleting alert rule:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+// ==================== TANK RELEASE SCHEDULE ====================
+
+async function loadTankSchedules(tankId) {
+    const list = document.getElementById('tankScheduleList');
+    if (!list) return;
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank/${tankId}/schedules`);
+        if (!response.ok) throw new Error('Failed to load schedule');
+        const rules = await response.json();
+        
+        list.innerHTML = rules.length === 0
+            ? '<small>No release slots - tank is started and stopped by hand.</small>'
+            : rules.map(rule => `
+                <div class="schedule-rule ${rule.enabled ? '' : 'disabled'}">
+                    <div>
+                        <value>${rule.startTime} - ${rule.endTime}${rule.label ? ` • ${rule.label}` : ''}</value>
+                        <small>${rule.daysOfWeek.split(',').map(d => SCHEDULE_DAY_NAMES[d]).join(', ')} • ${rule.timezone}
+                            ${rule.lastAppliedAt ? `<br>Last ${rule.lastAction}: ${new Date(rule.lastAppliedAt).toLocaleString()}` : ''}</small>
+                    </div>
+                    <div class="item-actions requires-operator">
+                        <button class="icon-btn edit" title="${rule.enabled ? 'Pause' : 'Resume'}" onclick="toggleTankSchedule('${tankId}', ${rule.id}, ${!rule.enabled})">
+                            <i class="fas ${rule.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                        </button>
+                        <button class="icon-btn delete" onclick="deleteTankSchedule('${tankId}', ${rule.id})">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `).join('');
+    } catch (err) {
+        console.error('Error loading tank schedule:', err);
+        list.innerHTML = '<small>⚠️ Could not load schedule</small>';
+    }
+}
+
+async function addTankSchedule(tankId) {
+    const daysOfWeek = [...document.querySelectorAll('.tank-schedule-day:checked')].map(box => parseInt(box.value));
+    if (daysOfWeek.length === 0) {
+        alert('⚠️ Pick at least one day');
+        return;
+    }
+    
+    const rule = {
+        daysOfWeek,
+        startTime: document.getElementById('tankScheduleStart').value,
+        endTime: document.getElementById('tankScheduleEnd').value,
+        label: document.getElementById('tankScheduleLabel').value.trim(),
+        timezone: document.getElementById('tankScheduleTimezone').value.trim()
+    };
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank/${tankId}/schedules`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rule)
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add schedule');
+        }
+        
+        console.log(`⏰ Release slot added for tank ${tankId}: ${rule.startTime}-${rule.endTime}`);
+        await loadTankSchedules(tankId);
+    } catch (err) {
+        console.error('Error adding tank schedule:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+async function toggleTankSchedule(tankId, scheduleId, enabled) {
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank-schedule/${scheduleId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update schedule');
+        }
+        await loadTankSchedules(tankId);
+    } catch (err) {
+        console.error('Error updating tank schedule:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+async function deleteTankSchedule(tankId, scheduleId) {
+    if (!confirm('🗑️ Delete this release slot?')) return;
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank-schedule/${scheduleId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to delete schedule');
+        await loadTankSchedules(tankId);
+    } catch (err) {
+        console.error('Error deleting tank schedule:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+async function saveMinReleaseLevel(tankId) {
+    const raw = document.getElementById('tankMinReleaseLevel').value.trim();
+    const minReleaseLevel = raw === '' ? null : parseFloat(raw);
+    if (minReleaseLevel !== null && (isNaN(minReleaseLevel) || minReleaseLevel < 0)) {
+        alert('⚠️ Minimum level must be a positive number of metres');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`http://localhost:3000/api/tank/${tankId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ minReleaseLevel })
+        });
+        if (!response.ok) throw new Error('Failed to save minimum level');
+        
+        const tank = waterFlowSystem.tanks.find(t => t.tankId === tankId);
+        if (tank) tank.minReleaseLevel = minReleaseLevel;
+        console.log(`🛑 Minimum release level for ${tankId}: ${minReleaseLevel === null ? 'off' : minReleaseLevel + 'm'}`);
+    } catch (err) {
+        console.error('Error saving minimum level:', err);
+        alert('❌ ' + err.message);
+    }
+}
+
+window.loadTankSchedules = loadTankSchedules;
+window.loadSupplyHead = loadSupplyHead;
+window.setDeviceStatus = setDeviceStatus;
+window.applyDeviceStatuses = applyDeviceStatuses;
+window.loadAssetDevices = loadAssetDevices;
+window.loadTankAlerts = loadTankAlerts;
+window.updateAlertRuleFields = updateAlertRuleFields;
+window.addAlertRule = addAlertRule;
+window.toggleAlertRule = toggleAlertRule;
+window.deleteAlertRule = deleteAlertRule;
+window.addTankSchedule = addTankSchedule;
+window.toggleTankSchedule = toggleTankSchedule;
+window.deleteTankSchedule = deleteTankSchedule;
+window.saveMinReleaseLevel = saveMinReleaseLevel;
+
 // ==================== CLEANUP & TOGGLE - FIXED NO RELOAD ====================
 
 window.closeTankSidebar = function() {
@@ -647,7 +1252,7 @@ window.toggleTankFromSidebar = async function(tankId) {
 
         const toggleBtn = document.querySelector('.action-button.success, .action-button.danger');
         if (toggleBtn) {
-            toggleBtn.className = `action-button ${tank.isActive ? 'danger' : 'success'}`;
+            toggleBtn.className = `action-button requires-operator ${tank.isActive ? 'danger' : 'success'}`;
             toggleBtn.innerHTML = `
                 <i class="fas ${tank.isActive ? 'fa-stop' : 'fa-play'}"></i>
                 ${tank.isActive ? '🛑 Stop Water Flow' : '▶️ Start Water Flow'}
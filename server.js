@@ -1,68 +1,72 @@
 const express = require('express');
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
-const admin = require('firebase-admin');
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const NetworkTopology = require('./network-topology');
+const Hydraulics = require('./hydraulics');
+const TankGeometry = require('./tank-geometry');
+const { createIngestionSources } = require('./ingestion-sources');
+const Notifications = require('./notifications');
+const { MEASUREMENT_MODES, measurementField, readingToLevel } = require('./level-conversion');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Keep the raw body: device signatures are computed over the exact bytes sent
+// Batch uploads from devices that were offline for hours exceed the 100kb default
+app.use(express.json({ limit: '1mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 const db = new sqlite3.Database('./pipeline.db');
+const DB_BUSY_TIMEOUT = 10000; // ms to wait for another connection's write lock
+db.configure('busyTimeout', DB_BUSY_TIMEOUT);
+// One statement at a time: SQLite skips the busy handler (failing at once with
+// SQLITE_BUSY) for a write on a connection that still has a read in flight,
+// which is how the topology connection's lock would otherwise surface
+db.serialize();
 
-// ==================== FIREBASE ADMIN INITIALIZATION ====================
-
-let firebaseApp = null;
-
-function initFirebase() {
-    if (firebaseApp) return firebaseApp;
-
-    // Check environment
-    if (process.env.NODE_ENV === 'production') {
-        // Production: Use environment variables
-        console.log('🔥 Initializing Firebase from environment variables...');
-        
-        const serviceAccount = {
-            type: 'service_account',
-            project_id: process.env.FIREBASE_PROJECT_ID,
-            private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-            private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-            client_email: process.env.FIREBASE_CLIENT_EMAIL,
-            client_id: process.env.FIREBASE_CLIENT_ID,
-            auth_uri: 'https://accounts.google.com/o/oauth2/auth',
-            token_uri: 'https://oauth2.googleapis.com/token',
-            auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
-        };
+// CREATE TABLE IF NOT EXISTS leaves existing databases alone, so later columns are added here
+function addColumn(table, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+        if (err && !/duplicate column/i.test(err.message)) {
+            console.error(`❌ Error adding column to ${table}:`, err);
+        }
+    });
+}
 
-        firebaseApp = admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount),
-            databaseURL: process.env.FIREBASE_DATABASE_URL
+// Promise wrappers for handlers that chain several statements. They run on the
+// shared connection unless given another (topology changes have their own).
+function dbRun(sql, params = [], connection = db) {
+    return new Promise((resolve, reject) => {
+        connection.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
         });
-    } else {
-        // Development: Use JSON file
-        console.log('🔥 Initializing Firebase from JSON file...');
-        try {
-            const serviceAccount = require('./firebase-service-account.json');
-            firebaseApp = admin.initializeApp({
-                credential: admin.credential.cert(serviceAccount),
-                databaseURL: 'https://jal-mahakal-shakti-default-rtdb.asia-southeast1.firebasedatabase.app/'
-            });
-        } catch (err) {
-            console.error('❌ Error loading Firebase credentials:', err.message);
-            console.log('💡 Make sure firebase-service-account.json exists for local development');
-        }
-    }
+    });
+}
 
-    console.log('✅ Firebase initialized successfully');
-    return firebaseApp;
+function dbGet(sql, params = [], connection = db) {
+    return new Promise((resolve, reject) => {
+        connection.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
 }
 
-// Initialize Firebase
-initFirebase();
-const firebaseDb = admin.database();
+function dbAll(sql, params = [], connection = db) {
+    return new Promise((resolve, reject) => {
+        connection.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+}
 
 // ==================== DATABASE SETUP ====================
+// Foreign keys are not enforced (PRAGMA foreign_keys is off), so the FOREIGN KEY
+// clauses only document the links. Routes that delete a row clean up its
+// schedules, rules, subscriptions and the like themselves.
 
 db.serialize(() => {
     db.run(`
@@ -138,168 +142,1289 @@ db.serialize(() => {
     
     db.run(`CREATE INDEX IF NOT EXISTS idx_sensor_deviceId ON sensor_data_history(deviceId)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_sensor_timestamp ON sensor_data_history(timestamp)`);
+    
+    addColumn('tanks', 'stagingHeight REAL DEFAULT 0');
+    addColumn('tanks', 'minReleaseLevel REAL');
+    addColumn('tanks', "measurementMode TEXT DEFAULT 'level'");
+    addColumn('tanks', 'deadBand REAL DEFAULT 0');
+    addColumn('tanks', 'levelOffset REAL DEFAULT 0');
+    addColumn('tanks', 'length REAL');
+    addColumn('tanks', 'width REAL');
+    addColumn('tanks', 'coneHeight REAL');
+    addColumn('tanks', 'bottomDiameter REAL');
+    addColumn('tanks', 'domeRise REAL');
+    addColumn('tanks', 'calibrationTable TEXT');
+    addColumn('tanks', 'groundElevation REAL DEFAULT 0');
+    addColumn('pipelines', 'name TEXT');
+    addColumn('pipelines', 'diameter REAL');
+    addColumn('pipelines', 'material TEXT');
+    addColumn('pipelines', 'installYear INTEGER');
+    addColumn('pipelines', 'pressureClass TEXT');
+    addColumn('pipelines', 'zone TEXT');
+    addColumn('gate_valves', 'openingPercent INTEGER DEFAULT 100');
+    addColumn('gate_valves', "checkDirection TEXT DEFAULT 'forward'");
+    addColumn('gate_valves', 'flowBearing REAL');
+    addColumn('sensor_data_history', 'sequence INTEGER');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sensor_sequence ON sensor_data_history(deviceId, sequence)`);
+    // The device's own clock reading, before any skew correction, for spotting retried uploads
+    addColumn('sensor_data_history', 'deviceTimestamp TEXT');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sensor_device_time ON sensor_data_history(deviceId, deviceTimestamp)`);
+    
+    // isOpen stays as the "passes any water" flag; a closed valve is 0% open
+    db.run('UPDATE gate_valves SET openingPercent = 0 WHERE isOpen = 0 AND openingPercent != 0');
+    db.run('UPDATE gate_valves SET openingPercent = 100 WHERE isOpen = 1 AND (openingPercent IS NULL OR openingPercent = 0)');
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS network_junctions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            latitude REAL NOT NULL,
+            longitude REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    addColumn('network_junctions', 'elevation REAL');
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS network_edges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pipelineId INTEGER NOT NULL,
+            segmentIndex INTEGER NOT NULL,
+            fromJunctionId INTEGER NOT NULL,
+            toJunctionId INTEGER NOT NULL,
+            length REAL NOT NULL,
+            FOREIGN KEY (pipelineId) REFERENCES pipelines(id),
+            FOREIGN KEY (fromJunctionId) REFERENCES network_junctions(id),
+            FOREIGN KEY (toJunctionId) REFERENCES network_junctions(id)
+        )
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS network_attachments (
+            entityType TEXT NOT NULL,
+            entityId TEXT NOT NULL,
+            junctionId INTEGER NOT NULL,
+            PRIMARY KEY (entityType, entityId),
+            FOREIGN KEY (junctionId) REFERENCES network_junctions(id)
+        )
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS valve_schedules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            valveId TEXT NOT NULL,
+            label TEXT,
+            daysOfWeek TEXT NOT NULL,
+            startTime TEXT NOT NULL,
+            endTime TEXT NOT NULL,
+            timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+            openingPercent INTEGER NOT NULL DEFAULT 100,
+            enabled INTEGER DEFAULT 1,
+            lastAction TEXT,
+            lastAppliedAt DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (valveId) REFERENCES gate_valves(valveId)
+        )
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS tank_schedules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tankId TEXT NOT NULL,
+            label TEXT,
+            daysOfWeek TEXT NOT NULL,
+            startTime TEXT NOT NULL,
+            endTime TEXT NOT NULL,
+            timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+            enabled INTEGER DEFAULT 1,
+            lastAction TEXT,
+            lastAppliedAt DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tankId) REFERENCES tanks(tankId)
+        )
+    `);
+    
+    // threshold is the lower bound and maxThreshold the upper one for
+    // temperature rules; every other type only uses threshold
+    db.run(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tankId TEXT NOT NULL,
+            type TEXT NOT NULL,
+            threshold REAL,
+            maxThreshold REAL,
+            hysteresis REAL NOT NULL DEFAULT 0,
+            severity TEXT NOT NULL DEFAULT 'warning',
+            enabled INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tankId) REFERENCES tanks(tankId)
+        )
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ruleId INTEGER,
+            tankId TEXT NOT NULL,
+            type TEXT NOT NULL,
+            severity TEXT NOT NULL,
+            message TEXT,
+            value REAL,
+            peakValue REAL,
+            startedAt TEXT NOT NULL,
+            endedAt TEXT
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_alerts_tank ON alerts(tankId, endedAt)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_alerts_rule ON alerts(ruleId, endedAt)`);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS notification_channels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL,
+            config TEXT NOT NULL DEFAULT '{}',
+            enabled INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    // events is a comma-separated list of event types, or '*' for all of them;
+    // a mandal limits the subscription to tanks and valves in that mandal
+    db.run(`
+        CREATE TABLE IF NOT EXISTS notification_subscriptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER NOT NULL,
+            channelId INTEGER NOT NULL,
+            target TEXT,
+            mandal TEXT,
+            events TEXT NOT NULL DEFAULT '*',
+            enabled INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userId) REFERENCES users(id),
+            FOREIGN KEY (channelId) REFERENCES notification_channels(id)
+        )
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS notification_templates (
+            eventType TEXT PRIMARY KEY,
+            subject TEXT NOT NULL,
+            body TEXT NOT NULL,
+            updatedBy TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS notification_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            eventType TEXT NOT NULL,
+            channelId INTEGER,
+            subscriptionId INTEGER,
+            target TEXT,
+            subject TEXT,
+            body TEXT,
+            data TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            lastError TEXT,
+            nextAttemptAt TEXT,
+            deliveredAt TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_deliveries_pending ON notification_deliveries(status, nextAttemptAt)`);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timestamp TEXT NOT NULL,
+            actor TEXT NOT NULL,
+            entityType TEXT NOT NULL,
+            entityId TEXT NOT NULL,
+            action TEXT NOT NULL,
+            before TEXT,
+            after TEXT,
+            reason TEXT
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entityType, entityId, timestamp)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp)`);
+    
+    // Append-only: history rows can be added but never rewritten or removed
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            passwordHash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'viewer',
+            disabled INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    // Set by an admin; the only address the user may send email notifications to
+    addColumn('users', 'email TEXT');
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            tokenHash TEXT PRIMARY KEY,
+            userId INTEGER NOT NULL,
+            expiresAt TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `, (err) => {
+        if (err) {
+            console.error('❌ Error creating user tables:', err);
+            return;
+        }
+        ensureAdminUser().catch(adminErr => console.error('❌ Error creating administrator:', adminErr));
+    });
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS device_credentials (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deviceId TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active',
+            expiresAt TEXT,
+            lastUsedAt TEXT,
+            revokedAt TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_device_credentials_deviceId ON device_credentials(deviceId)`);
+    
+    // Signatures already accepted, until they fall out of the signature window
+    db.run(`
+        CREATE TABLE IF NOT EXISTS device_signatures (
+            signature TEXT PRIMARY KEY,
+            deviceId TEXT NOT NULL,
+            expiresAt INTEGER NOT NULL
+        )
+    `);
+    
+    // One row per device, rewritten on every reading (see DEVICE STATUS)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS device_status (
+            deviceId TEXT PRIMARY KEY,
+            tankId TEXT,
+            status TEXT NOT NULL DEFAULT 'online',
+            lastSeen TEXT,
+            lastReadingAt TEXT,
+            lastValue REAL,
+            battery REAL,
+            rssi REAL,
+            readingCount INTEGER NOT NULL DEFAULT 0,
+            offlineSince TEXT
+        )
+    `);
+    // Set by the reading that finds a device offline, cleared by the next one
+    addColumn('device_status', 'recoveredOfflineSince TEXT');
+    
+    // Every sensor, attached to a tank, valve or pipeline junction (or to
+    // nothing while it is in stock). tanks.deviceId stays as the tank's main
+    // level sensor, which the sidebar streams (see DEVICE REGISTRY)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS devices (
+            deviceId TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            model TEXT,
+            units TEXT,
+            installDate TEXT,
+            assetType TEXT,
+            assetId TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_devices_asset ON devices(assetType, assetId)`);
+    // Tanks linked before the registry existed keep their sensor
+    db.run(`
+        INSERT OR IGNORE INTO devices (deviceId, type, units, assetType, assetId)
+        SELECT TRIM(deviceId), 'level', 'm', 'tank', tankId FROM tanks
+        WHERE deviceId IS NOT NULL AND TRIM(deviceId) != ''
+    `);
+    
+    // Readings from flow meters, pressure loggers and valve position sensors;
+    // level readings go to sensor_data_history with the tank metrics
+    db.run(`
+        CREATE TABLE IF NOT EXISTS device_readings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deviceId TEXT NOT NULL,
+            type TEXT NOT NULL,
+            assetType TEXT,
+            assetId TEXT,
+            value REAL,
+            units TEXT,
+            timestamp TEXT NOT NULL,
+            sequence INTEGER,
+            rawData TEXT
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_device_readings_device ON device_readings(deviceId, timestamp)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_device_readings_sequence ON device_readings(deviceId, sequence)`);
+    addColumn('device_readings', 'deviceTimestamp TEXT');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_device_readings_device_time ON device_readings(deviceId, deviceTimestamp)`);
+    
+    db.run(`
+        CREATE TABLE IF NOT EXISTS device_auth_rejections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deviceId TEXT,
+            reason TEXT NOT NULL,
+            ip TEXT,
+            timestamp TEXT NOT NULL
+        )
+    `);
+    
+    db.run(`CREATE INDEX IF NOT EXISTS idx_edges_pipelineId ON network_edges(pipelineId)`, (err) => {
+        if (err) {
+            console.error('❌ Error creating network tables:', err);
+            return;
+        }
+        changeTopology(backfillTopology).catch(backfillErr => {
+            console.error('❌ Error backfilling network topology:', backfillErr);
+        });
+    });
 });
 
-// ==================== SSE CLIENT MANAGEMENT ====================
+// ==================== AUTHENTICATION ====================
+// Local accounts with scrypt-hashed passwords and bearer session tokens. Roles
+// are ranked: viewers read, operators run valves, tanks and schedules, admins
+// change the network itself and manage accounts.
 
-const sseClients = new Map();
-const firebaseListeners = new Map();
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
 
-// ==================== SENSOR DATA CALCULATION UTILITIES ====================
+// Device ingress keeps its own (per-device) authentication
+const PUBLIC_ROUTES = [
+    { method: 'POST', path: '/auth/login' },
+    { method: 'POST', path: '/sensor/data' },
+    { method: 'POST', path: '/sensor/batch' }
+];
 
-function calculateWaterMetrics(sensorHeight, tankDiameter, tankHeight, tankCapacity, tankShape) {
-    const waterLevel = sensorHeight;
-    let volumeLiters = 0;
-    let percentageFull = 0;
-    
-    if (tankShape === 'Cylinder') {
-        const radius = tankDiameter / 2;
-        const volumeM3 = Math.PI * Math.pow(radius, 2) * waterLevel;
-        volumeLiters = volumeM3 * 1000;
-    } else if (tankShape === 'Cuboid') {
-        const volumeM3 = tankDiameter * tankDiameter * waterLevel;
-        volumeLiters = volumeM3 * 1000;
+function scryptAsync(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, key) => err ? reject(err) : resolve(key));
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scryptAsync(password, salt);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, keyHex] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+    const key = await scryptAsync(password, Buffer.from(saltHex, 'hex'));
+    const expected = Buffer.from(keyHex, 'hex');
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Only the hash of a session token is stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role, email: user.email || null, disabled: user.disabled === 1 };
+}
+
+function hasRole(user, role) {
+    return !!user && ROLE_LEVELS[user.role] >= ROLE_LEVELS[role];
+}
+
+function requestToken(req) {
+    const header = req.get ? req.get('Authorization') : req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) return header.slice(7);
+    // EventSource and WebSocket can't set headers
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+}
+
+async function sessionUser(token) {
+    if (!token) return null;
+    return dbGet(
+        `SELECT users.* FROM sessions JOIN users ON users.id = sessions.userId
+         WHERE sessions.tokenHash = ? AND sessions.expiresAt > ? AND users.disabled = 0`,
+        [hashToken(token), new Date().toISOString()]
+    );
+}
+
+async function authenticate(req, res, next) {
+    if (PUBLIC_ROUTES.some(route => route.method === req.method && route.path === req.path)) return next();
+    try {
+        const user = await sessionUser(requestToken(req));
+        if (!user) return res.status(401).json({ error: 'Login required' });
+        req.user = user;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    
-    percentageFull = (volumeLiters / tankCapacity) * 100;
-    const pressureKPa = (1000 * 9.81 * waterLevel) / 1000;
-    
-    return {
-        waterLevel: parseFloat(waterLevel.toFixed(2)),
-        volumeLiters: parseFloat(volumeLiters.toFixed(2)),
-        percentageFull: parseFloat(percentageFull.toFixed(2)),
-        pressureKPa: parseFloat(pressureKPa.toFixed(2))
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (hasRole(req.user, role)) return next();
+        res.status(403).json({ error: `Requires ${role} role` });
     };
 }
 
-// ==================== FIREBASE REAL-TIME LISTENER ====================
+// Operators may change these fields on an existing asset; any other field is an admin edit
+function requireRoleForFields(operatorFields) {
+    return (req, res, next) => {
+        const fields = Object.keys(req.body || {}).filter(key => key !== 'reason');
+        const operational = fields.length > 0 && fields.every(key => operatorFields.includes(key));
+        requireRole(operational ? 'operator' : 'admin')(req, res, next);
+    };
+}
 
-function startRealtimeListener(deviceId, tankId) {
-    if (firebaseListeners.has(deviceId)) {
-        console.log(`⏭️  Already listening to device ${deviceId}`);
-        return;
-    }
+// First start: make sure someone can log in
+async function ensureAdminUser() {
+    const row = await dbGet('SELECT COUNT(*) AS count FROM users');
+    if (row.count > 0) return;
     
-    console.log(`🎧 Starting real-time listener for device ${deviceId}`);
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+    await dbRun('INSERT INTO users (username, passwordHash, role) VALUES (?, ?, ?)',
+        [username, await hashPassword(password), 'admin']);
     
-    const deviceRef = firebaseDb.ref(`devices/${deviceId}/latest`);
+    console.log(`🔑 Created administrator "${username}"`);
+    if (!process.env.ADMIN_PASSWORD) {
+        console.log(`🔑 Generated password: ${password} (change it after logging in)`);
+    }
+}
+
+function validateRole(role) {
+    return Object.keys(ROLE_LEVELS).includes(role) ? null : `role must be one of ${Object.keys(ROLE_LEVELS).join(', ')}`;
+}
+
+function validateEmail(email) {
+    return email === null || email === '' || EMAIL_PATTERN.test(String(email)) ? null : 'email must be an email address';
+}
+
+function validatePassword(password) {
+    return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+        ? null
+        : `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+}
+
+// Never leave the system without an enabled administrator
+async function isLastAdmin(userId) {
+    const row = await dbGet(
+        "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND disabled = 0 AND id != ?",
+        [userId]
+    );
+    return row.count === 0;
+}
+
+app.use('/api', authenticate);
+
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) return res.status(400).json({ error: 'username and password required' });
     
-    const listener = deviceRef.on('value', async (snapshot) => {
-        const sensorData = snapshot.val();
-        
-        if (!sensorData) {
-            console.log(`⚠️  No data for device ${deviceId}`);
-            return;
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE username = ?', [username]);
+        const valid = user && user.disabled === 0 && await verifyPassword(password, user.passwordHash);
+        if (!valid) {
+            console.log(`🚫 Failed login for "${username}"`);
+            return res.status(401).json({ error: 'Invalid username or password' });
         }
         
-        console.log(`🔥 Received real-time update for device ${deviceId}:`, sensorData);
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL).toISOString();
+        await dbRun('DELETE FROM sessions WHERE expiresAt <= ?', [new Date().toISOString()]);
+        await dbRun('INSERT INTO sessions (tokenHash, userId, expiresAt) VALUES (?, ?, ?)',
+            [hashToken(token), user.id, expiresAt]);
         
-        db.get('SELECT * FROM tanks WHERE deviceId = ?', [deviceId], (err, tank) => {
-            if (err || !tank) {
-                console.error(`❌ Tank not found for device ${deviceId}`);
-                return;
-            }
-            
-            const metrics = calculateWaterMetrics(
-                sensorData.waterLevel || sensorData.sensorHeight || 0,
-                tank.diameter,
-                tank.height,
-                tank.capacity,
-                tank.shape
-            );
-            
-            metrics.temperature = sensorData.temperature || null;
-            metrics.timestamp = sensorData.timestamp || new Date().toISOString();
-            
-            db.run(
-                `INSERT INTO sensor_data_history 
-                (deviceId, tankId, waterLevel, volumeLiters, pressure, temperature, timestamp, rawData) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    deviceId,
-                    tank.tankId,
-                    metrics.waterLevel,
-                    metrics.volumeLiters,
-                    metrics.pressureKPa,
-                    metrics.temperature,
-                    metrics.timestamp,
-                    JSON.stringify(sensorData)
-                ],
-                (insertErr) => {
-                    if (insertErr) {
-                        console.error('❌ Error storing sensor data:', insertErr);
-                    } else {
-                        console.log(`💾 Stored sensor data for device ${deviceId}`);
-                    }
-                }
-            );
-            
-            db.run(
-                'UPDATE tanks SET waterLevel = ? WHERE deviceId = ?',
-                [metrics.waterLevel, deviceId]
-            );
-            
-            // Send to SSE clients
-            const clients = sseClients.get(deviceId) || [];
-            const payload = {
-                deviceId,
-                tankId: tank.tankId,
-                ...metrics,
-                rawData: sensorData
-            };
-            
-            const message = `data: ${JSON.stringify(payload)}\n\n`;
-            clients.forEach(client => {
-                try {
-                    client.write(message);
-                } catch (err) {
-                    console.error(`❌ Error sending to client:`, err);
-                }
-            });
-            
-            console.log(`📤 Broadcasted sensor data to ${clients.length} SSE client(s)`);
-        });
-    }, (error) => {
-        console.error(`❌ Firebase listener error for device ${deviceId}:`, error);
-    });
-    
-    firebaseListeners.set(deviceId, { ref: deviceRef, listener });
-}
+        console.log(`🔑 ${user.username} logged in (${user.role})`);
+        res.json({ token, expiresAt, user: publicUser(user) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-function stopRealtimeListener(deviceId) {
-    const listenerInfo = firebaseListeners.get(deviceId);
-    if (listenerInfo) {
-        listenerInfo.ref.off('value', listenerInfo.listener);
-        firebaseListeners.delete(deviceId);
-        console.log(`🔇 Stopped real-time listener for device ${deviceId}`);
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await dbRun('DELETE FROM sessions WHERE tokenHash = ?', [hashToken(requestToken(req))]);
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-}
+});
 
-// ==================== SSE STREAMING ENDPOINT ====================
+app.get('/api/auth/me', (req, res) => {
+    res.json(publicUser(req.user));
+});
 
-app.get('/api/stream/device/:deviceId', (req, res) => {
-    const { deviceId } = req.params;
-    
-    console.log(`🔌 Client connected to SSE stream for device ${deviceId}`);
+app.put('/api/auth/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const problem = validatePassword(newPassword);
+    if (problem) return res.status(400).json({ error: problem });
     
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
+    try {
+        if (!await verifyPassword(currentPassword || '', req.user.passwordHash)) {
+            return res.status(403).json({ error: 'Current password is wrong' });
+        }
+        await dbRun('UPDATE users SET passwordHash = ? WHERE id = ?', [await hashPassword(newPassword), req.user.id]);
+        // Sign out every other session of this account
+        await dbRun('DELETE FROM sessions WHERE userId = ? AND tokenHash != ?', [req.user.id, hashToken(requestToken(req))]);
+        res.json({ message: 'Password changed' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    db.all('SELECT * FROM users ORDER BY username', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(publicUser));
     });
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    const { username, password, role = 'viewer', email = null } = req.body;
+    if (!username) return res.status(400).json({ error: 'username required' });
+    const problem = validateRole(role) || validatePassword(password) || validateEmail(email);
+    if (problem) return res.status(400).json({ error: problem });
     
-    if (!sseClients.has(deviceId)) {
-        sseClients.set(deviceId, []);
+    try {
+        const existing = await dbGet('SELECT id FROM users WHERE username = ?', [username]);
+        if (existing) return res.status(409).json({ error: `User ${username} already exists` });
+        
+        const result = await dbRun('INSERT INTO users (username, passwordHash, role, email) VALUES (?, ?, ?, ?)',
+            [username, await hashPassword(password), role, email || null]);
+        console.log(`👤 ${req.user.username} created user ${username} (${role})`);
+        res.json({ id: result.lastID, username, role, email: email || null, message: 'User created' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    sseClients.get(deviceId).push(res);
+});
+
+app.put('/api/user/:id', requireRole('admin'), async (req, res) => {
+    const { role, password, disabled, email } = req.body;
+    const problem = (role !== undefined && validateRole(role)) || (password !== undefined && validatePassword(password)) ||
+        (email !== undefined && validateEmail(email));
+    if (problem) return res.status(400).json({ error: problem });
     
-    db.get('SELECT tankId FROM tanks WHERE deviceId = ?', [deviceId], (err, tank) => {
-        if (tank) {
-            startRealtimeListener(deviceId, tank.tankId);
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        
+        const demoted = (role !== undefined && role !== 'admin') || disabled;
+        if (user.role === 'admin' && demoted && await isLastAdmin(user.id)) {
+            return res.status(400).json({ error: 'Cannot remove the last administrator' });
         }
+        
+        const updates = [];
+        const values = [];
+        if (role !== undefined) { updates.push('role = ?'); values.push(role); }
+        if (password !== undefined) { updates.push('passwordHash = ?'); values.push(await hashPassword(password)); }
+        if (disabled !== undefined) { updates.push('disabled = ?'); values.push(disabled ? 1 : 0); }
+        if (email !== undefined) { updates.push('email = ?'); values.push(email || null); }
+        if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
+        
+        await dbRun(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [...values, user.id]);
+        if (password !== undefined || disabled) {
+            await dbRun('DELETE FROM sessions WHERE userId = ?', [user.id]);
+        }
+        res.json({ message: 'User updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/user/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.role === 'admin' && await isLastAdmin(user.id)) {
+            return res.status(400).json({ error: 'Cannot remove the last administrator' });
+        }
+        
+        await dbRun('DELETE FROM sessions WHERE userId = ?', [user.id]);
+        await dbRun('DELETE FROM notification_subscriptions WHERE userId = ?', [user.id]);
+        await dbRun('DELETE FROM users WHERE id = ?', [user.id]);
+        res.json({ message: 'User deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== SSE CLIENT MANAGEMENT ====================
+
+const sseClients = new Map();
+
+// ==================== SENSOR DATA CALCULATION UTILITIES ====================
+
+// Water surface above the elevation datum shared with network junctions:
+// ground elevation + staging (floor) height + level
+function tankSupplyHead(tank, waterLevel) {
+    return (tank.groundElevation || 0) + (tank.stagingHeight || 0) + waterLevel;
+}
+
+// Volume comes from the tank's calibration table if it has one, else its shape (tank-geometry.js)
+function calculateWaterMetrics(waterLevel, tank) {
+    const volumeLiters = TankGeometry.volumeLiters(tank, waterLevel);
+    const capacity = tank.capacity || TankGeometry.fullVolumeLiters(tank);
+    const percentageFull = capacity > 0 ? (volumeLiters / capacity) * 100 : 0;
+    // pressureKPa is at the tank floor; what the distribution main gets is the
+    // supply head - the water surface above the common elevation datum
+    const pressureKPa = (1000 * 9.81 * waterLevel) / 1000;
+    const headAboveGround = (tank.stagingHeight || 0) + waterLevel;
+    
+    return {
+        waterLevel: parseFloat(waterLevel.toFixed(2)),
+        volumeLiters: parseFloat(volumeLiters.toFixed(2)),
+        percentageFull: parseFloat(percentageFull.toFixed(2)),
+        pressureKPa: parseFloat(pressureKPa.toFixed(2)),
+        supplyHead: parseFloat(tankSupplyHead(tank, waterLevel).toFixed(2)),
+        headAboveGround: parseFloat(headAboveGround.toFixed(2)),
+        groundPressureKPa: parseFloat((headAboveGround * 9.81).toFixed(2))
+    };
+}
+
+// ==================== INGESTION SERVICE ====================
+// Readings are stored whether or not anyone is watching: every device attached
+// to an asset stays subscribed on the configured sources (ingestion-sources.js)
+// for as long as it is attached, and SSE streams only fan out what has been saved.
+
+// Store one reading for a device and push it to SSE viewers. The device's type
+// in the registry decides what it measures: level sensors update their tank,
+// everything else is kept in device_readings. `receivedAt` stamps readings whose
+// source clock isn't trusted; `timestamp` replaces the device's own time after a
+// clock correction. A numeric `sequence` in the reading identifies it regardless
+// of time; without one, the device's own timestamp does. That is stored apart
+// from the corrected time, because the skew measured for a retried upload
+// differs by its network latency. Resolves to { id, metrics, ... }, { duplicate: true } if this reading
+// is already stored, { error } if it has no usable value for the device, or null
+// if the device isn't attached to anything.
+async function ingestReading(deviceId, sensorData, options = {}) {
+    const device = await attachedDevice(deviceId);
+    if (!device) return null;
+    if (device.type !== 'level') return ingestDeviceReading(device, sensorData, options);
+    
+    const tank = device.assetType === 'tank'
+        ? await dbGet('SELECT * FROM tanks WHERE tankId = ?', [device.assetId])
+        : null;
+    return tank ? ingestLevelReading(device, tank, sensorData, options) : null;
+}
+
+// The reading's time by the device clock, uncorrected, as ISO
+function deviceTimestamp(sensorData) {
+    if (sensorData.timestamp === undefined || sensorData.timestamp === null) return null;
+    const time = new Date(sensorData.timestamp);
+    return isNaN(time.getTime()) ? null : time.toISOString();
+}
+
+// Re-subscribing replays the device's latest value and buffered uploads get
+// retried - don't store either twice
+async function findStoredReading(table, deviceId, sequence, deviceTime, receivedAt) {
+    if (sequence !== null) {
+        return dbGet(`SELECT id FROM ${table} WHERE deviceId = ? AND sequence = ?`, [deviceId, sequence]);
+    }
+    if (!receivedAt && deviceTime) {
+        return dbGet(`SELECT id FROM ${table} WHERE deviceId = ? AND deviceTimestamp = ?`, [deviceId, deviceTime]);
+    }
+    return null;
+}
+
+// Back-filled readings go into history without moving the live value back
+async function isLatestReading(table, deviceId, timestamp) {
+    const latest = await dbGet(`SELECT MAX(timestamp) AS timestamp FROM ${table} WHERE deviceId = ?`, [deviceId]);
+    return !latest.timestamp || new Date(timestamp) >= new Date(latest.timestamp);
+}
+
+async function ingestLevelReading(device, tank, sensorData, { receivedAt, timestamp } = {}) {
+    const { deviceId } = device;
+    const sequence = Number.isInteger(sensorData.sequence) ? sensorData.sequence : null;
+    const deviceTime = deviceTimestamp(sensorData);
+    
+    const existing = await findStoredReading('sensor_data_history', deviceId, sequence, deviceTime, receivedAt);
+    if (existing) return { duplicate: true, id: existing.id, tank };
+    
+    const reading = readingToLevel(tank, sensorData);
+    if (!reading) {
+        const field = measurementField(tank.measurementMode || 'level');
+        return { error: `Reading for tank ${tank.tankId} needs a numeric ${field}` };
+    }
+    const metrics = calculateWaterMetrics(reading.waterLevel, tank);
+    metrics.rawValue = reading.rawValue;
+    metrics.measurementMode = tank.measurementMode || 'level';
+    if (reading.inDeadBand) metrics.inDeadBand = true;
+    metrics.temperature = sensorData.temperature || null;
+    metrics.timestamp = receivedAt || timestamp || deviceTime || new Date().toISOString();
+    
+    const isLatest = await isLatestReading('sensor_data_history', deviceId, metrics.timestamp);
+    
+    const result = await dbRun(
+        `INSERT INTO sensor_data_history 
+        (deviceId, tankId, waterLevel, volumeLiters, pressure, temperature, timestamp, deviceTimestamp, sequence, rawData) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            deviceId,
+            tank.tankId,
+            metrics.waterLevel,
+            metrics.volumeLiters,
+            metrics.pressureKPa,
+            metrics.temperature,
+            metrics.timestamp,
+            deviceTime,
+            sequence,
+            JSON.stringify(sensorData)
+        ]
+    );
+    await recordHeartbeat(device, sensorData, { value: metrics.waterLevel, timestamp: metrics.timestamp }, isLatest);
+    if (!isLatest) return { id: result.lastID, tank, metrics, backfilled: true };
+    
+    await dbRun('UPDATE tanks SET waterLevel = ? WHERE tankId = ?', [metrics.waterLevel, tank.tankId]);
+    networkStateChanged();
+    
+    publishReading({
+        deviceId,
+        tankId: tank.tankId,
+        ...metrics,
+        rawData: sensorData
+    });
+    
+    await evaluateAlertRules(tank, metrics);
+    
+    return { id: result.lastID, tank, metrics };
+}
+
+// Flow meters, pressure loggers and valve position sensors: one value in the
+// device's units
+async function ingestDeviceReading(device, sensorData, { receivedAt, timestamp } = {}) {
+    const { deviceId } = device;
+    const sequence = Number.isInteger(sensorData.sequence) ? sensorData.sequence : null;
+    const deviceTime = deviceTimestamp(sensorData);
+    
+    const existing = await findStoredReading('device_readings', deviceId, sequence, deviceTime, receivedAt);
+    if (existing) return { duplicate: true, id: existing.id, device };
+    
+    const value = deviceReadingValue(device.type, sensorData);
+    if (value === null) {
+        return { error: `Reading for ${device.type} device ${deviceId} needs one of: ${DEVICE_TYPES[device.type].fields.join(', ')}` };
+    }
+    const metrics = {
+        type: device.type,
+        value,
+        units: device.units || DEVICE_TYPES[device.type].defaultUnits,
+        timestamp: receivedAt || timestamp || deviceTime || new Date().toISOString()
+    };
+    
+    const isLatest = await isLatestReading('device_readings', deviceId, metrics.timestamp);
+    
+    const result = await dbRun(
+        `INSERT INTO device_readings (deviceId, type, assetType, assetId, value, units, timestamp, deviceTimestamp, sequence, rawData)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [deviceId, device.type, device.assetType, device.assetId, metrics.value, metrics.units,
+         metrics.timestamp, deviceTime, sequence, JSON.stringify(sensorData)]
+    );
+    await recordHeartbeat(device, sensorData, metrics, isLatest);
+    if (!isLatest) return { id: result.lastID, device, metrics, backfilled: true };
+    
+    publishReading({
+        deviceId,
+        assetType: device.assetType,
+        assetId: device.assetId,
+        ...metrics,
+        rawData: sensorData
+    });
+    
+    return { id: result.lastID, device, metrics };
+}
+
+function publishReading(payload) {
+    const clients = sseClients.get(payload.deviceId) || [];
+    const message = `data: ${JSON.stringify(payload)}\n\n`;
+    clients.forEach(client => {
+        try {
+            client.write(message);
+        } catch (err) {
+            console.error('❌ Error sending to SSE client:', err);
+        }
+    });
+    if (clients.length > 0) {
+        console.log(`📤 Broadcasted sensor data to ${clients.length} SSE client(s)`);
+    }
+}
+
+const ingestionSources = createIngestionSources();
+const httpPushSource = ingestionSources.find(source => source.type === 'http');
+
+ingestionSources.forEach(source => {
+    try {
+        source.start(ingestReading, attachedDevice);
+        console.log(`📥 Ingestion source started: ${source.type}`);
+    } catch (err) {
+        // A source that can't start (e.g. no Firebase credentials) doesn't stop the server
+        source.failed = err.message;
+        console.error(`❌ Ingestion source ${source.type} failed to start:`, err.message);
+    }
+});
+
+// Hand the attached devices to every subscription-based source. Runs at
+// startup and whenever a device is registered, re-attached or removed.
+async function syncIngestion() {
+    const rows = await dbAll('SELECT deviceId FROM devices WHERE assetId IS NOT NULL');
+    const deviceIds = rows.map(row => row.deviceId);
+    ingestionSources
+        .filter(source => !source.failed)
+        .forEach(source => source.syncDevices(deviceIds));
+}
+
+function resyncIngestion() {
+    syncIngestion().catch(err => console.error('❌ Error syncing ingestion sources:', err));
+}
+
+app.get('/api/ingestion/status', (req, res) => {
+    res.json(ingestionSources.map(source => ({
+        ...source.status(),
+        state: source.failed ? 'failed' : 'running',
+        error: source.failed || undefined
+    })));
+});
+
+// ==================== DEVICE STATUS ====================
+// Registry of when each device was last heard from, kept by ingestReading.
+// A linked device is stale after DEVICE_STALE_MINUTES without a reading and
+// offline after DEVICE_OFFLINE_MINUTES; going offline (and coming back) is
+// broadcast as device_offline / device_online, which also notifies subscribers.
+
+const DEVICE_OFFLINE_AFTER = (parseFloat(process.env.DEVICE_OFFLINE_MINUTES) || 15) * 60 * 1000;
+const DEVICE_STALE_AFTER = Math.min((parseFloat(process.env.DEVICE_STALE_MINUTES) || 5) * 60 * 1000, DEVICE_OFFLINE_AFTER);
+const DEVICE_CHECK_INTERVAL = 60 * 1000;
+
+// Optional health values devices include next to the reading, by the names firmware uses
+const DEVICE_HEALTH_FIELDS = {
+    battery: ['battery', 'batteryLevel', 'battery_level', 'batteryVoltage'],
+    rssi: ['rssi', 'signal', 'signalStrength']
+};
+
+function deviceHealth(sensorData) {
+    const health = {};
+    Object.entries(DEVICE_HEALTH_FIELDS).forEach(([field, keys]) => {
+        const key = keys.find(name => isFinite(parseFloat(sensorData[name])));
+        health[field] = key ? parseFloat(sensorData[key]) : null;
+    });
+    return health;
+}
+
+// Called for every stored reading, back-filled ones included: the device is
+// alive either way, but only the live reading moves lastValue. One upsert, so
+// readings processed side by side (a batch and a live push) each count, and
+// only the statement that finds the device offline reports it back online
+// through recoveredOfflineSince.
+async function recordHeartbeat(registered, sensorData, reading, isLatest) {
+    const { deviceId } = registered;
+    const health = deviceHealth(sensorData);
+    const tankId = registered.assetType === 'tank' ? registered.assetId : null;
+    const latest = isLatest ? 1 : 0;
+    
+    const device = await dbGet(
+        `INSERT INTO device_status
+         (deviceId, tankId, status, lastSeen, lastReadingAt, lastValue, battery, rssi, readingCount, offlineSince)
+         VALUES (?, ?, 'online', ?, ?, ?, ?, ?, 1, NULL)
+         ON CONFLICT(deviceId) DO UPDATE SET
+            tankId = excluded.tankId,
+            status = 'online',
+            lastSeen = excluded.lastSeen,
+            lastReadingAt = CASE WHEN ? THEN excluded.lastReadingAt ELSE device_status.lastReadingAt END,
+            lastValue = CASE WHEN ? THEN excluded.lastValue ELSE device_status.lastValue END,
+            battery = COALESCE(excluded.battery, device_status.battery),
+            rssi = COALESCE(excluded.rssi, device_status.rssi),
+            readingCount = device_status.readingCount + 1,
+            recoveredOfflineSince = CASE WHEN device_status.status = 'offline' THEN device_status.offlineSince END,
+            offlineSince = NULL
+         RETURNING *`,
+        [deviceId, tankId, new Date().toISOString(), reading.timestamp, reading.value, health.battery, health.rssi, latest, latest]
+    );
+    
+    if (device.recoveredOfflineSince) {
+        const { recoveredOfflineSince, ...status } = device;
+        console.log(`📡 Device ${deviceId} back online (offline since ${recoveredOfflineSince})`);
+        broadcastToAll({
+            type: 'device_online',
+            device: { ...status, type: registered.type, assetType: registered.assetType, assetId: registered.assetId, state: 'online' }
+        });
+    }
+}
+
+// online / stale / offline from the last time the device was heard from;
+// 'never' for a linked device that hasn't sent anything yet
+function deviceState(row, now = Date.now()) {
+    if (!row || !row.lastSeen) return 'never';
+    if (row.status === 'offline') return 'offline';
+    const silentFor = now - new Date(row.lastSeen).getTime();
+    if (silentFor > DEVICE_OFFLINE_AFTER) return 'offline';
+    return silentFor > DEVICE_STALE_AFTER ? 'stale' : 'online';
+}
+
+async function checkDeviceHeartbeats() {
+    const now = new Date().toISOString();
+    // Devices that aren't attached to anything aren't expected to report
+    const silent = await dbAll(
+        `SELECT d.*, r.type, r.assetType, r.assetId FROM device_status d
+         JOIN devices r ON r.deviceId = d.deviceId
+         WHERE r.assetId IS NOT NULL AND d.status != 'offline' AND d.lastSeen < ?`,
+        [new Date(Date.now() - DEVICE_OFFLINE_AFTER).toISOString()]
+    );
+    
+    for (const { recoveredOfflineSince, ...device } of silent) {
+        // A reading may have arrived since the SELECT
+        const marked = await dbRun(
+            "UPDATE device_status SET status = 'offline', offlineSince = ? WHERE deviceId = ? AND status != 'offline' AND lastSeen = ?",
+            [now, device.deviceId, device.lastSeen]
+        );
+        if (marked.changes === 0) continue;
+        console.log(`📴 Device ${device.deviceId} offline - last heard from ${device.lastSeen}`);
+        broadcastToAll({
+            type: 'device_offline',
+            device: { ...device, status: 'offline', state: 'offline', offlineSince: now }
+        });
+    }
+}
+
+const heartbeatMonitor = setInterval(() => {
+    checkDeviceHeartbeats().catch(err => console.error('❌ Device heartbeat check error:', err));
+}, DEVICE_CHECK_INTERVAL);
+
+// ==================== DEVICE REGISTRY ====================
+// Every sensor, what it measures and what it is attached to. An asset can carry
+// any number of devices - a tank's level sensor and outlet flow meter, pressure
+// loggers along a pipeline, a valve's position sensor - and ingestReading routes
+// each reading by the device's type. Detached devices stay registered but are
+// no longer subscribed. tanks.deviceId follows the tank's level sensor.
+
+// `fields`: reading keys the value is taken from, first one present wins
+const DEVICE_TYPES = {
+    level: { label: 'Level sensor', assets: ['tank'], defaultUnits: 'm' },
+    flow: { label: 'Flow meter', assets: ['tank', 'valve', 'junction'], fields: ['flowRate', 'flow', 'value'], defaultUnits: 'm3/h' },
+    pressure: { label: 'Pressure logger', assets: ['tank', 'valve', 'junction'], fields: ['pressure', 'value'], defaultUnits: 'kPa' },
+    valve_position: { label: 'Valve position sensor', assets: ['valve'], fields: ['position', 'openingPercent', 'value'], defaultUnits: '%' }
+};
+
+// Asset kinds a device can be attached to; junctions are pipeline nodes
+const DEVICE_ASSETS = {
+    tank: { table: 'tanks', key: 'tankId' },
+    valve: { table: 'gate_valves', key: 'valveId' },
+    junction: { table: 'network_junctions', key: 'id' }
+};
+
+function deviceReadingValue(type, sensorData) {
+    const key = DEVICE_TYPES[type].fields.find(name => isFinite(parseFloat(sensorData[name])));
+    return key ? parseFloat(sensorData[key]) : null;
+}
+
+// The registry row of a device that is attached to something, or null
+function attachedDevice(deviceId) {
+    return dbGet('SELECT * FROM devices WHERE deviceId = ? AND assetId IS NOT NULL', [deviceId]);
+}
+
+// { assetType, assetId, name, mandal } or null if the asset doesn't exist
+async function findAsset(assetType, assetId) {
+    const asset = DEVICE_ASSETS[assetType];
+    if (!asset || assetId === null || assetId === undefined) return null;
+    if (assetType === 'junction') {
+        const junction = await dbGet('SELECT id FROM network_junctions WHERE id = ?', [assetId]);
+        return junction ? { assetType, assetId: String(junction.id), name: `Junction ${junction.id}`, mandal: null } : null;
+    }
+    const row = await dbGet(`SELECT name, mandal FROM ${asset.table} WHERE ${asset.key} = ?`, [assetId]);
+    return row ? { assetType, assetId: String(assetId), name: row.name, mandal: row.mandal } : null;
+}
+
+// Validated registry fields from a request body, merged over `existing` on update
+async function normalizeDevice(body, existing = {}) {
+    const device = { ...existing };
+    ['type', 'model', 'units', 'installDate'].forEach(key => {
+        if (body[key] !== undefined) device[key] = body[key] === '' ? null : body[key];
+    });
+    if (body.assetType !== undefined || body.assetId !== undefined) {
+        device.assetType = body.assetType || null;
+        device.assetId = body.assetId === undefined || body.assetId === null || body.assetId === '' ? null : String(body.assetId);
+    }
+    
+    const type = DEVICE_TYPES[device.type];
+    if (!type) return { error: `type must be one of ${Object.keys(DEVICE_TYPES).join(', ')}` };
+    if (device.installDate && isNaN(new Date(device.installDate).getTime())) {
+        return { error: 'installDate must be a date (YYYY-MM-DD)' };
+    }
+    if (!device.assetType !== !device.assetId) return { error: 'assetType and assetId go together' };
+    if (device.assetType) {
+        if (!type.assets.includes(device.assetType)) {
+            return { error: `A ${device.type} device can be attached to: ${type.assets.join(', ')}` };
+        }
+        if (!(await findAsset(device.assetType, device.assetId))) {
+            return { error: `${device.assetType} ${device.assetId} not found` };
+        }
+    }
+    if (!device.units) device.units = type.defaultUnits;
+    return { device };
+}
+
+// tanks.deviceId was set on a tank: that device is the tank's level sensor
+async function linkTankDevice(tankId, deviceId, previousDeviceId) {
+    const id = (deviceId || '').trim();
+    const previous = (previousDeviceId || '').trim();
+    if (previous && previous !== id) {
+        await dbRun("UPDATE devices SET assetType = NULL, assetId = NULL WHERE deviceId = ? AND assetType = 'tank' AND assetId = ?",
+            [previous, tankId]);
+    }
+    if (!id) return;
+    
+    const moved = await dbAll("SELECT tankId FROM tanks WHERE TRIM(deviceId) = ? AND tankId != ?", [id, tankId]);
+    await dbRun(
+        `INSERT INTO devices (deviceId, type, units, assetType, assetId) VALUES (?, 'level', 'm', 'tank', ?)
+         ON CONFLICT(deviceId) DO UPDATE SET type = 'level', assetType = 'tank', assetId = excluded.assetId`,
+        [id, tankId]
+    );
+    for (const tank of moved) await syncTankLevelDevice(tank.tankId);
+}
+
+// Keep tanks.deviceId on one of the tank's attached level sensors (or empty)
+// after devices are attached, moved or removed through the registry
+async function syncTankLevelDevice(tankId) {
+    const tank = await dbGet('SELECT deviceId FROM tanks WHERE tankId = ?', [tankId]);
+    if (!tank) return;
+    const levelDevices = await dbAll(
+        "SELECT deviceId FROM devices WHERE type = 'level' AND assetType = 'tank' AND assetId = ? ORDER BY created_at",
+        [tankId]
+    );
+    const current = (tank.deviceId || '').trim();
+    if (levelDevices.some(device => device.deviceId === current)) return;
+    
+    const deviceId = levelDevices.length > 0 ? levelDevices[0].deviceId : '';
+    if (deviceId === current) return;
+    await dbRun('UPDATE tanks SET deviceId = ? WHERE tankId = ?', [deviceId, tankId]);
+    broadcastTankUpdate(tankId);
+}
+
+// An asset was deleted: its devices stay registered, attached to nothing.
+// Pruning junctions calls this mid topology change, on that change's connection.
+async function detachAssetDevices(assetType, assetIds, connection = db) {
+    const ids = [].concat(assetIds).map(String);
+    if (ids.length === 0) return;
+    const result = await dbRun(
+        `UPDATE devices SET assetType = NULL, assetId = NULL WHERE assetType = ? AND assetId IN (${ids.map(() => '?').join(', ')})`,
+        [assetType, ...ids],
+        connection
+    );
+    if (result.changes > 0) resyncIngestion();
+}
+
+async function deviceStatusList() {
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const [registered, statuses, rates, tanks, valves] = await Promise.all([
+        dbAll('SELECT * FROM devices ORDER BY assetType, assetId, deviceId'),
+        dbAll('SELECT * FROM device_status'),
+        dbAll(
+            `SELECT deviceId, COUNT(*) AS readings FROM (
+                SELECT deviceId, timestamp FROM sensor_data_history
+                UNION ALL SELECT deviceId, timestamp FROM device_readings
+             ) WHERE timestamp >= ? GROUP BY deviceId`,
+            [hourAgo]
+        ),
+        dbAll('SELECT tankId, name FROM tanks'),
+        dbAll('SELECT valveId, name FROM gate_valves')
+    ]);
+    const statusById = new Map(statuses.map(row => [row.deviceId, row]));
+    const rateById = new Map(rates.map(row => [row.deviceId, row.readings]));
+    const assetNames = new Map([
+        ...tanks.map(tank => [`tank:${tank.tankId}`, tank.name]),
+        ...valves.map(valve => [`valve:${valve.valveId}`, valve.name])
+    ]);
+    const now = Date.now();
+    
+    const describe = (deviceId, device, row) => {
+        const assetType = device ? device.assetType : null;
+        const assetId = device ? device.assetId : null;
+        const assetName = assetType === 'junction' ? `Junction ${assetId}` : assetNames.get(`${assetType}:${assetId}`) || null;
+        return {
+            deviceId,
+            type: device ? device.type : null,
+            model: device ? device.model : null,
+            units: device ? device.units : null,
+            installDate: device ? device.installDate : null,
+            assetType,
+            assetId,
+            assetName,
+            tankId: assetType === 'tank' ? assetId : null,
+            tankName: assetType === 'tank' ? assetName : null,
+            registered: !!device,
+            linked: !!assetId,
+            state: deviceState(row, now),
+            lastSeen: row ? row.lastSeen : null,
+            silentForSeconds: row && row.lastSeen ? Math.round((now - new Date(row.lastSeen).getTime()) / 1000) : null,
+            lastReadingAt: row ? row.lastReadingAt : null,
+            lastValue: row ? row.lastValue : null,
+            readingsLastHour: rateById.get(deviceId) || 0,
+            readingCount: row ? row.readingCount : 0,
+            battery: row ? row.battery : null,
+            rssi: row ? row.rssi : null,
+            offlineSince: row ? row.offlineSince : null
+        };
+    };
+    
+    const devices = registered.map(device => describe(device.deviceId, device, statusById.get(device.deviceId)));
+    const registeredIds = new Set(registered.map(device => device.deviceId));
+    statuses
+        .filter(row => !registeredIds.has(row.deviceId))
+        .forEach(row => devices.push(describe(row.deviceId, null, row)));
+    return devices;
+}
+
+app.get('/api/devices/types', (req, res) => {
+    res.json({ types: DEVICE_TYPES, assetTypes: Object.keys(DEVICE_ASSETS) });
+});
+
+// ?state=online|stale|offline|never, ?type=, ?assetType=&assetId= (devices on one asset)
+app.get('/api/devices', async (req, res) => {
+    try {
+        const filters = ['state', 'type', 'assetType', 'assetId'].filter(key => req.query[key]);
+        const devices = await deviceStatusList();
+        res.json(devices.filter(device => filters.every(key => device[key] === req.query[key])));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/devices/:deviceId', async (req, res) => {
+    try {
+        const device = (await deviceStatusList()).find(d => d.deviceId === req.params.deviceId);
+        if (!device) return res.status(404).json({ error: 'Device not found' });
+        res.json({ ...device, staleAfterSeconds: DEVICE_STALE_AFTER / 1000, offlineAfterSeconds: DEVICE_OFFLINE_AFTER / 1000 });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Level readings come from the tank history, everything else from device_readings
+app.get('/api/devices/:deviceId/readings', async (req, res) => {
+    const hours = parseFloat(req.query.hours) || 24;
+    const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    
+    try {
+        const device = await dbGet('SELECT * FROM devices WHERE deviceId = ?', [req.params.deviceId]);
+        if (!device) return res.status(404).json({ error: 'Device not found' });
+        
+        const readings = device.type === 'level'
+            ? await dbAll(
+                `SELECT waterLevel AS value, 'm' AS units, tankId AS assetId, timestamp FROM sensor_data_history
+                 WHERE deviceId = ? AND timestamp >= ? ORDER BY timestamp DESC LIMIT ?`,
+                [device.deviceId, since, limit]
+            )
+            : await dbAll(
+                `SELECT value, units, assetType, assetId, timestamp FROM device_readings
+                 WHERE deviceId = ? AND timestamp >= ? ORDER BY timestamp DESC LIMIT ?`,
+                [device.deviceId, since, limit]
+            );
+        res.json({ deviceId: device.deviceId, type: device.type, readings });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// { deviceId, type, model?, units?, installDate?, assetType?, assetId? }
+app.post('/api/devices', requireRole('admin'), async (req, res) => {
+    const deviceId = String(req.body.deviceId || '').trim();
+    if (!deviceId) return res.status(400).json({ error: 'deviceId is required' });
+    
+    try {
+        if (await dbGet('SELECT deviceId FROM devices WHERE deviceId = ?', [deviceId])) {
+            return res.status(409).json({ error: `Device ${deviceId} is already registered` });
+        }
+        const { device, error } = await normalizeDevice(req.body);
+        if (error) return res.status(400).json({ error });
+        
+        await dbRun(
+            'INSERT INTO devices (deviceId, type, model, units, installDate, assetType, assetId) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [deviceId, device.type, device.model || null, device.units, device.installDate || null, device.assetType, device.assetId]
+        );
+        if (device.assetType === 'tank') await syncTankLevelDevice(device.assetId);
+        const created = await dbGet('SELECT * FROM devices WHERE deviceId = ?', [deviceId]);
+        await recordAudit(auditContext(req), 'device', deviceId, 'create', null, created);
+        resyncIngestion();
+        
+        res.json({ ...created, message: 'Device registered' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Any registry field; assetType/assetId null detaches the device
+app.put('/api/devices/:deviceId', requireRole('admin'), async (req, res) => {
+    try {
+        const before = await dbGet('SELECT * FROM devices WHERE deviceId = ?', [req.params.deviceId]);
+        if (!before) return res.status(404).json({ error: 'Device not found' });
+        const { device, error } = await normalizeDevice(req.body, before);
+        if (error) return res.status(400).json({ error });
+        
+        await dbRun(
+            'UPDATE devices SET type = ?, model = ?, units = ?, installDate = ?, assetType = ?, assetId = ? WHERE deviceId = ?',
+            [device.type, device.model || null, device.units, device.installDate || null, device.assetType, device.assetId, before.deviceId]
+        );
+        if (before.assetType === 'tank') await syncTankLevelDevice(before.assetId);
+        if (device.assetType === 'tank' && device.assetId !== before.assetId) await syncTankLevelDevice(device.assetId);
+        const after = await dbGet('SELECT * FROM devices WHERE deviceId = ?', [before.deviceId]);
+        await recordAudit(auditContext(req), 'device', before.deviceId, 'update', before, after);
+        resyncIngestion();
+        
+        res.json({ ...after, message: 'Device updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Its readings and status history are kept
+app.delete('/api/devices/:deviceId', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM devices WHERE deviceId = ?', [req.params.deviceId]);
+        if (!existing) return res.status(404).json({ error: 'Device not found' });
+        
+        await dbRun('DELETE FROM devices WHERE deviceId = ?', [existing.deviceId]);
+        if (existing.assetType === 'tank') await syncTankLevelDevice(existing.assetId);
+        await recordAudit(auditContext(req), 'device', existing.deviceId, 'delete', existing, null);
+        resyncIngestion();
+        
+        res.json({ message: 'Device removed' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== SSE STREAMING ENDPOINT ====================
+
+app.get('/api/stream/device/:deviceId', (req, res) => {
+    const { deviceId } = req.params;
+    
+    console.log(`🔌 Client connected to SSE stream for device ${deviceId}`);
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
     });
     
+    if (!sseClients.has(deviceId)) {
+        sseClients.set(deviceId, []);
+    }
+    sseClients.get(deviceId).push(res);
+    
     res.write(`data: ${JSON.stringify({ status: 'connected', deviceId })}\n\n`);
     
     // Send last known data immediately
@@ -336,11 +1461,212 @@ app.get('/api/stream/device/:deviceId', (req, res) => {
         
         if (clients.length === 0) {
             sseClients.delete(deviceId);
-            stopRealtimeListener(deviceId);
         }
     });
 });
 
+// ==================== DEVICE CREDENTIALS ====================
+// Each device gets a secret at provisioning. On POST /api/sensor/data (or
+// /api/sensor/batch) it either
+// sends the secret as X-Device-Key, or signs the request: X-Device-Timestamp
+// (ms) and X-Device-Signature = hex HMAC-SHA256(secret, `${timestamp}.${body}`).
+// Signed requests older than the window, or seen before, are rejected; seen
+// signatures are kept in device_signatures so a restart doesn't forget them. The
+// secret is kept as issued because the server has to recompute signatures.
+
+const SIGNATURE_WINDOW = 5 * 60 * 1000;
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const REJECTION_LOG_LIMIT = 200;
+
+function issueDeviceSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a), 'utf8');
+    const right = Buffer.from(String(b), 'utf8');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function publicCredential(row) {
+    return {
+        id: row.id,
+        deviceId: row.deviceId,
+        keyPrefix: row.secret.slice(0, 6),
+        status: row.status,
+        expiresAt: row.expiresAt,
+        lastUsedAt: row.lastUsedAt,
+        revokedAt: row.revokedAt,
+        created_at: row.created_at
+    };
+}
+
+async function usableCredentials(deviceId) {
+    return dbAll(
+        `SELECT * FROM device_credentials
+         WHERE deviceId = ? AND status = 'active' AND (expiresAt IS NULL OR expiresAt > ?)`,
+        [deviceId, new Date().toISOString()]
+    );
+}
+
+async function recordDeviceRejection(req, deviceId, reason) {
+    console.log(`🚫 Rejected sensor data${deviceId ? ` for ${deviceId}` : ''}: ${reason} (${req.ip})`);
+    try {
+        await dbRun('INSERT INTO device_auth_rejections (deviceId, reason, ip, timestamp) VALUES (?, ?, ?, ?)',
+            [deviceId || null, reason, req.ip, new Date().toISOString()]);
+    } catch (err) {
+        console.error('❌ Error recording device rejection:', err);
+    }
+}
+
+// Resolves to the matching credential or a reason for rejecting the request
+async function checkDeviceRequest(req, credentials) {
+    const apiKey = req.get('X-Device-Key');
+    if (apiKey) {
+        const match = credentials.find(cred => safeEqual(cred.secret, apiKey));
+        return match ? { credential: match } : { reason: 'invalid API key' };
+    }
+    
+    const signature = req.get('X-Device-Signature');
+    const timestamp = parseInt(req.get('X-Device-Timestamp'));
+    if (!signature || !timestamp) return { reason: 'missing credentials' };
+    if (Math.abs(Date.now() - timestamp) > SIGNATURE_WINDOW) return { reason: 'timestamp outside window' };
+    
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const match = credentials.find(cred => {
+        const expected = crypto.createHmac('sha256', cred.secret).update(`${timestamp}.${body}`).digest('hex');
+        return safeEqual(expected, signature.toLowerCase());
+    });
+    if (!match) return { reason: 'invalid signature' };
+    
+    // Only verified signatures are stored; the primary key turns away the
+    // second of two identical requests even when they arrive together
+    const recorded = await dbRun(
+        'INSERT OR IGNORE INTO device_signatures (signature, deviceId, expiresAt) VALUES (?, ?, ?)',
+        [signature.toLowerCase(), match.deviceId, timestamp + SIGNATURE_WINDOW]
+    );
+    if (recorded.changes === 0) return { reason: 'replayed signature' };
+    return { credential: match };
+}
+
+async function authenticateDevice(req, res, next) {
+    const deviceId = req.body && req.body.deviceId;
+    if (!deviceId) return next(); // the route reports the missing field
+    
+    try {
+        const credentials = await usableCredentials(deviceId);
+        if (credentials.length === 0) {
+            await recordDeviceRejection(req, deviceId, 'device not provisioned');
+            return res.status(401).json({ error: 'Device is not provisioned' });
+        }
+        
+        const { credential, reason } = await checkDeviceRequest(req, credentials);
+        if (!credential) {
+            await recordDeviceRejection(req, deviceId, reason);
+            return res.status(401).json({ error: `Device authentication failed: ${reason}` });
+        }
+        
+        db.run('UPDATE device_credentials SET lastUsedAt = ? WHERE id = ?', [new Date().toISOString(), credential.id]);
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+setInterval(() => {
+    db.run('DELETE FROM device_signatures WHERE expiresAt < ?', [Date.now()], (err) => {
+        if (err) console.error('❌ Error pruning device signatures:', err);
+    });
+}, SIGNATURE_WINDOW);
+
+app.get('/api/device/:deviceId/credentials', requireRole('admin'), async (req, res) => {
+    try {
+        const rows = await dbAll('SELECT * FROM device_credentials WHERE deviceId = ? ORDER BY id DESC', [req.params.deviceId]);
+        res.json(rows.map(publicCredential));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// First secret for a device; the response is the only time it is shown
+app.post('/api/device/:deviceId/credentials', requireRole('admin'), async (req, res) => {
+    try {
+        const active = await usableCredentials(req.params.deviceId);
+        if (active.length > 0) {
+            return res.status(409).json({ error: 'Device already has a key - rotate it instead' });
+        }
+        
+        const secret = issueDeviceSecret();
+        const result = await dbRun('INSERT INTO device_credentials (deviceId, secret) VALUES (?, ?)', [req.params.deviceId, secret]);
+        const created = await dbGet('SELECT * FROM device_credentials WHERE id = ?', [result.lastID]);
+        // Audited without the secret itself (publicCredential)
+        await recordAudit(auditContext(req), 'device', req.params.deviceId, 'issue_key', null, publicCredential(created));
+        console.log(`🔐 ${req.user.username} provisioned device ${req.params.deviceId}`);
+        res.json({ id: result.lastID, deviceId: req.params.deviceId, secret, message: 'Device provisioned' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// New secret; old ones keep working for graceHours so the device can be updated
+app.post('/api/device/:deviceId/credentials/rotate', requireRole('admin'), async (req, res) => {
+    const graceHours = req.body.graceHours === undefined ? DEFAULT_ROTATION_GRACE_HOURS : Number(req.body.graceHours);
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+        return res.status(400).json({ error: 'graceHours must be zero or more' });
+    }
+    
+    try {
+        const graceUntil = new Date(Date.now() + graceHours * 3600000).toISOString();
+        const previous = await usableCredentials(req.params.deviceId);
+        await dbRun(
+            `UPDATE device_credentials SET expiresAt = ?
+             WHERE deviceId = ? AND status = 'active' AND (expiresAt IS NULL OR expiresAt > ?)`,
+            [graceUntil, req.params.deviceId, graceUntil]
+        );
+        
+        const secret = issueDeviceSecret();
+        const result = await dbRun('INSERT INTO device_credentials (deviceId, secret) VALUES (?, ?)', [req.params.deviceId, secret]);
+        const created = await dbGet('SELECT * FROM device_credentials WHERE id = ?', [result.lastID]);
+        await recordAudit(auditContext(req), 'device', req.params.deviceId, 'rotate_key',
+            previous.length > 0 ? { keys: previous.map(publicCredential) } : null,
+            { ...publicCredential(created), previousKeysExpireAt: graceUntil });
+        console.log(`🔐 ${req.user.username} rotated key for device ${req.params.deviceId} (old key valid ${graceHours}h)`);
+        res.json({ id: result.lastID, deviceId: req.params.deviceId, secret, previousKeysExpireAt: graceUntil, message: 'Key rotated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/device-credential/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const before = await dbGet('SELECT * FROM device_credentials WHERE id = ?', [req.params.id]);
+        const result = await dbRun(
+            "UPDATE device_credentials SET status = 'revoked', revokedAt = ? WHERE id = ? AND status = 'active'",
+            [new Date().toISOString(), req.params.id]
+        );
+        if (result.changes === 0) return res.status(404).json({ error: 'Active credential not found' });
+        const after = await dbGet('SELECT * FROM device_credentials WHERE id = ?', [req.params.id]);
+        await recordAudit(auditContext(req), 'device', before.deviceId, 'revoke_key', publicCredential(before), publicCredential(after));
+        console.log(`🔐 ${req.user.username} revoked device credential #${req.params.id}`);
+        res.json({ message: 'Credential revoked' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/device-auth/rejections', requireRole('admin'), async (req, res) => {
+    const where = req.query.deviceId ? 'WHERE deviceId = ?' : '';
+    const params = req.query.deviceId ? [req.query.deviceId] : [];
+    try {
+        res.json(await dbAll(
+            `SELECT * FROM device_auth_rejections ${where} ORDER BY id DESC LIMIT ?`,
+            [...params, Math.min(parseInt(req.query.limit) || 50, REJECTION_LOG_LIMIT)]
+        ));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ==================== REST API ENDPOINTS FOR SENSOR DATA ====================
 
 app.get('/api/sensor/device/:deviceId/latest', (req, res) => {
@@ -391,327 +1717,2462 @@ app.get('/api/sensor/device/:deviceId/history', (req, res) => {
     );
 });
 
-app.get('/api/sensor/tank/:tankId/latest', (req, res) => {
-    const { tankId } = req.params;
+app.get('/api/sensor/tank/:tankId/latest', (req, res) => {
+    const { tankId } = req.params;
+    
+    db.get(
+        `SELECT * FROM sensor_data_history 
+         WHERE tankId = ? 
+         ORDER BY timestamp DESC 
+         LIMIT 1`,
+        [tankId],
+        (err, row) => {
+            if (err) {
+                return res.status(500).json({ error: err.message });
+            }
+            if (!row) {
+                return res.status(404).json({ error: 'No data found' });
+            }
+            res.json({
+                ...row,
+                rawData: JSON.parse(row.rawData)
+            });
+        }
+    );
+});
+
+app.post('/api/sensor/data', authenticateDevice, (req, res) => {
+    if (!httpPushSource) {
+        return res.status(404).json({ error: 'HTTP push ingestion is not enabled (INGESTION_SOURCES)' });
+    }
+    httpPushSource.handle(req, res);
+});
+
+app.post('/api/sensor/batch', authenticateDevice, (req, res) => {
+    if (!httpPushSource) {
+        return res.status(404).json({ error: 'HTTP push ingestion is not enabled (INGESTION_SOURCES)' });
+    }
+    httpPushSource.handleBatch(req, res);
+});
+
+// ==================== AUDIT LOG ====================
+// One row per change to a valve, tank, pipeline, device, junction, network
+// attachment (entityId "<tank|valve>:<id>") or schedule, with the full row
+// before and after it. The scheduler writes entries too, as actor "scheduler".
+
+const AUDIT_ENTITY_TYPES = ['valve', 'tank', 'pipeline', 'device', 'junction', 'attachment', 'valve_schedule', 'tank_schedule'];
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+
+function auditActor(req) {
+    return req.user ? req.user.username : 'anonymous';
+}
+
+function auditReason(req) {
+    return (req.body && req.body.reason) || req.get('X-Change-Reason') || null;
+}
+
+function auditContext(req) {
+    return { actor: auditActor(req), reason: auditReason(req) };
+}
+
+// A failed audit write is logged but never undoes the change it describes
+async function recordAudit({ actor, reason }, entityType, entityId, action, before, after) {
+    try {
+        await dbRun(
+            `INSERT INTO audit_log (timestamp, actor, entityType, entityId, action, before, after, reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [new Date().toISOString(), actor || 'anonymous', entityType, String(entityId), action,
+             before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, reason || null]
+        );
+    } catch (err) {
+        console.error(`❌ Error writing audit entry for ${entityType} ${entityId}:`, err);
+    }
+}
+
+function parseAuditTime(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+app.get('/api/audit', async (req, res) => {
+    const { entityType, entityId, actor, action } = req.query;
+    if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+        return res.status(400).json({ error: `entityType must be one of ${AUDIT_ENTITY_TYPES.join(', ')}` });
+    }
+    const from = parseAuditTime(req.query.from);
+    const to = parseAuditTime(req.query.to);
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'from and to must be ISO dates or timestamps' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT);
+    
+    const where = [];
+    const params = [];
+    if (entityType) { where.push('entityType = ?'); params.push(entityType); }
+    if (entityId) { where.push('entityId = ?'); params.push(entityId); }
+    if (actor) { where.push('actor = ?'); params.push(actor); }
+    if (action) { where.push('action = ?'); params.push(action); }
+    if (from) { where.push('timestamp >= ?'); params.push(from); }
+    if (to) { where.push('timestamp <= ?'); params.push(to); }
+    
+    try {
+        const rows = await dbAll(
+            `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        res.json(rows.map(row => ({
+            ...row,
+            before: row.before ? JSON.parse(row.before) : null,
+            after: row.after ? JSON.parse(row.after) : null
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== NETWORK TOPOLOGY ====================
+
+const JUNCTION_MERGE_DISTANCE = 0.5; // metres - a split this close to a node reuses its junction
+// Only used by the one-off backfill, for tanks and valves saved before the topology
+// model existed; after that they are attached explicitly or not at all
+const TANK_ATTACH_DISTANCE = 50;     // metres
+const VALVE_ATTACH_DISTANCE = 15;    // metres
+
+function junctionElevation(point) {
+    const elevation = parseFloat(point.elevation);
+    return isNaN(elevation) ? null : elevation;
+}
+
+// Elevation (m above the datum tanks' groundElevation uses) is optional; an
+// unknown one is taken as level with the lowest tank ground (Hydraulics.defaultJunctionElevation)
+async function createJunction(point) {
+    const result = await topologyRun(
+        'INSERT INTO network_junctions (latitude, longitude, elevation) VALUES (?, ?, ?)',
+        [point.lat, point.lng, junctionElevation(point)]
+    );
+    return result.lastID;
+}
+
+// Topology changes read a pipeline's node list and write it back, so two at
+// once (say, valves placed on the same pipeline) would split a stale copy.
+// They run one at a time, each in a transaction so a failure part-way through
+// leaves no half-split pipeline. Call the topology functions below through
+// this, once per request - never from inside another change.
+// The transaction lives on a connection of its own: on the shared one, any
+// other handler's write landing between the awaits would join it (and be
+// rolled back with it). The busy timeout lets each side wait out the other's lock.
+const topologyDb = new sqlite3.Database('./pipeline.db');
+topologyDb.configure('busyTimeout', DB_BUSY_TIMEOUT);
+
+function topologyRun(sql, params = []) {
+    return dbRun(sql, params, topologyDb);
+}
+
+function topologyGet(sql, params = []) {
+    return dbGet(sql, params, topologyDb);
+}
+
+function topologyAll(sql, params = []) {
+    return dbAll(sql, params, topologyDb);
+}
+
+let topologyQueue = Promise.resolve();
+
+function changeTopology(change) {
+    const run = topologyQueue.then(async () => {
+        await topologyRun('BEGIN IMMEDIATE');
+        try {
+            const result = await change();
+            await topologyRun('COMMIT');
+            return result;
+        } catch (err) {
+            await topologyRun('ROLLBACK').catch(rollbackErr => console.error('❌ Error rolling back topology change:', rollbackErr));
+            throw err;
+        } finally {
+            networkStateChanged();
+        }
+    });
+    topologyQueue = run.catch(() => {});
+    return run;
+}
+
+async function rebuildPipelineEdges(pipelineId, nodes) {
+    await topologyRun('DELETE FROM network_edges WHERE pipelineId = ?', [pipelineId]);
+    for (let i = 0; i < nodes.length - 1; i++) {
+        await topologyRun(
+            `INSERT INTO network_edges (pipelineId, segmentIndex, fromJunctionId, toJunctionId, length) 
+             VALUES (?, ?, ?, ?, ?)`,
+            [pipelineId, i, nodes[i].junctionId, nodes[i + 1].junctionId, NetworkTopology.distanceMeters(nodes[i], nodes[i + 1])]
+        );
+    }
+}
+
+async function savePipelineNodes(pipelineId, nodes) {
+    await topologyRun('UPDATE pipelines SET nodes = ? WHERE id = ?', [JSON.stringify(nodes), pipelineId]);
+    await rebuildPipelineEdges(pipelineId, nodes);
+}
+
+// Returns the junction where `point` meets the pipeline, inserting a new
+// node into the pipeline when the point falls mid-segment.
+async function splitPipelineAt(pipelineId, point) {
+    const pipeline = await topologyGet('SELECT * FROM pipelines WHERE id = ?', [pipelineId]);
+    if (!pipeline) return null;
+
+    const nodes = JSON.parse(pipeline.nodes);
+    let best = null;
+    for (let i = 0; i < nodes.length - 1; i++) {
+        const projected = NetworkTopology.projectOntoSegment(point, nodes[i], nodes[i + 1]);
+        const dist = NetworkTopology.distanceMeters(point, projected);
+        if (!best || dist < best.dist) {
+            best = { index: i, projected, dist };
+        }
+    }
+    if (!best) return null;
+
+    const start = nodes[best.index];
+    const end = nodes[best.index + 1];
+    if (NetworkTopology.distanceMeters(best.projected, start) < JUNCTION_MERGE_DISTANCE) return start.junctionId;
+    if (NetworkTopology.distanceMeters(best.projected, end) < JUNCTION_MERGE_DISTANCE) return end.junctionId;
+
+    const junctionId = await createJunction(best.projected);
+    nodes.splice(best.index + 1, 0, { lat: best.projected.lat, lng: best.projected.lng, junctionId });
+    await savePipelineNodes(pipelineId, nodes);
+
+    console.log(`🔗 Split Pipeline ${pipelineId} segment ${best.index} at junction ${junctionId}`);
+    return junctionId;
+}
+
+// Resolves every drawn node to a junction: an existing junction it was
+// snapped onto, a new junction splitting the pipeline it was snapped to,
+// or a fresh junction of its own.
+async function syncPipelineTopology(pipelineId, rawNodes) {
+    const nodes = [];
+
+    for (const node of rawNodes) {
+        let junctionId = null;
+
+        if (node.junctionId) {
+            const existing = await topologyGet('SELECT id FROM network_junctions WHERE id = ?', [node.junctionId]);
+            if (existing) junctionId = existing.id;
+        }
+        if (!junctionId && node.snapPipelineId && node.snapPipelineId !== pipelineId) {
+            junctionId = await splitPipelineAt(node.snapPipelineId, node);
+        }
+        if (!junctionId) {
+            junctionId = await createJunction(node);
+        } else if (junctionElevation(node) !== null) {
+            await topologyRun('UPDATE network_junctions SET elevation = ? WHERE id = ?', [junctionElevation(node), junctionId]);
+        }
+
+        nodes.push({ lat: node.lat, lng: node.lng, junctionId });
+    }
+
+    await savePipelineNodes(pipelineId, nodes);
+    await pruneOrphanJunctions();
+    return nodes;
+}
+
+// Drops junctions no pipe passes through any more, along with whatever was attached to them
+async function pruneOrphanJunctions() {
+    const orphaned = `
+        SELECT id FROM network_junctions 
+        WHERE id NOT IN (SELECT fromJunctionId FROM network_edges)
+          AND id NOT IN (SELECT toJunctionId FROM network_edges)
+    `;
+    const pruned = await topologyAll(orphaned);
+    await detachAssetDevices('junction', pruned.map(junction => junction.id), topologyDb);
+    await topologyRun(`DELETE FROM network_attachments WHERE junctionId IN (${orphaned})`);
+    await topologyRun(`DELETE FROM network_junctions WHERE id IN (${orphaned})`);
+}
+
+async function setAttachment(entityType, entityId, junctionId) {
+    if (junctionId) {
+        await topologyRun(
+            'INSERT OR REPLACE INTO network_attachments (entityType, entityId, junctionId) VALUES (?, ?, ?)',
+            [entityType, entityId, junctionId]
+        );
+    } else {
+        await topologyRun('DELETE FROM network_attachments WHERE entityType = ? AND entityId = ?', [entityType, entityId]);
+    }
+}
+
+// A tank joins the network at the junction it is given; without one it stays unattached
+async function attachTank(tank, junctionId) {
+    await setAttachment('tank', tank.tankId, junctionId || null);
+    return junctionId || null;
+}
+
+// A valve splits the pipeline it is placed on; without one it stays unattached
+async function attachValve(valve, pipelineId) {
+    const point = { lat: valve.latitude, lng: valve.longitude };
+    const junctionId = pipelineId ? await splitPipelineAt(pipelineId, point) : null;
+    await setAttachment('valve', valve.valveId, junctionId);
+    return junctionId;
+}
+
+function nearestPipelineId(point, pipelines, maxDistance) {
+    let nearestId = null;
+    let minDistance = maxDistance;
+    pipelines.forEach(pipeline => {
+        const nodes = JSON.parse(pipeline.nodes);
+        for (let i = 0; i < nodes.length - 1; i++) {
+            const projected = NetworkTopology.projectOntoSegment(point, nodes[i], nodes[i + 1]);
+            const dist = NetworkTopology.distanceMeters(point, projected);
+            if (dist < minDistance) {
+                minDistance = dist;
+                nearestId = pipeline.id;
+            }
+        }
+    });
+    return nearestId;
+}
+
+// One-off migration for pipelines drawn before junctions were persisted.
+// The old snapping copied coordinates exactly, so identical points share a junction.
+async function backfillTopology() {
+    const pipelines = await topologyAll('SELECT * FROM pipelines ORDER BY id');
+    const junctionAt = new Map();
+    const keyOf = (node) => `${node.lat.toFixed(7)},${node.lng.toFixed(7)}`;
+    let migrated = 0;
+
+    for (const pipeline of pipelines) {
+        const nodes = JSON.parse(pipeline.nodes);
+        nodes.filter(n => n.junctionId).forEach(n => junctionAt.set(keyOf(n), n.junctionId));
+        if (nodes.every(n => n.junctionId)) continue;
+
+        for (const node of nodes) {
+            if (node.junctionId) continue;
+            const key = keyOf(node);
+            if (!junctionAt.has(key)) {
+                junctionAt.set(key, await createJunction(node));
+            }
+            node.junctionId = junctionAt.get(key);
+        }
+        await savePipelineNodes(pipeline.id, nodes);
+        migrated++;
+    }
+    // Only a database from before the topology model has pipelines to migrate;
+    // once it has been, unattached tanks and valves are left that way
+    if (migrated === 0) return;
+
+    // Tanks and valves of that era were linked by proximity, so that is kept once
+    const valves = await topologyAll(`
+        SELECT * FROM gate_valves 
+        WHERE valveId NOT IN (SELECT entityId FROM network_attachments WHERE entityType = 'valve')
+    `);
+    for (const valve of valves) {
+        const point = { lat: valve.latitude, lng: valve.longitude };
+        await attachValve(valve, nearestPipelineId(point, await topologyAll('SELECT * FROM pipelines'), VALVE_ATTACH_DISTANCE));
+    }
+
+    const tanks = await topologyAll(`
+        SELECT * FROM tanks 
+        WHERE tankId NOT IN (SELECT entityId FROM network_attachments WHERE entityType = 'tank')
+    `);
+    const junctions = await topologyAll('SELECT * FROM network_junctions');
+    for (const tank of tanks) {
+        const nearest = NetworkTopology.nearestJunction(junctions, { lat: tank.latitude, lng: tank.longitude }, TANK_ATTACH_DISTANCE);
+        await attachTank(tank, nearest ? nearest.id : null);
+    }
+
+    console.log(`🔗 Network topology backfilled: ${migrated} pipeline(s), ${valves.length} valve(s), ${tanks.length} tank(s)`);
+}
+
+// Everything the flow traversal needs, shaped like the browser sees it
+async function loadNetworkState() {
+    const [junctions, edges, attachments, tanks, valves] = await Promise.all([
+        dbAll('SELECT * FROM network_junctions'),
+        dbAll('SELECT * FROM network_edges ORDER BY pipelineId, segmentIndex'),
+        dbAll('SELECT * FROM network_attachments'),
+        dbAll('SELECT * FROM tanks'),
+        dbAll('SELECT * FROM gate_valves')
+    ]);
+    return {
+        network: { junctions, edges, attachments },
+        tanks: tanks.map(row => ({ ...row, isActive: row.isActive === 1 })),
+        valves: valves.map(row => ({ ...row, isOpen: row.isOpen === 1 }))
+    };
+}
+
+// What-if for closing valves, evaluated against the current live state
+async function computeClosureImpact(valveIds) {
+    const { network, tanks, valves } = await loadNetworkState();
+    const impact = NetworkTopology.computeImpact(network, tanks.filter(t => t.isActive), valves, valveIds);
+    return {
+        closedValveIds: impact.closedValveIds,
+        flowingBefore: impact.flowingBefore,
+        flowingAfter: impact.flowingAfter,
+        drySegmentCount: impact.drySegments.length,
+        drySegments: impact.drySegments,
+        downstreamValves: impact.affectedValves,
+        households: impact.households,
+        habitations: impact.habitations,
+        computedAt: new Date().toISOString()
+    };
+}
+
+// Every write to tanks, valves, pipelines or the topology calls this once it
+// has completed, so the cached hydraulic solution is recomputed on next use
+let networkStateVersion = 0;
+
+function networkStateChanged() {
+    networkStateVersion++;
+}
+
+// The last solution, shared by the hydraulics and supply-head endpoints until
+// the network state changes. A solve that overlaps a write is cached under the
+// version it started at, so it is not reused afterwards.
+let hydraulicsCache = null;
+
+function runHydraulics() {
+    if (hydraulicsCache && hydraulicsCache.version === networkStateVersion) return hydraulicsCache.solution;
+    
+    const solution = solveNetworkHydraulics();
+    hydraulicsCache = { version: networkStateVersion, solution };
+    solution.catch(() => {
+        if (hydraulicsCache && hydraulicsCache.solution === solution) hydraulicsCache = null;
+    });
+    return solution;
+}
+
+async function solveNetworkHydraulics() {
+    const { network, tanks, valves } = await loadNetworkState();
+    const pipelines = await dbAll('SELECT id, diameter, material FROM pipelines');
+    const pipelineById = new Map(pipelines.map(p => [p.id, p]));
+    
+    const solution = Hydraulics.solveHydraulics(network, tanks.filter(t => t.isActive), valves, (edge) => {
+        const pipeline = pipelineById.get(edge.pipelineId) || {};
+        return {
+            diameterMm: pipeline.diameter,
+            hazenWilliamsC: Hydraulics.hazenWilliamsC(pipeline.material)
+        };
+    }, Hydraulics.defaultJunctionElevation(tanks));
+    return { ...solution, computedAt: new Date().toISOString() };
+}
+
+// ==================== PIPELINES ENDPOINTS ====================
+
+const PIPELINE_ATTRIBUTES = ['name', 'diameter', 'material', 'installYear', 'pressureClass', 'zone'];
+
+function pipelineAttributes(body) {
+    const attributes = {};
+    PIPELINE_ATTRIBUTES.forEach(key => {
+        if (body[key] === undefined) return;
+        if (key === 'diameter') attributes[key] = parseFloat(body[key]) || null;
+        else if (key === 'installYear') attributes[key] = parseInt(body[key]) || null;
+        else attributes[key] = body[key] || null;
+    });
+    return attributes;
+}
+
+app.post('/api/pipeline', requireRole('admin'), async (req, res) => {
+    const { nodes } = req.body;
+    if (!nodes || !Array.isArray(nodes)) {
+        return res.status(400).json({ error: 'Nodes array is required' });
+    }
+    try {
+        const attributes = pipelineAttributes(req.body);
+        const columns = ['nodes', ...Object.keys(attributes)];
+        const { result, savedNodes } = await changeTopology(async () => {
+            const inserted = await topologyRun(
+                `INSERT INTO pipelines (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                [JSON.stringify(nodes), ...Object.values(attributes)]
+            );
+            return { result: inserted, savedNodes: await syncPipelineTopology(inserted.lastID, nodes) };
+        });
+        const created = await dbGet('SELECT * FROM pipelines WHERE id = ?', [result.lastID]);
+        await recordAudit(auditContext(req), 'pipeline', result.lastID, 'create', null, created);
+        res.json({ id: result.lastID, nodes: savedNodes, message: 'Pipeline saved' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/pipelines', (req, res) => {
+    db.all('SELECT * FROM pipelines ORDER BY created_at DESC', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows);
+    });
+});
+
+app.get('/api/pipeline/:id', (req, res) => {
+    db.get('SELECT * FROM pipelines WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: 'Pipeline not found' });
+        res.json(row);
+    });
+});
+
+app.put('/api/pipeline/:id', requireRole('admin'), async (req, res) => {
+    const { nodes } = req.body;
+    const attributes = pipelineAttributes(req.body);
+    if (nodes !== undefined && !Array.isArray(nodes)) {
+        return res.status(400).json({ error: 'Nodes must be an array' });
+    }
+    if (!nodes && Object.keys(attributes).length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+    }
+    try {
+        const pipelineId = parseInt(req.params.id);
+        const existing = await dbGet('SELECT * FROM pipelines WHERE id = ?', [pipelineId]);
+        if (!existing) return res.status(404).json({ error: 'Pipeline not found' });
+
+        if (Object.keys(attributes).length > 0) {
+            await dbRun(
+                `UPDATE pipelines SET ${Object.keys(attributes).map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+                [...Object.values(attributes), pipelineId]
+            );
+            networkStateChanged();
+        }
+        const savedNodes = nodes ? await changeTopology(() => syncPipelineTopology(pipelineId, nodes)) : undefined;
+        const updated = await dbGet('SELECT * FROM pipelines WHERE id = ?', [pipelineId]);
+        await recordAudit(auditContext(req), 'pipeline', pipelineId, 'update', existing, updated);
+        res.json({ nodes: savedNodes, message: 'Pipeline updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/pipeline/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM pipelines WHERE id = ?', [req.params.id]);
+        await changeTopology(async () => {
+            await topologyRun('DELETE FROM pipelines WHERE id = ?', [req.params.id]);
+            await topologyRun('DELETE FROM network_edges WHERE pipelineId = ?', [req.params.id]);
+            await pruneOrphanJunctions();
+        });
+        if (existing) await recordAudit(auditContext(req), 'pipeline', existing.id, 'delete', existing, null);
+        res.json({ message: 'Pipeline deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== TANKS ENDPOINTS ====================
+
+function invalidMeasurementMode(mode) {
+    return mode !== undefined && !MEASUREMENT_MODES.includes(mode);
+}
+
+function invalidTankShape(shape) {
+    return shape !== undefined && !TankGeometry.TANK_SHAPES[shape];
+}
+
+// Returns an error message when a tank is given a junction that doesn't exist
+async function checkTankJunction(junctionId) {
+    if (!junctionId) return null;
+    const junction = await dbGet('SELECT id FROM network_junctions WHERE id = ?', [junctionId]);
+    return junction ? null : `Junction ${junctionId} not found`;
+}
+
+function optionalDimension(value) {
+    return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+app.post('/api/tank', requireRole('admin'), async (req, res) => {
+    const tank = req.body;
+    if (!tank.tankId || !tank.name || !tank.latitude || !tank.longitude) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (invalidMeasurementMode(tank.measurementMode)) {
+        return res.status(400).json({ error: `measurementMode must be one of ${MEASUREMENT_MODES.join(', ')}` });
+    }
+    if (invalidTankShape(tank.shape)) {
+        return res.status(400).json({ error: `shape must be one of ${Object.keys(TankGeometry.TANK_SHAPES).join(', ')}` });
+    }
+    try {
+        const problem = await checkTankJunction(tank.junctionId);
+        if (problem) return res.status(400).json({ error: problem });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    db.run(
+        `INSERT INTO tanks (tankId, deviceId, name, state, district, mandal, habitation, latitude, longitude, type, shape, diameter, height, sensorHeight, stagingHeight, capacity, waterLevel, isActive, measurementMode, deadBand, levelOffset, length, width, coneHeight, bottomDiameter, domeRise, groundElevation) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [tank.tankId, tank.deviceId || '', tank.name, tank.state || '', tank.district || '', tank.mandal || '', tank.habitation || '', 
+         tank.latitude, tank.longitude, tank.type, tank.shape, tank.diameter, tank.height, tank.sensorHeight, tank.stagingHeight || 0, tank.capacity, tank.waterLevel || 0, tank.isActive ? 1 : 0,
+         tank.measurementMode || 'level', tank.deadBand || 0, tank.levelOffset || 0,
+         optionalDimension(tank.length), optionalDimension(tank.width), optionalDimension(tank.coneHeight),
+         optionalDimension(tank.bottomDiameter), optionalDimension(tank.domeRise), tank.groundElevation || 0],
+        function(err) {
+            if (err) return res.status(500).json({ error: err.message });
+            networkStateChanged();
+            changeTopology(() => attachTank(tank, tank.junctionId))
+                .then(async junctionId => {
+                    if (tank.deviceId) await linkTankDevice(tank.tankId, tank.deviceId).then(resyncIngestion);
+                    const created = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [tank.tankId]);
+                    await recordAudit(auditContext(req), 'tank', tank.tankId, 'create', null, created);
+                    res.json({ tankId: tank.tankId, junctionId, message: 'Tank added' });
+                })
+                .catch(attachErr => res.status(500).json({ error: attachErr.message }));
+        }
+    );
+});
+
+app.get('/api/tanks', (req, res) => {
+    db.all('SELECT * FROM tanks ORDER BY created_at DESC', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        const tanks = rows.map(row => ({ ...row, isActive: row.isActive === 1 }));
+        res.json(tanks);
+    });
+});
+
+app.get('/api/tank/:tankId', (req, res) => {
+    db.get('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: 'Tank not found' });
+        row.isActive = row.isActive === 1;
+        res.json(row);
+    });
+});
+
+// Starting/stopping release and its automatic cut-off are day-to-day operations
+const TANK_OPERATOR_FIELDS = ['isActive', 'minReleaseLevel'];
+
+const broadcastTimeouts = new Map();
+const BROADCAST_DELAY = 300;
+
+// Every tank change reaches clients through here, debounced per tank
+function broadcastTankUpdate(tankId) {
+    clearTimeout(broadcastTimeouts.get(tankId));
+    broadcastTimeouts.set(tankId, setTimeout(() => {
+        broadcastTimeouts.delete(tankId);
+        db.get('SELECT * FROM tanks WHERE tankId = ?', [tankId], (err, updatedTank) => {
+            if (updatedTank) {
+                updatedTank.isActive = updatedTank.isActive === 1;
+                broadcastToAll({
+                    type: 'tank_updated',
+                    tank: updatedTank
+                });
+                console.log(`📡 Broadcasted tank update: ${updatedTank.tankId} (isActive: ${updatedTank.isActive})`);
+            }
+        });
+    }, BROADCAST_DELAY));
+}
+
+// Start or stop release; resolves to the tank, or null if it no longer exists
+async function setTankActive(tankId, isActive, audit) {
+    const before = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [tankId]);
+    if (!before) return null;
+    await dbRun('UPDATE tanks SET isActive = ? WHERE tankId = ?', [isActive ? 1 : 0, tankId]);
+    networkStateChanged();
+    broadcastTankUpdate(tankId);
+    
+    const after = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [tankId]);
+    await recordAudit(audit, 'tank', tankId, isActive ? 'start' : 'stop', before, after);
+    return after;
+}
+
+app.put('/api/tank/:tankId', requireRoleForFields(TANK_OPERATOR_FIELDS), async (req, res) => {
+    // The calibration table has its own endpoint, which validates it
+    const { junctionId, reason, calibrationTable, ...tank } = req.body;
+    if (invalidMeasurementMode(tank.measurementMode)) {
+        return res.status(400).json({ error: `measurementMode must be one of ${MEASUREMENT_MODES.join(', ')}` });
+    }
+    if (invalidTankShape(tank.shape)) {
+        return res.status(400).json({ error: `shape must be one of ${Object.keys(TankGeometry.TANK_SHAPES).join(', ')}` });
+    }
+    // Moving a tank doesn't move its connection; only junctionId (null to detach) does
+    const relink = junctionId !== undefined;
+    try {
+        const problem = await checkTankJunction(junctionId);
+        if (problem) return res.status(400).json({ error: problem });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    const updates = [];
+    const values = [];
+    Object.keys(tank).forEach(key => {
+        if (key !== 'tankId') {
+            updates.push(`${key} = ?`);
+            values.push(key === 'isActive' ? (tank[key] ? 1 : 0) : tank[key]);
+        }
+    });
+    if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
+    values.push(req.params.tankId);
+    
+    db.get('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId], (err, before) => {
+        if (err) return res.status(500).json({ error: err.message });
+        
+        db.run(`UPDATE tanks SET ${updates.join(', ')} WHERE tankId = ?`, values, function(err) {
+            if (err) return res.status(500).json({ error: err.message });
+            networkStateChanged();
+            
+            const updated = dbGet('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId]);
+            const relinked = updated.then(updatedTank => relink && updatedTank && changeTopology(() => attachTank(updatedTank, junctionId)));
+            
+            broadcastTankUpdate(req.params.tankId);
+            
+            relinked
+                .then(() => tank.deviceId !== undefined && before &&
+                    linkTankDevice(req.params.tankId, tank.deviceId, before.deviceId).then(resyncIngestion))
+                .then(() => updated)
+                .then(after => before && recordAudit(auditContext(req), 'tank', req.params.tankId, 'update', before, after))
+                .then(() => res.json({ message: 'Tank updated' }))
+                .catch(attachErr => res.status(500).json({ error: attachErr.message }));
+        });
+    });
+});
+
+// Level-to-volume (strapping) table: { points: [{ level, volumeLiters }, ...] },
+// an empty list goes back to the shape's volume
+app.put('/api/tank/:tankId/calibration', requireRole('admin'), async (req, res) => {
+    const { points, error } = TankGeometry.normalizeCalibration(req.body.points);
+    if (error) return res.status(400).json({ error });
+    
+    try {
+        const before = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId]);
+        if (!before) return res.status(404).json({ error: 'Tank not found' });
+        
+        await dbRun('UPDATE tanks SET calibrationTable = ? WHERE tankId = ?',
+            [points.length > 0 ? JSON.stringify(points) : null, req.params.tankId]);
+        const after = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId]);
+        await recordAudit(auditContext(req), 'tank', req.params.tankId, 'update', before, after);
+        broadcastTankUpdate(req.params.tankId);
+        
+        res.json({ message: points.length > 0 ? `Calibration table saved (${points.length} points)` : 'Calibration table removed', points });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/tank/:tankId', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId]);
+        await dbRun('DELETE FROM tanks WHERE tankId = ?', [req.params.tankId]);
+        networkStateChanged();
+        
+        changeTopology(() => setAttachment('tank', req.params.tankId, null))
+            .catch(attachErr => console.error('❌ Error removing tank attachment:', attachErr));
+        await detachAssetDevices('tank', req.params.tankId);
+        db.run('DELETE FROM tank_schedules WHERE tankId = ?', [req.params.tankId]);
+        db.run('DELETE FROM alert_rules WHERE tankId = ?', [req.params.tankId]);
+        db.run('UPDATE alerts SET endedAt = ? WHERE tankId = ? AND endedAt IS NULL', [new Date().toISOString(), req.params.tankId]);
+        if (existing) await recordAudit(auditContext(req), 'tank', req.params.tankId, 'delete', existing, null);
+        
+        broadcastToAll({
+            type: 'tank_deleted',
+            tankId: req.params.tankId
+        });
+        
+        res.json({ message: 'Tank deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== VALVE HIERARCHY ====================
+
+// Returns an error message when parentId can't be the parent of valveId
+async function checkParentValve(valveId, parentId) {
+    if (parentId === valveId) return 'A valve cannot be its own parent';
+    
+    const rows = await dbAll('SELECT valveId, parentValveId FROM gate_valves');
+    const parentOf = new Map(rows.map(row => [row.valveId, row.parentValveId]));
+    if (!parentOf.has(parentId)) return `Parent valve ${parentId} not found`;
+    
+    const seen = new Set();
+    for (let current = parentId; current && !seen.has(current); current = parentOf.get(current)) {
+        if (current === valveId) return `${parentId} is below ${valveId} in the hierarchy`;
+        seen.add(current);
+    }
+    return null;
+}
+
+// Main/sub valve forest. A valve is only effectively open when every valve
+// above it is open too, so households are rolled up both ways.
+function buildValveTree(rows) {
+    const nodes = new Map(rows.map(row => [row.valveId, {
+        ...row,
+        isOpen: row.isOpen === 1,
+        children: []
+    }]));
+    
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.parentValveId ? nodes.get(node.parentValveId) : null;
+        if (parent && parent !== node) parent.children.push(node);
+        else roots.push(node);
+    });
+    
+    const visited = new Set();
+    const rollUp = (node, ancestorsOpen) => {
+        visited.add(node.valveId);
+        node.effectivelyOpen = node.isOpen && ancestorsOpen;
+        // Legacy rows may form a loop; the first visit wins
+        node.children = node.children.filter(child => !visited.has(child.valveId));
+        node.children.sort((a, b) => a.name.localeCompare(b.name));
+        node.children.forEach(child => rollUp(child, node.effectivelyOpen));
+        
+        node.subtreeHouseholds = (node.households || 0) +
+            node.children.reduce((sum, child) => sum + child.subtreeHouseholds, 0);
+        node.suppliedHouseholds = (node.effectivelyOpen ? node.households || 0 : 0) +
+            node.children.reduce((sum, child) => sum + child.suppliedHouseholds, 0);
+        node.subtreeValves = 1 + node.children.reduce((sum, child) => sum + child.subtreeValves, 0);
+    };
+    
+    roots.sort((a, b) => a.name.localeCompare(b.name));
+    roots.forEach(root => rollUp(root, true));
+    nodes.forEach(node => {
+        if (!visited.has(node.valveId)) {
+            roots.push(node);
+            rollUp(node, true);
+        }
+    });
+    
+    return roots;
+}
+
+app.get('/api/valves/tree', (req, res) => {
+    db.all('SELECT * FROM gate_valves', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(buildValveTree(rows));
+    });
+});
+
+// ==================== VALVES ENDPOINTS ====================
+
+const VALVE_OPERATOR_FIELDS = ['isOpen', 'openingPercent'];
+
+// Blank form fields clear a numeric column; 0 is a real value
+function optionalNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+app.post('/api/valve', requireRole('admin'), async (req, res) => {
+    const valve = req.body;
+    if (!valve.valveId || !valve.name || !valve.latitude || !valve.longitude) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (valve.parentValveId) {
+        try {
+            const problem = await checkParentValve(valve.valveId, valve.parentValveId);
+            if (problem) return res.status(400).json({ error: problem });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    }
+    db.run(
+        `INSERT INTO gate_valves (valveId, name, type, category, parentValveId, households, flowRate, mandal, habitation, latitude, longitude, isOpen, openingPercent, checkDirection, flowBearing) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [valve.valveId, valve.name, valve.type, valve.category, valve.parentValveId || null, valve.households || 0, 
+         valve.flowRate || 0, valve.mandal || '', valve.habitation || '', valve.latitude, valve.longitude, valve.isOpen ? 1 : 0,
+         valve.isOpen ? 100 : 0, valve.checkDirection || 'forward', optionalNumber(valve.flowBearing)],
+        function(err) {
+            if (err) return res.status(500).json({ error: err.message });
+            networkStateChanged();
+            changeTopology(() => attachValve(valve, valve.pipelineId))
+                .then(async junctionId => {
+                    const created = await dbGet('SELECT * FROM gate_valves WHERE valveId = ?', [valve.valveId]);
+                    await recordAudit(auditContext(req), 'valve', valve.valveId, 'create', null, created);
+                    res.json({ valveId: valve.valveId, junctionId, message: 'Valve added' });
+                })
+                .catch(attachErr => res.status(500).json({ error: attachErr.message }));
+        }
+    );
+});
+
+app.get('/api/valves', (req, res) => {
+    db.all('SELECT * FROM gate_valves ORDER BY created_at DESC', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        const valves = rows.map(row => ({ ...row, isOpen: row.isOpen === 1 }));
+        res.json(valves);
+    });
+});
+
+app.get('/api/valve/:valveId', (req, res) => {
+    db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: 'Valve not found' });
+        row.isOpen = row.isOpen === 1;
+        res.json(row);
+    });
+});
+
+app.put('/api/valve/:valveId', requireRoleForFields(VALVE_OPERATOR_FIELDS), async (req, res) => {
+    const { pipelineId, reason, ...valve } = req.body;
+    // Re-placed on a pipeline (or taken off with pipelineId null)
+    const relink = pipelineId !== undefined;
+    
+    if (valve.parentValveId) {
+        try {
+            const problem = await checkParentValve(req.params.valveId, valve.parentValveId);
+            if (problem) return res.status(400).json({ error: problem });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+    }
+    
+    // Keep isOpen and openingPercent consistent whichever one the client sent
+    if (valve.openingPercent !== undefined) {
+        const opening = parseOpeningPercent(valve.openingPercent);
+        if (opening === null) return res.status(400).json({ error: 'openingPercent must be a number from 0 to 100' });
+        valve.openingPercent = opening;
+        valve.isOpen = opening > 0;
+    } else if (valve.isOpen !== undefined) {
+        valve.openingPercent = valve.isOpen ? 100 : 0;
+    }
+    
+    const updates = [];
+    const values = [];
+    Object.keys(valve).forEach(key => {
+        if (key !== 'valveId') {
+            updates.push(`${key} = ?`);
+            if (key === 'isOpen') values.push(valve[key] ? 1 : 0);
+            else if (key === 'parentValveId') values.push(valve[key] || null);
+            else if (key === 'flowBearing') values.push(optionalNumber(valve[key]));
+            else values.push(valve[key]);
+        }
+    });
+    if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
+    values.push(req.params.valveId);
+    
+    let before;
+    try {
+        before = await dbGet('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId]);
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    
+    db.run(`UPDATE gate_valves SET ${updates.join(', ')} WHERE valveId = ?`, values, function(err) {
+        if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) return res.status(404).json({ error: 'Valve not found' });
+        const changes = this.changes;
+        networkStateChanged();
+        
+        db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, updatedValve) => {
+            if (err) return res.status(500).json({ error: err.message });
+            
+            const relinked = relink ? changeTopology(() => attachValve(updatedValve, pipelineId)) : Promise.resolve();
+            relinked.then(async () => {
+                await recordAudit(auditContext(req), 'valve', req.params.valveId, 'update', before, updatedValve);
+                updatedValve.isOpen = updatedValve.isOpen === 1;
+                broadcastToAll({
+                    type: 'valve_updated',
+                    valve: updatedValve
+                });
+                console.log(`📡 Broadcasted valve update: ${updatedValve.valveId} (isOpen: ${updatedValve.isOpen})`);
+                
+                res.json({ message: 'Valve updated', changes });
+            }).catch(attachErr => res.status(500).json({ error: attachErr.message }));
+        });
+    });
+});
+
+app.delete('/api/valve/:valveId', requireRole('admin'), (req, res) => {
+    db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, existing) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!existing) return res.status(404).json({ error: 'Valve not found' });
+        
+        db.run('UPDATE gate_valves SET parentValveId = NULL WHERE parentValveId = ?', [req.params.valveId], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            db.run('DELETE FROM gate_valves WHERE valveId = ?', [req.params.valveId], function(delErr) {
+                if (delErr) return res.status(500).json({ error: delErr.message });
+                if (this.changes === 0) return res.status(404).json({ error: 'Valve not found' });
+                const changes = this.changes;
+                networkStateChanged();
+                db.run('DELETE FROM valve_schedules WHERE valveId = ?', [req.params.valveId], (schedErr) => {
+                    if (schedErr) console.error('❌ Error removing valve schedules:', schedErr);
+                });
+                changeTopology(() => setAttachment('valve', req.params.valveId, null))
+                    .catch(attachErr => console.error('❌ Error removing valve attachment:', attachErr));
+                detachAssetDevices('valve', req.params.valveId)
+                    .catch(detachErr => console.error('❌ Error detaching valve devices:', detachErr));
+                recordAudit(auditContext(req), 'valve', req.params.valveId, 'delete', existing, null)
+                    .then(() => res.json({ message: 'Valve deleted', changes }));
+            });
+        });
+    });
+});
+
+app.get('/api/valve/:valveId/impact', async (req, res) => {
+    try {
+        const valve = await dbGet('SELECT valveId FROM gate_valves WHERE valveId = ?', [req.params.valveId]);
+        if (!valve) return res.status(404).json({ error: 'Valve not found' });
+        res.json(await computeClosureImpact([req.params.valveId]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/valve/:valveId/toggle', requireRole('operator'), (req, res) => {
+    db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], async (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (!row) return res.status(404).json({ error: 'Valve not found' });
+        const newState = row.isOpen === 1 ? 0 : 1;
+        
+        // Record what the closure cuts off while the valve is still open
+        let impact = null;
+        if (newState === 0) {
+            try {
+                impact = await computeClosureImpact([req.params.valveId]);
+                console.log(`🚱 Closing ${req.params.valveId}: ${impact.drySegmentCount} segments dry, ${impact.households} households affected`);
+            } catch (impactErr) {
+                console.error('❌ Error computing closure impact:', impactErr);
+            }
+        }
+        
+        db.run('UPDATE gate_valves SET isOpen = ?, openingPercent = ? WHERE valveId = ?', [newState, newState ? 100 : 0, req.params.valveId], function(err) {
+            if (err) return res.status(500).json({ error: err.message });
+            networkStateChanged();
+            
+            db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, updatedValve) => {
+                if (!updatedValve) return;
+                recordAudit(auditContext(req), 'valve', req.params.valveId, newState ? 'open' : 'close', row, updatedValve).then(() => {
+                    updatedValve.isOpen = updatedValve.isOpen === 1;
+                    broadcastToAll({
+                        type: 'valve_updated',
+                        valve: updatedValve
+                    });
+                });
+            });
+            
+            res.json({ message: 'Valve toggled', isOpen: newState === 1, openingPercent: newState ? 100 : 0, valveId: req.params.valveId, impact });
+        });
+    });
+});
+
+function parseOpeningPercent(value) {
+    const opening = Number(value);
+    if (value === null || value === '' || !Number.isFinite(opening) || opening < 0 || opening > 100) return null;
+    return Math.round(opening);
+}
+
+function openingAction(opening) {
+    if (opening === 0) return 'close';
+    return opening === 100 ? 'open' : 'throttle';
+}
+
+// Single write path for valve position changes that other clients must see
+async function applyValveOpening(valveId, opening, audit) {
+    const before = await dbGet('SELECT * FROM gate_valves WHERE valveId = ?', [valveId]);
+    if (!before) return null;
+    await dbRun('UPDATE gate_valves SET openingPercent = ?, isOpen = ? WHERE valveId = ?',
+        [opening, opening > 0 ? 1 : 0, valveId]);
+    networkStateChanged();
+    
+    const updatedValve = await dbGet('SELECT * FROM gate_valves WHERE valveId = ?', [valveId]);
+    if (!updatedValve) return null;
+    await recordAudit(audit, 'valve', valveId, openingAction(opening), before, updatedValve);
+    updatedValve.isOpen = updatedValve.isOpen === 1;
+    broadcastToAll({
+        type: 'valve_updated',
+        valve: updatedValve
+    });
+    console.log(`📡 Broadcasted valve update: ${updatedValve.valveId} (opening: ${opening}%)`);
+    return updatedValve;
+}
+
+// Throttle a valve: 0 closes it, 100 is fully open
+app.patch('/api/valve/:valveId/opening', requireRole('operator'), async (req, res) => {
+    const opening = parseOpeningPercent(req.body.openingPercent);
+    if (opening === null) return res.status(400).json({ error: 'openingPercent must be a number from 0 to 100' });
+    
+    try {
+        const row = await dbGet('SELECT isOpen FROM gate_valves WHERE valveId = ?', [req.params.valveId]);
+        if (!row) return res.status(404).json({ error: 'Valve not found' });
+        
+        let impact = null;
+        if (opening === 0 && row.isOpen === 1) {
+            impact = await computeClosureImpact([req.params.valveId]);
+            console.log(`🚱 Closing ${req.params.valveId}: ${impact.drySegmentCount} segments dry, ${impact.households} households affected`);
+        }
+        
+        await applyValveOpening(req.params.valveId, opening, auditContext(req));
+        
+        res.json({ message: 'Valve opening set', valveId: req.params.valveId, isOpen: opening > 0, openingPercent: opening, impact });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== VALVE SCHEDULES ====================
+// Supply timings: each rule opens a valve at startTime and closes it at endTime
+// on the listed days, in the rule's own timezone. Rules only act at those two
+// instants, so an operator's manual change in between stands until the next one.
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SCHEDULER_INTERVAL = 20000;
+
+function parseClockTime(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Weekday (0 = Sunday) and minute of day at `date` in `timeZone`
+function localClock(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return {
+        day: WEEKDAYS.indexOf(parts.weekday),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+}
+
+function parseDays(daysOfWeek) {
+    return String(daysOfWeek).split(',').map(d => parseInt(d)).filter(d => d >= 0 && d <= 6);
+}
+
+// Days, times and timezone shared by valve and tank rules; returns { rule } or { error }
+function normalizeScheduleTimes(merged) {
+    const days = Array.isArray(merged.daysOfWeek) ? merged.daysOfWeek : parseDays(merged.daysOfWeek || '');
+    const uniqueDays = [...new Set(days.map(d => parseInt(d)))].filter(d => d >= 0 && d <= 6).sort();
+    if (uniqueDays.length === 0) return { error: 'daysOfWeek needs at least one day (0 = Sunday ... 6 = Saturday)' };
+    
+    const start = parseClockTime(merged.startTime);
+    const end = parseClockTime(merged.endTime);
+    if (start === null || end === null) return { error: 'startTime and endTime must be HH:MM (24-hour)' };
+    if (start === end) return { error: 'startTime and endTime must differ' };
+    
+    const timezone = merged.timezone || 'Asia/Kolkata';
+    if (!isValidTimezone(timezone)) return { error: `Unknown timezone ${timezone}` };
+    
+    return {
+        rule: {
+            label: merged.label || '',
+            daysOfWeek: uniqueDays.join(','),
+            startTime: merged.startTime,
+            endTime: merged.endTime,
+            timezone,
+            enabled: merged.enabled === undefined ? 1 : (merged.enabled ? 1 : 0)
+        }
+    };
+}
+
+// Returns { rule } ready to store, or { error }
+function normalizeSchedule(body, existing = {}) {
+    const merged = { ...existing, ...body };
+    const { rule, error } = normalizeScheduleTimes(merged);
+    if (error) return { error };
+    
+    const opening = parseOpeningPercent(merged.openingPercent === undefined ? 100 : merged.openingPercent);
+    if (opening === null || opening === 0) return { error: 'openingPercent must be from 1 to 100' };
+    
+    return { rule: { ...rule, openingPercent: opening } };
+}
+
+// Minutes the timezone is ahead of UTC right now (ignores upcoming DST changes)
+function timezoneOffsetMinutes(timeZone, date = new Date()) {
+    const local = localClock(date, timeZone);
+    const utc = localClock(date, 'UTC');
+    let diff = (local.day * MINUTES_PER_DAY + local.minutes) - (utc.day * MINUTES_PER_DAY + utc.minutes);
+    if (diff > MINUTES_PER_WEEK / 2) diff -= MINUTES_PER_WEEK;
+    if (diff < -MINUTES_PER_WEEK / 2) diff += MINUTES_PER_WEEK;
+    return diff;
+}
+
+// Open windows as [start, end) minutes of a UTC week; a window past midnight
+// belongs to the day it starts on
+function scheduleWindows(rule) {
+    const start = parseClockTime(rule.startTime);
+    const end = parseClockTime(rule.endTime);
+    const duration = (end - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const offset = timezoneOffsetMinutes(rule.timezone);
+    
+    return parseDays(rule.daysOfWeek).map(day => {
+        const from = ((day * MINUTES_PER_DAY + start - offset) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+        return [from, from + duration];
+    });
+}
+
+function windowsOverlap(a, b) {
+    return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift =>
+        a[0] < b[1] + shift && b[0] + shift < a[1]
+    );
+}
+
+function overlappingRules(rule, others) {
+    const windows = scheduleWindows(rule);
+    return others.filter(other =>
+        scheduleWindows(other).some(w => windows.some(mine => windowsOverlap(mine, w)))
+    );
+}
+
+async function findScheduleConflicts(valveId, rule, ignoreId = null) {
+    if (!rule.enabled) return [];
+    const others = await dbAll(
+        'SELECT * FROM valve_schedules WHERE valveId = ? AND enabled = 1 AND id != ?',
+        [valveId, ignoreId || -1]
+    );
+    return overlappingRules(rule, others);
+}
+
+function conflictMessage(conflicts) {
+    return 'Overlaps existing schedule ' + conflicts
+        .map(c => `#${c.id}${c.label ? ` "${c.label}"` : ''} (${c.startTime}-${c.endTime})`)
+        .join(', ');
+}
+
+app.get('/api/schedules', (req, res) => {
+    db.all('SELECT * FROM valve_schedules ORDER BY valveId, startTime', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(row => ({ ...row, enabled: row.enabled === 1 })));
+    });
+});
+
+app.get('/api/valve/:valveId/schedules', (req, res) => {
+    db.all('SELECT * FROM valve_schedules WHERE valveId = ? ORDER BY startTime', [req.params.valveId], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(row => ({ ...row, enabled: row.enabled === 1 })));
+    });
+});
+
+app.post('/api/valve/:valveId/schedules', requireRole('operator'), async (req, res) => {
+    const { rule, error } = normalizeSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+    
+    try {
+        const valve = await dbGet('SELECT valveId FROM gate_valves WHERE valveId = ?', [req.params.valveId]);
+        if (!valve) return res.status(404).json({ error: 'Valve not found' });
+        
+        const conflicts = await findScheduleConflicts(req.params.valveId, rule);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: conflictMessage(conflicts), conflicts });
+        }
+        
+        const result = await dbRun(
+            `INSERT INTO valve_schedules (valveId, label, daysOfWeek, startTime, endTime, timezone, openingPercent, enabled)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.params.valveId, rule.label, rule.daysOfWeek, rule.startTime, rule.endTime, rule.timezone, rule.openingPercent, rule.enabled]
+        );
+        const created = await dbGet('SELECT * FROM valve_schedules WHERE id = ?', [result.lastID]);
+        await recordAudit(auditContext(req), 'valve_schedule', result.lastID, 'create', null, created);
+        res.json({ id: result.lastID, valveId: req.params.valveId, ...rule, enabled: rule.enabled === 1, message: 'Schedule added' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/schedule/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM valve_schedules WHERE id = ?', [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+        
+        const { rule, error } = normalizeSchedule(req.body, existing);
+        if (error) return res.status(400).json({ error });
+        
+        const conflicts = await findScheduleConflicts(existing.valveId, rule, existing.id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: conflictMessage(conflicts), conflicts });
+        }
+        
+        await dbRun(
+            `UPDATE valve_schedules SET label = ?, daysOfWeek = ?, startTime = ?, endTime = ?, timezone = ?, openingPercent = ?, enabled = ?
+             WHERE id = ?`,
+            [rule.label, rule.daysOfWeek, rule.startTime, rule.endTime, rule.timezone, rule.openingPercent, rule.enabled, existing.id]
+        );
+        const updated = await dbGet('SELECT * FROM valve_schedules WHERE id = ?', [existing.id]);
+        await recordAudit(auditContext(req), 'valve_schedule', existing.id, 'update', existing, updated);
+        res.json({ message: 'Schedule updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/schedule/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM valve_schedules WHERE id = ?', [req.params.id]);
+        const result = await dbRun('DELETE FROM valve_schedules WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ error: 'Schedule not found' });
+        await recordAudit(auditContext(req), 'valve_schedule', existing.id, 'delete', existing, null);
+        res.json({ message: 'Schedule deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// What a rule does at this minute, if anything
+function scheduledAction(rule, date) {
+    const clock = localClock(date, rule.timezone);
+    const days = parseDays(rule.daysOfWeek);
+    const start = parseClockTime(rule.startTime);
+    const end = parseClockTime(rule.endTime);
+    
+    if (clock.minutes === start && days.includes(clock.day)) return 'open';
+    if (clock.minutes === end) {
+        // A window that crosses midnight closes on the day after it opened
+        const openedOn = end < start ? (clock.day + 6) % 7 : clock.day;
+        if (days.includes(openedOn)) return 'close';
+    }
+    return null;
+}
+
+// ==================== TANK RELEASE SCHEDULES ====================
+// Same rule format as valve schedules, minus the opening: release starts at
+// startTime and stops at endTime. A tank may also carry minReleaseLevel (m):
+// release is stopped, and not started, while the live level is below it.
+
+const LEVEL_READING_MAX_AGE = 15 * 60 * 1000; // older readings don't count as live
+
+function normalizeTankSchedule(body, existing = {}) {
+    return normalizeScheduleTimes({ ...existing, ...body });
+}
+
+async function findTankScheduleConflicts(tankId, rule, ignoreId = null) {
+    if (!rule.enabled) return [];
+    const others = await dbAll(
+        'SELECT * FROM tank_schedules WHERE tankId = ? AND enabled = 1 AND id != ?',
+        [tankId, ignoreId || -1]
+    );
+    return overlappingRules(rule, others);
+}
+
+// Latest reading if it is recent enough to act on, else null
+async function liveTankLevel(tankId) {
+    const reading = await dbGet(
+        'SELECT waterLevel, timestamp FROM sensor_data_history WHERE tankId = ? ORDER BY timestamp DESC, id DESC LIMIT 1',
+        [tankId]
+    );
+    if (!reading || reading.waterLevel === null) return null;
+    const age = Date.now() - new Date(reading.timestamp).getTime();
+    return age >= 0 && age <= LEVEL_READING_MAX_AGE ? reading : null;
+}
+
+async function belowReleaseLevel(tank) {
+    if (tank.minReleaseLevel === null || tank.minReleaseLevel === undefined) return null;
+    const reading = await liveTankLevel(tank.tankId);
+    return reading && reading.waterLevel < tank.minReleaseLevel ? reading : null;
+}
+
+app.get('/api/tank-schedules', (req, res) => {
+    db.all('SELECT * FROM tank_schedules ORDER BY tankId, startTime', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(row => ({ ...row, enabled: row.enabled === 1 })));
+    });
+});
+
+app.get('/api/tank/:tankId/schedules', (req, res) => {
+    db.all('SELECT * FROM tank_schedules WHERE tankId = ? ORDER BY startTime', [req.params.tankId], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(row => ({ ...row, enabled: row.enabled === 1 })));
+    });
+});
+
+app.post('/api/tank/:tankId/schedules', requireRole('operator'), async (req, res) => {
+    const { rule, error } = normalizeTankSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+    
+    try {
+        const tank = await dbGet('SELECT tankId FROM tanks WHERE tankId = ?', [req.params.tankId]);
+        if (!tank) return res.status(404).json({ error: 'Tank not found' });
+        
+        const conflicts = await findTankScheduleConflicts(req.params.tankId, rule);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: conflictMessage(conflicts), conflicts });
+        }
+        
+        const result = await dbRun(
+            `INSERT INTO tank_schedules (tankId, label, daysOfWeek, startTime, endTime, timezone, enabled)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.params.tankId, rule.label, rule.daysOfWeek, rule.startTime, rule.endTime, rule.timezone, rule.enabled]
+        );
+        const created = await dbGet('SELECT * FROM tank_schedules WHERE id = ?', [result.lastID]);
+        await recordAudit(auditContext(req), 'tank_schedule', result.lastID, 'create', null, created);
+        res.json({ id: result.lastID, tankId: req.params.tankId, ...rule, enabled: rule.enabled === 1, message: 'Schedule added' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/tank-schedule/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM tank_schedules WHERE id = ?', [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+        
+        const { rule, error } = normalizeTankSchedule(req.body, existing);
+        if (error) return res.status(400).json({ error });
+        
+        const conflicts = await findTankScheduleConflicts(existing.tankId, rule, existing.id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: conflictMessage(conflicts), conflicts });
+        }
+        
+        await dbRun(
+            `UPDATE tank_schedules SET label = ?, daysOfWeek = ?, startTime = ?, endTime = ?, timezone = ?, enabled = ?
+             WHERE id = ?`,
+            [rule.label, rule.daysOfWeek, rule.startTime, rule.endTime, rule.timezone, rule.enabled, existing.id]
+        );
+        const updated = await dbGet('SELECT * FROM tank_schedules WHERE id = ?', [existing.id]);
+        await recordAudit(auditContext(req), 'tank_schedule', existing.id, 'update', existing, updated);
+        res.json({ message: 'Schedule updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/tank-schedule/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM tank_schedules WHERE id = ?', [req.params.id]);
+        const result = await dbRun('DELETE FROM tank_schedules WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ error: 'Schedule not found' });
+        await recordAudit(auditContext(req), 'tank_schedule', existing.id, 'delete', existing, null);
+        res.json({ message: 'Schedule deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== ALERT RULES ====================
+// Per-tank rules checked against every live reading, whichever source it came
+// from. A rule keeps at most one alert open: it is raised when the value crosses
+// the threshold and only ends once the value is back past it by `hysteresis`,
+// so a level hovering on the line doesn't raise and clear on every reading.
+// Raised and cleared alerts are pushed to WebSocket clients as { type: 'alert' }.
+
+const ALERT_RULE_TYPES = {
+    low_level: { label: 'Low level', unit: '%', defaultHysteresis: 2 },
+    overflow: { label: 'Overflow risk', unit: '%', defaultHysteresis: 2 },
+    drop_rate: { label: 'Rapid drop', unit: 'm/h', defaultHysteresis: 0.1 },
+    temperature: { label: 'Temperature', unit: '°C', defaultHysteresis: 1 }
+};
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const DROP_RATE_WINDOW = 30 * 60 * 1000;  // level change is measured over this
+const DROP_RATE_MIN_SPAN = 5 * 60 * 1000; // less history than this gives no rate
+const ALERTS_DEFAULT_LIMIT = 100;
+const ALERTS_MAX_LIMIT = 1000;
+
+function alertRuleRow(row) {
+    return { ...row, enabled: row.enabled === 1 };
+}
+
+function normalizeAlertRule(body, existing = {}) {
+    const merged = { ...existing, ...body };
+    const type = ALERT_RULE_TYPES[merged.type];
+    if (!type) return { error: `type must be one of ${Object.keys(ALERT_RULE_TYPES).join(', ')}` };
+    
+    const severity = merged.severity || 'warning';
+    if (!ALERT_SEVERITIES.includes(severity)) return { error: `severity must be one of ${ALERT_SEVERITIES.join(', ')}` };
+    
+    const threshold = optionalDimension(merged.threshold);
+    const maxThreshold = merged.type === 'temperature' ? optionalDimension(merged.maxThreshold) : null;
+    const hysteresis = optionalDimension(merged.hysteresis);
+    if ([threshold, maxThreshold, hysteresis].some(value => value !== null && !isFinite(value))) {
+        return { error: 'threshold, maxThreshold and hysteresis must be numbers' };
+    }
+    if (hysteresis !== null && hysteresis < 0) return { error: 'hysteresis cannot be negative' };
+    
+    if (merged.type === 'temperature') {
+        if (threshold === null && maxThreshold === null) {
+            return { error: 'A temperature rule needs threshold (minimum) and/or maxThreshold (maximum)' };
+        }
+        if (threshold !== null && maxThreshold !== null && threshold >= maxThreshold) {
+            return { error: 'threshold must be below maxThreshold' };
+        }
+    } else if (threshold === null) {
+        return { error: `A ${merged.type} rule needs a threshold (${type.unit})` };
+    } else if (type.unit === '%' && (threshold < 0 || threshold > 100)) {
+        return { error: 'threshold must be between 0 and 100 %' };
+    } else if (merged.type === 'drop_rate' && threshold <= 0) {
+        return { error: 'threshold must be above 0 m/h' };
+    }
+    
+    return {
+        rule: {
+            type: merged.type,
+            threshold,
+            maxThreshold,
+            hysteresis: hysteresis === null ? type.defaultHysteresis : hysteresis,
+            severity,
+            enabled: merged.enabled === undefined ? 1 : (merged.enabled ? 1 : 0)
+        }
+    };
+}
+
+// m/hour the level has fallen over the last DROP_RATE_WINDOW (negative while
+// filling), or null without enough history to tell
+async function levelDropRate(tankId, metrics) {
+    const now = new Date(metrics.timestamp).getTime();
+    const earliest = await dbGet(
+        `SELECT waterLevel, timestamp FROM sensor_data_history
+         WHERE tankId = ? AND timestamp >= ? AND timestamp < ? AND waterLevel IS NOT NULL
+         ORDER BY timestamp ASC LIMIT 1`,
+        [tankId, new Date(now - DROP_RATE_WINDOW).toISOString(), metrics.timestamp]
+    );
+    if (!earliest) return null;
+    
+    const span = now - new Date(earliest.timestamp).getTime();
+    if (!(span >= DROP_RATE_MIN_SPAN)) return null;
+    return (earliest.waterLevel - metrics.waterLevel) / (span / 3600000);
+}
+
+// breached: an alert should be raised; recovered: an open one may end
+function alertRuleState(rule, value) {
+    const margin = rule.hysteresis || 0;
+    switch (rule.type) {
+        case 'low_level':
+            return { breached: value < rule.threshold, recovered: value >= rule.threshold + margin };
+        case 'overflow':
+        case 'drop_rate':
+            return { breached: value > rule.threshold, recovered: value <= rule.threshold - margin };
+        case 'temperature': {
+            const min = rule.threshold;
+            const max = rule.maxThreshold;
+            return {
+                breached: (min !== null && value < min) || (max !== null && value > max),
+                recovered: (min === null || value >= min + margin) && (max === null || value <= max - margin)
+            };
+        }
+        default:
+            return { breached: false, recovered: true };
+    }
+}
+
+// How far past its threshold a value is; an open alert's peakValue is the
+// reading where this was largest
+function alertExcess(rule, value) {
+    switch (rule.type) {
+        case 'low_level':
+            return rule.threshold - value;
+        case 'overflow':
+        case 'drop_rate':
+            return value - rule.threshold;
+        case 'temperature':
+            return Math.max(
+                rule.threshold === null ? -Infinity : rule.threshold - value,
+                rule.maxThreshold === null ? -Infinity : value - rule.maxThreshold
+            );
+        default:
+            return 0;
+    }
+}
+
+function alertMessage(tank, rule, value) {
+    switch (rule.type) {
+        case 'low_level':
+            return `${tank.name} is at ${value}% (below ${rule.threshold}%)`;
+        case 'overflow':
+            return `${tank.name} is at ${value}% (above ${rule.threshold}%) - overflow risk`;
+        case 'drop_rate':
+            return `${tank.name} level is falling ${value} m/h (limit ${rule.threshold} m/h)`;
+        case 'temperature': {
+            const min = rule.threshold === null ? '-∞' : rule.threshold;
+            const max = rule.maxThreshold === null ? '∞' : rule.maxThreshold;
+            return `${tank.name} water is at ${value} °C (allowed ${min} to ${max} °C)`;
+        }
+        default:
+            return `${tank.name}: ${rule.type} ${value}`;
+    }
+}
+
+async function endAlert(alert, endedAt) {
+    await dbRun('UPDATE alerts SET endedAt = ? WHERE id = ?', [endedAt, alert.id]);
+    console.log(`✅ Alert cleared for ${alert.tankId}: ${alert.message}`);
+    broadcastToAll({ type: 'alert', event: 'cleared', alert: { ...alert, endedAt } });
+}
+
+// Editing, disabling or deleting a rule ends its open alert; the next reading
+// raises a fresh one if the new rule is still breached
+async function endRuleAlert(ruleId) {
+    const active = await dbGet('SELECT * FROM alerts WHERE ruleId = ? AND endedAt IS NULL', [ruleId]);
+    if (active) await endAlert(active, new Date().toISOString());
+}
+
+async function applyAlertRule(tank, rule, value, timestamp) {
+    if (value === null || value === undefined || !isFinite(value)) return;
+    
+    const { breached, recovered } = alertRuleState(rule, value);
+    const active = await dbGet('SELECT * FROM alerts WHERE ruleId = ? AND endedAt IS NULL', [rule.id]);
+    
+    if (!active && breached) {
+        const shown = parseFloat(value.toFixed(2));
+        const alert = {
+            ruleId: rule.id,
+            tankId: tank.tankId,
+            type: rule.type,
+            severity: rule.severity,
+            message: alertMessage(tank, rule, shown),
+            value: shown,
+            peakValue: shown,
+            startedAt: timestamp,
+            endedAt: null
+        };
+        const result = await dbRun(
+            `INSERT INTO alerts (ruleId, tankId, type, severity, message, value, peakValue, startedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [alert.ruleId, alert.tankId, alert.type, alert.severity, alert.message, alert.value, alert.peakValue, alert.startedAt]
+        );
+        alert.id = result.lastID;
+        console.log(`🚨 Alert raised for ${tank.tankId} (${rule.severity}): ${alert.message}`);
+        broadcastToAll({ type: 'alert', event: 'raised', alert });
+    } else if (active && recovered) {
+        await endAlert(active, timestamp);
+    } else if (active) {
+        const peak = active.peakValue === null ? active.value : active.peakValue;
+        if (alertExcess(rule, value) > alertExcess(rule, peak)) {
+            await dbRun('UPDATE alerts SET peakValue = ? WHERE id = ?', [parseFloat(value.toFixed(2)), active.id]);
+        }
+    }
+}
+
+// Called by ingestReading for every reading that becomes the tank's live level
+async function evaluateAlertRules(tank, metrics) {
+    try {
+        const rules = await dbAll('SELECT * FROM alert_rules WHERE tankId = ? AND enabled = 1 ORDER BY id', [tank.tankId]);
+        if (rules.length === 0) return;
+        
+        const values = {
+            low_level: metrics.percentageFull,
+            overflow: metrics.percentageFull,
+            temperature: metrics.temperature
+        };
+        if (rules.some(rule => rule.type === 'drop_rate')) {
+            values.drop_rate = await levelDropRate(tank.tankId, metrics);
+        }
+        
+        for (const rule of rules) {
+            await applyAlertRule(tank, rule, values[rule.type], metrics.timestamp);
+        }
+    } catch (err) {
+        // The reading is already stored - a failed check must not reject it
+        console.error(`❌ Error evaluating alert rules for ${tank.tankId}:`, err);
+    }
+}
+
+app.get('/api/tank/:tankId/alert-rules', (req, res) => {
+    db.all('SELECT * FROM alert_rules WHERE tankId = ? ORDER BY id', [req.params.tankId], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(alertRuleRow));
+    });
+});
+
+app.post('/api/tank/:tankId/alert-rules', requireRole('operator'), async (req, res) => {
+    const { rule, error } = normalizeAlertRule(req.body);
+    if (error) return res.status(400).json({ error });
+    
+    try {
+        const tank = await dbGet('SELECT tankId FROM tanks WHERE tankId = ?', [req.params.tankId]);
+        if (!tank) return res.status(404).json({ error: 'Tank not found' });
+        
+        const result = await dbRun(
+            `INSERT INTO alert_rules (tankId, type, threshold, maxThreshold, hysteresis, severity, enabled)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.params.tankId, rule.type, rule.threshold, rule.maxThreshold, rule.hysteresis, rule.severity, rule.enabled]
+        );
+        res.json({ id: result.lastID, tankId: req.params.tankId, ...rule, enabled: rule.enabled === 1, message: 'Alert rule added' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/alert-rule/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM alert_rules WHERE id = ?', [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Alert rule not found' });
+        
+        const { rule, error } = normalizeAlertRule(req.body, existing);
+        if (error) return res.status(400).json({ error });
+        
+        await dbRun(
+            `UPDATE alert_rules SET type = ?, threshold = ?, maxThreshold = ?, hysteresis = ?, severity = ?, enabled = ?
+             WHERE id = ?`,
+            [rule.type, rule.threshold, rule.maxThreshold, rule.hysteresis, rule.severity, rule.enabled, existing.id]
+        );
+        await endRuleAlert(existing.id);
+        res.json({ message: 'Alert rule updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/alert-rule/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const result = await dbRun('DELETE FROM alert_rules WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ error: 'Alert rule not found' });
+        
+        await endRuleAlert(req.params.id);
+        res.json({ message: 'Alert rule deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ?tankId= for one tank, ?active=true for alerts that haven't ended yet
+app.get('/api/alerts', async (req, res) => {
+    const { tankId } = req.query;
+    const active = req.query.active === 'true' || req.query.active === '1';
+    const limit = Math.min(parseInt(req.query.limit) || ALERTS_DEFAULT_LIMIT, ALERTS_MAX_LIMIT);
+    
+    const where = [];
+    const params = [];
+    if (tankId) { where.push('tankId = ?'); params.push(tankId); }
+    if (active) where.push('endedAt IS NULL');
+    
+    try {
+        const rows = await dbAll(
+            `SELECT * FROM alerts ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY startedAt DESC, id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==================== NOTIFICATIONS ====================
+// Alerts, offline devices and valve changes reach people away from the map
+// through the channels in notifications.js. Admins manage channels and message
+// templates; every user manages their own subscriptions. Each recipient gets a
+// row in notification_deliveries, retried with backoff until it goes through or
+// runs out of attempts, so the table is also the delivery log.
+
+const DELIVERY_POLL_INTERVAL = 15 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+const DELIVERIES_DEFAULT_LIMIT = 100;
+const DELIVERIES_MAX_LIMIT = 1000;
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Channel as the API shows it: secrets are write-only
+function publicChannel(row) {
+    const config = JSON.parse(row.config || '{}');
+    const hasSecret = Notifications.SECRET_CONFIG_KEYS.some(key => !!config[key]);
+    Notifications.SECRET_CONFIG_KEYS.forEach(key => delete config[key]);
+    return { ...row, config, hasSecret, enabled: row.enabled === 1 };
+}
+
+function normalizeChannel(body, existing = null) {
+    const type = existing ? existing.type : body.type;
+    const Channel = Notifications.CHANNEL_TYPES[type];
+    if (!Channel) return { error: `type must be one of ${Object.keys(Notifications.CHANNEL_TYPES).join(', ')}` };
+    
+    const name = String(body.name !== undefined ? body.name : (existing ? existing.name : '')).trim();
+    if (!name) return { error: 'name is required' };
+    
+    // Keys left out of an update (e.g. the secret) keep their stored value
+    const config = { ...(existing ? JSON.parse(existing.config || '{}') : {}), ...(body.config || {}) };
+    const error = Channel.validate(config);
+    if (error) return { error };
+    
+    const enabled = body.enabled === undefined ? (existing ? existing.enabled : 1) : (body.enabled ? 1 : 0);
+    return { channel: { name, type, config: JSON.stringify(config), enabled } };
+}
+
+function parseEventList(events) {
+    const list = (Array.isArray(events) ? events : String(events || '*').split(','))
+        .map(eventType => String(eventType).trim())
+        .filter(Boolean);
+    if (list.length === 0 || list.includes('*')) return { events: '*' };
+    
+    const unknown = list.filter(eventType => !Notifications.NOTIFICATION_EVENTS[eventType]);
+    if (unknown.length > 0) return { error: `Unknown event type(s): ${unknown.join(', ')}` };
+    return { events: [...new Set(list)].join(',') };
+}
+
+// Only admins may point an email subscription at an address other than the
+// caller's own (users.email), which is also the default target
+async function normalizeSubscription(body, user, existing = {}) {
+    const merged = { ...existing, ...body };
+    const channel = await dbGet('SELECT * FROM notification_channels WHERE id = ?', [merged.channelId]);
+    if (!channel) return { error: `Channel ${merged.channelId} not found` };
+    
+    const ownAddress = !hasRole(user, 'admin');
+    const target = merged.target ? String(merged.target).trim() : (user.email || null);
+    if (channel.type === 'email' && ownAddress) {
+        if (!user.email) return { error: 'Your account has no email address - ask an administrator to add one' };
+        if (target.toLowerCase() !== user.email.toLowerCase()) {
+            return { error: `Email subscriptions can only go to your own address (${user.email})` };
+        }
+    }
+    if (channel.type === 'email' && !EMAIL_PATTERN.test(target || '')) {
+        return { error: 'Email subscriptions need a target email address' };
+    }
+    
+    const { events, error } = parseEventList(merged.events);
+    if (error) return { error };
+    
+    return {
+        subscription: {
+            channelId: channel.id,
+            // Webhooks always go to the channel URL
+            target: channel.type === 'email' ? target : null,
+            mandal: merged.mandal ? String(merged.mandal).trim() : null,
+            events,
+            enabled: merged.enabled === undefined ? 1 : (merged.enabled ? 1 : 0)
+        }
+    };
+}
+
+function subscriptionRow(row) {
+    return { ...row, events: row.events === '*' ? ['*'] : row.events.split(','), enabled: row.enabled === 1 };
+}
+
+// Admins see every subscription, everyone else only their own
+async function visibleSubscription(req, id) {
+    const row = await dbGet('SELECT * FROM notification_subscriptions WHERE id = ?', [id]);
+    if (!row) return null;
+    return row.userId === req.user.id || hasRole(req.user, 'admin') ? row : null;
+}
+
+async function eventTemplate(eventType) {
+    const custom = await dbGet('SELECT subject, body FROM notification_templates WHERE eventType = ?', [eventType]);
+    return custom || Notifications.DEFAULT_TEMPLATES[eventType];
+}
+
+function sameMandal(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Queue one delivery per matching recipient. data carries the event's objects
+// for the template and the mandal the event happened in.
+async function notify(eventType, data) {
+    const subscriptions = await dbAll(
+        `SELECT s.* FROM notification_subscriptions s
+         JOIN notification_channels c ON c.id = s.channelId
+         JOIN users u ON u.id = s.userId
+         WHERE s.enabled = 1 AND c.enabled = 1 AND u.disabled = 0`
+    );
+    const matching = subscriptions.filter(sub =>
+        (sub.events === '*' || sub.events.split(',').includes(eventType)) &&
+        (!sub.mandal || sameMandal(sub.mandal, data.mandal))
+    );
+    if (matching.length === 0) return 0;
+    
+    // Several users subscribed to the same webhook or address get one message
+    const recipients = new Map();
+    matching.forEach(sub => {
+        const key = `${sub.channelId}|${(sub.target || '').toLowerCase()}`;
+        if (!recipients.has(key)) recipients.set(key, sub);
+    });
+    
+    const template = await eventTemplate(eventType);
+    const subject = Notifications.renderTemplate(template.subject, data);
+    const body = Notifications.renderTemplate(template.body, data);
+    const now = new Date().toISOString();
+    
+    for (const sub of recipients.values()) {
+        await dbRun(
+            `INSERT INTO notification_deliveries (eventType, channelId, subscriptionId, target, subject, body, data, nextAttemptAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [eventType, sub.channelId, sub.id, sub.target, subject, body, JSON.stringify(data), now]
+        );
+    }
+    console.log(`🔔 Queued ${recipients.size} notification(s) for ${eventType}`);
+    processDeliveries();
+    return recipients.size;
+}
+
+function valveStateText(valve) {
+    if (!valve.isOpen) return 'closed';
+    return valve.openingPercent !== undefined && valve.openingPercent < 100
+        ? `throttled to ${valve.openingPercent}%`
+        : 'open';
+}
+
+async function notificationData(message) {
+    if (message.type === 'valve_updated') {
+        return { valve: { ...message.valve, state: valveStateText(message.valve) }, mandal: message.valve.mandal };
+    }
+    
+    const { type, ...details } = message;
+    if (type === 'device_offline') {
+        const { assetType, assetId } = message.device;
+        const asset = await findAsset(assetType, assetId);
+        return { ...details, asset: asset || { assetType, assetId, name: assetId }, mandal: asset ? asset.mandal : null };
+    }
+    
+    const tankId = message.alert.tankId;
+    const tank = tankId
+        ? await dbGet('SELECT tankId, name, mandal, habitation, deviceId FROM tanks WHERE tankId = ?', [tankId])
+        : null;
+    return { ...details, tank: tank || { tankId, name: tankId }, mandal: tank ? tank.mandal : null };
+}
+
+// WebSocket broadcasts that also go out as notifications
+function notifyBroadcast(message) {
+    let eventType = null;
+    if (message.type === 'alert') {
+        eventType = message.event === 'raised' ? `tank_${message.alert.type}` : 'alert_cleared';
+    } else if (message.type === 'valve_updated' || message.type === 'device_offline') {
+        eventType = message.type;
+    }
+    if (!eventType) return;
+    
+    notificationData(message)
+        .then(data => notify(eventType, data))
+        .catch(err => console.error(`❌ Error queuing ${eventType} notifications:`, err));
+}
+
+// One attempt at a queued delivery; failures are rescheduled until they run
+// out of attempts (or straight away when `retry` is false)
+async function deliver(delivery, { retry = true } = {}) {
+    const attempts = delivery.attempts + 1;
+    const channelRow = await dbGet('SELECT * FROM notification_channels WHERE id = ?', [delivery.channelId]);
+    
+    try {
+        if (!channelRow || channelRow.enabled !== 1) throw new Error('Channel removed or disabled');
+        await Notifications.createChannel(channelRow).send({
+            eventType: delivery.eventType,
+            subject: delivery.subject,
+            body: delivery.body,
+            data: delivery.data ? JSON.parse(delivery.data) : null
+        }, delivery);
+        
+        await dbRun(
+            `UPDATE notification_deliveries SET status = 'sent', attempts = ?, lastError = NULL, nextAttemptAt = NULL, deliveredAt = ?
+             WHERE id = ?`,
+            [attempts, new Date().toISOString(), delivery.id]
+        );
+        console.log(`📨 Notification #${delivery.id} (${delivery.eventType}) sent via ${channelRow.type} "${channelRow.name}"`);
+        return { status: 'sent' };
+    } catch (err) {
+        const giveUp = !retry || !channelRow || channelRow.enabled !== 1 || attempts >= Notifications.MAX_DELIVERY_ATTEMPTS;
+        const nextAttemptAt = giveUp ? null : new Date(Date.now() + Notifications.retryDelay(attempts)).toISOString();
+        await dbRun(
+            'UPDATE notification_deliveries SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = ? WHERE id = ?',
+            [giveUp ? 'failed' : 'pending', attempts, err.message, nextAttemptAt, delivery.id]
+        );
+        console.error(`❌ Notification #${delivery.id} attempt ${attempts} failed${giveUp ? '' : `, retrying at ${nextAttemptAt}`}: ${err.message}`);
+        return { status: giveUp ? 'failed' : 'pending', error: err.message };
+    }
+}
+
+let deliveriesRunning = false;
+let deliveriesRequested = false;
+
+async function processDeliveries() {
+    if (deliveriesRunning) {
+        deliveriesRequested = true;
+        return;
+    }
+    deliveriesRunning = true;
+    
+    try {
+        do {
+            deliveriesRequested = false;
+            const due = await dbAll(
+                `SELECT * FROM notification_deliveries WHERE status = 'pending' AND nextAttemptAt <= ?
+                 ORDER BY id LIMIT ?`,
+                [new Date().toISOString(), DELIVERY_BATCH_SIZE]
+            );
+            for (const delivery of due) await deliver(delivery);
+            if (due.length === DELIVERY_BATCH_SIZE) deliveriesRequested = true;
+        } while (deliveriesRequested);
+    } catch (err) {
+        console.error('❌ Notification delivery error:', err);
+    } finally {
+        deliveriesRunning = false;
+    }
+}
+
+const deliveryWorker = setInterval(processDeliveries, DELIVERY_POLL_INTERVAL);
+
+app.get('/api/notifications/events', (req, res) => {
+    res.json(Object.entries(Notifications.NOTIFICATION_EVENTS).map(([eventType, description]) => ({ eventType, description })));
+});
+
+app.get('/api/notifications/channels', (req, res) => {
+    db.all('SELECT * FROM notification_channels ORDER BY id', [], (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map(publicChannel));
+    });
+});
+
+app.post('/api/notifications/channels', requireRole('admin'), async (req, res) => {
+    const { channel, error } = normalizeChannel(req.body);
+    if (error) return res.status(400).json({ error });
     
-    db.get(
-        `SELECT * FROM sensor_data_history 
-         WHERE tankId = ? 
-         ORDER BY timestamp DESC 
-         LIMIT 1`,
-        [tankId],
-        (err, row) => {
-            if (err) {
-                return res.status(500).json({ error: err.message });
-            }
-            if (!row) {
-                return res.status(404).json({ error: 'No data found' });
-            }
-            res.json({
-                ...row,
-                rawData: JSON.parse(row.rawData)
-            });
-        }
-    );
+    try {
+        const result = await dbRun(
+            'INSERT INTO notification_channels (name, type, config, enabled) VALUES (?, ?, ?, ?)',
+            [channel.name, channel.type, channel.config, channel.enabled]
+        );
+        console.log(`🔔 ${req.user.username} added ${channel.type} channel "${channel.name}"`);
+        res.json({ ...publicChannel({ id: result.lastID, ...channel }), message: 'Channel added' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.post('/api/sensor/data', (req, res) => {
-    const { deviceId, tankId, waterLevel, temperature } = req.body;
-    
-    if (!deviceId || waterLevel === undefined) {
-        return res.status(400).json({ error: 'deviceId and waterLevel required' });
-    }
-    
-    db.get('SELECT * FROM tanks WHERE deviceId = ?', [deviceId], (err, tank) => {
-        if (err || !tank) {
-            return res.status(404).json({ error: 'Tank not found for this device' });
-        }
+app.put('/api/notifications/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await dbGet('SELECT * FROM notification_channels WHERE id = ?', [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Channel not found' });
         
-        const metrics = calculateWaterMetrics(
-            waterLevel,
-            tank.diameter,
-            tank.height,
-            tank.capacity,
-            tank.shape
-        );
+        const { channel, error } = normalizeChannel(req.body, existing);
+        if (error) return res.status(400).json({ error });
         
-        metrics.temperature = temperature || null;
-        metrics.timestamp = new Date().toISOString();
-        
-        db.run(
-            `INSERT INTO sensor_data_history 
-            (deviceId, tankId, waterLevel, volumeLiters, pressure, temperature, timestamp, rawData) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                deviceId,
-                tank.tankId,
-                metrics.waterLevel,
-                metrics.volumeLiters,
-                metrics.pressureKPa,
-                metrics.temperature,
-                metrics.timestamp,
-                JSON.stringify(req.body)
-            ],
-            function(insertErr) {
-                if (insertErr) {
-                    return res.status(500).json({ error: insertErr.message });
-                }
-                
-                // Send to SSE clients
-                const clients = sseClients.get(deviceId) || [];
-                const payload = {
-                    deviceId,
-                    tankId: tank.tankId,
-                    ...metrics,
-                    rawData: req.body
-                };
-                
-                clients.forEach(client => {
-                    try {
-                        client.write(`data: ${JSON.stringify(payload)}\n\n`);
-                    } catch (err) {
-                        console.error('Error sending to SSE client:', err);
-                    }
-                });
-                
-                res.json({ success: true, id: this.lastID, metrics });
-            }
+        await dbRun(
+            'UPDATE notification_channels SET name = ?, config = ?, enabled = ? WHERE id = ?',
+            [channel.name, channel.config, channel.enabled, existing.id]
         );
-    });
+        res.json({ message: 'Channel updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// ==================== PIPELINES ENDPOINTS ====================
+app.delete('/api/notifications/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await dbRun('DELETE FROM notification_channels WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) return res.status(404).json({ error: 'Channel not found' });
+        
+        await dbRun('DELETE FROM notification_subscriptions WHERE channelId = ?', [req.params.id]);
+        res.json({ message: 'Channel deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-app.post('/api/pipeline', (req, res) => {
-    const { nodes } = req.body;
-    if (!nodes || !Array.isArray(nodes)) {
-        return res.status(400).json({ error: 'Nodes array is required' });
+// Sends one message straight away, without retries; recorded in the log as 'test'
+app.post('/api/notifications/channels/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        const channel = await dbGet('SELECT * FROM notification_channels WHERE id = ?', [req.params.id]);
+        if (!channel) return res.status(404).json({ error: 'Channel not found' });
+        
+        const target = req.body.target ? String(req.body.target).trim() : null;
+        if (channel.type === 'email' && !EMAIL_PATTERN.test(target || '')) {
+            return res.status(400).json({ error: 'target email address is required' });
+        }
+        
+        const delivery = {
+            eventType: 'test',
+            channelId: channel.id,
+            target: channel.type === 'email' ? target : null,
+            subject: `Test notification from ${channel.name}`,
+            body: `Sent by ${req.user.username} to check the ${channel.type} channel "${channel.name}".`,
+            data: '{}',
+            attempts: 0
+        };
+        const result = await dbRun(
+            `INSERT INTO notification_deliveries (eventType, channelId, target, subject, body, data)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [delivery.eventType, delivery.channelId, delivery.target, delivery.subject, delivery.body, delivery.data]
+        );
+        delivery.id = result.lastID;
+        
+        const outcome = await deliver(delivery, { retry: false });
+        res.status(outcome.status === 'sent' ? 200 : 502).json({ deliveryId: delivery.id, ...outcome });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    db.run('INSERT INTO pipelines (nodes) VALUES (?)', [JSON.stringify(nodes)], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ id: this.lastID, message: 'Pipeline saved' });
-    });
 });
 
-app.get('/api/pipelines', (req, res) => {
-    db.all('SELECT * FROM pipelines ORDER BY created_at DESC', [], (err, rows) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json(rows);
-    });
+app.get('/api/notifications/subscriptions', async (req, res) => {
+    const all = hasRole(req.user, 'admin');
+    try {
+        const rows = await dbAll(
+            `SELECT s.*, u.username, c.name AS channelName, c.type AS channelType
+             FROM notification_subscriptions s
+             LEFT JOIN users u ON u.id = s.userId
+             LEFT JOIN notification_channels c ON c.id = s.channelId
+             ${all ? '' : 'WHERE s.userId = ?'} ORDER BY s.id`,
+            all ? [] : [req.user.id]
+        );
+        res.json(rows.map(subscriptionRow));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.get('/api/pipeline/:id', (req, res) => {
-    db.get('SELECT * FROM pipelines WHERE id = ?', [req.params.id], (err, row) => {
-        if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.status(404).json({ error: 'Pipeline not found' });
-        res.json(row);
-    });
+app.post('/api/notifications/subscriptions', async (req, res) => {
+    try {
+        const { subscription, error } = await normalizeSubscription(req.body, req.user);
+        if (error) return res.status(400).json({ error });
+        
+        const result = await dbRun(
+            `INSERT INTO notification_subscriptions (userId, channelId, target, mandal, events, enabled)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [req.user.id, subscription.channelId, subscription.target, subscription.mandal, subscription.events, subscription.enabled]
+        );
+        res.json({
+            ...subscriptionRow({ id: result.lastID, userId: req.user.id, ...subscription }),
+            message: 'Subscription added'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.put('/api/pipeline/:id', (req, res) => {
-    const { nodes } = req.body;
-    if (!nodes || !Array.isArray(nodes)) {
-        return res.status(400).json({ error: 'Nodes array is required' });
+app.put('/api/notifications/subscriptions/:id', async (req, res) => {
+    try {
+        const existing = await visibleSubscription(req, req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Subscription not found' });
+        
+        const { subscription, error } = await normalizeSubscription(req.body, req.user, existing);
+        if (error) return res.status(400).json({ error });
+        
+        await dbRun(
+            `UPDATE notification_subscriptions SET channelId = ?, target = ?, mandal = ?, events = ?, enabled = ?
+             WHERE id = ?`,
+            [subscription.channelId, subscription.target, subscription.mandal, subscription.events, subscription.enabled, existing.id]
+        );
+        res.json({ message: 'Subscription updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    db.run('UPDATE pipelines SET nodes = ? WHERE id = ?', [JSON.stringify(nodes), req.params.id], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ message: 'Pipeline updated' });
-    });
 });
 
-app.delete('/api/pipeline/:id', (req, res) => {
-    db.run('DELETE FROM pipelines WHERE id = ?', [req.params.id], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ message: 'Pipeline deleted' });
-    });
+app.delete('/api/notifications/subscriptions/:id', async (req, res) => {
+    try {
+        const existing = await visibleSubscription(req, req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Subscription not found' });
+        
+        await dbRun('DELETE FROM notification_subscriptions WHERE id = ?', [existing.id]);
+        res.json({ message: 'Subscription deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// ==================== TANKS ENDPOINTS ====================
+app.get('/api/notifications/templates', async (req, res) => {
+    try {
+        const custom = await dbAll('SELECT * FROM notification_templates');
+        const byEvent = new Map(custom.map(row => [row.eventType, row]));
+        res.json(Object.keys(Notifications.NOTIFICATION_EVENTS).map(eventType => {
+            const row = byEvent.get(eventType);
+            return row
+                ? { eventType, subject: row.subject, body: row.body, custom: true, updatedBy: row.updatedBy, updated_at: row.updated_at }
+                : { eventType, ...Notifications.DEFAULT_TEMPLATES[eventType], custom: false };
+        }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-app.post('/api/tank', (req, res) => {
-    const tank = req.body;
-    if (!tank.tankId || !tank.name || !tank.latitude || !tank.longitude) {
-        return res.status(400).json({ error: 'Missing required fields' });
+app.put('/api/notifications/templates/:eventType', requireRole('admin'), async (req, res) => {
+    const { eventType } = req.params;
+    if (!Notifications.NOTIFICATION_EVENTS[eventType]) return res.status(404).json({ error: 'Unknown event type' });
+    
+    const { subject, body } = req.body;
+    if (!subject || !body) return res.status(400).json({ error: 'subject and body are required' });
+    
+    try {
+        await dbRun(
+            `INSERT INTO notification_templates (eventType, subject, body, updatedBy, updated_at)
+             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(eventType) DO UPDATE SET subject = excluded.subject, body = excluded.body,
+                 updatedBy = excluded.updatedBy, updated_at = excluded.updated_at`,
+            [eventType, String(subject), String(body), req.user.username]
+        );
+        res.json({ message: 'Template saved' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    db.run(
-        `INSERT INTO tanks (tankId, deviceId, name, state, district, mandal, habitation, latitude, longitude, type, shape, diameter, height, sensorHeight, capacity, waterLevel, isActive) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [tank.tankId, tank.deviceId || '', tank.name, tank.state || '', tank.district || '', tank.mandal || '', tank.habitation || '', 
-         tank.latitude, tank.longitude, tank.type, tank.shape, tank.diameter, tank.height, tank.sensorHeight, tank.capacity, tank.waterLevel || 0, tank.isActive ? 1 : 0],
-        function(err) {
-            if (err) return res.status(500).json({ error: err.message });
-            res.json({ tankId: tank.tankId, message: 'Tank added' });
-        }
-    );
 });
 
-app.get('/api/tanks', (req, res) => {
-    db.all('SELECT * FROM tanks ORDER BY created_at DESC', [], (err, rows) => {
+// Back to the built-in template
+app.delete('/api/notifications/templates/:eventType', requireRole('admin'), (req, res) => {
+    db.run('DELETE FROM notification_templates WHERE eventType = ?', [req.params.eventType], function(err) {
         if (err) return res.status(500).json({ error: err.message });
-        const tanks = rows.map(row => ({ ...row, isActive: row.isActive === 1 }));
-        res.json(tanks);
+        res.json({ message: this.changes > 0 ? 'Template reset to default' : 'Template already default' });
     });
 });
 
-app.get('/api/tank/:tankId', (req, res) => {
-    db.get('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId], (err, row) => {
-        if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.status(404).json({ error: 'Tank not found' });
-        row.isActive = row.isActive === 1;
-        res.json(row);
-    });
+// Delivery log: ?status=pending|sent|failed&eventType=&channelId=&limit=
+app.get('/api/notifications/deliveries', requireRole('admin'), async (req, res) => {
+    const { status, eventType, channelId } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || DELIVERIES_DEFAULT_LIMIT, DELIVERIES_MAX_LIMIT);
+    
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (eventType) { where.push('eventType = ?'); params.push(eventType); }
+    if (channelId) { where.push('channelId = ?'); params.push(channelId); }
+    
+    try {
+        const rows = await dbAll(
+            `SELECT * FROM notification_deliveries ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        res.json(rows.map(row => ({ ...row, data: row.data ? JSON.parse(row.data) : null })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-let broadcastTimeout = null;
-const BROADCAST_DELAY = 300;
+// ==================== SCHEDULER ====================
 
-app.put('/api/tank/:tankId', (req, res) => {
-    const tank = req.body;
-    const updates = [];
-    const values = [];
-    Object.keys(tank).forEach(key => {
-        if (key !== 'tankId') {
-            updates.push(`${key} = ?`);
-            values.push(key === 'isActive' ? (tank[key] ? 1 : 0) : tank[key]);
+let lastScheduledMinute = Math.floor(Date.now() / 60000);
+
+function scheduleAudit(rule) {
+    return { actor: 'scheduler', reason: `Schedule #${rule.id}${rule.label ? ` "${rule.label}"` : ''} ${rule.startTime}-${rule.endTime}` };
+}
+
+async function applyValveRule(rule, action, at) {
+    const opening = action === 'open' ? rule.openingPercent : 0;
+    const valve = await applyValveOpening(rule.valveId, opening, scheduleAudit(rule));
+    if (!valve) return;
+    await dbRun('UPDATE valve_schedules SET lastAction = ?, lastAppliedAt = ? WHERE id = ?',
+        [action, at.toISOString(), rule.id]);
+    console.log(`⏰ Schedule #${rule.id}${rule.label ? ` "${rule.label}"` : ''}: ${action} ${rule.valveId} (${opening}%)`);
+}
+
+async function applyTankRule(rule, action, at) {
+    const tank = await dbGet('SELECT * FROM tanks WHERE tankId = ?', [rule.tankId]);
+    if (!tank) return;
+    
+    if (action === 'open') {
+        const low = await belowReleaseLevel(tank);
+        if (low) {
+            await dbRun('UPDATE tank_schedules SET lastAction = ?, lastAppliedAt = ? WHERE id = ?',
+                ['skipped (low level)', at.toISOString(), rule.id]);
+            console.log(`⏰ Tank schedule #${rule.id}: ${rule.tankId} not started, level ${low.waterLevel}m < ${tank.minReleaseLevel}m`);
+            return;
         }
-    });
-    if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
-    values.push(req.params.tankId);
+    }
     
-    db.run(`UPDATE tanks SET ${updates.join(', ')} WHERE tankId = ?`, values, function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        
-        clearTimeout(broadcastTimeout);
-        broadcastTimeout = setTimeout(() => {
-            db.get('SELECT * FROM tanks WHERE tankId = ?', [req.params.tankId], (err, updatedTank) => {
-                if (updatedTank) {
-                    updatedTank.isActive = updatedTank.isActive === 1;
-                    broadcastToAll({
-                        type: 'tank_updated',
-                        tank: updatedTank
-                    });
-                    console.log(`📡 Broadcasted tank update: ${updatedTank.tankId} (isActive: ${updatedTank.isActive})`);
-                }
-            });
-        }, BROADCAST_DELAY);
-        
-        res.json({ message: 'Tank updated' });
-    });
+    const release = action === 'open' ? 'start' : 'stop';
+    await setTankActive(rule.tankId, action === 'open', scheduleAudit(rule));
+    await dbRun('UPDATE tank_schedules SET lastAction = ?, lastAppliedAt = ? WHERE id = ?',
+        [release, at.toISOString(), rule.id]);
+    console.log(`⏰ Tank schedule #${rule.id}${rule.label ? ` "${rule.label}"` : ''}: ${release} release from ${rule.tankId}`);
+}
+
+// Stop any releasing tank whose live level has dropped below its minimum
+async function enforceReleaseLevels() {
+    const tanks = await dbAll('SELECT * FROM tanks WHERE isActive = 1 AND minReleaseLevel IS NOT NULL');
+    for (const tank of tanks) {
+        const low = await belowReleaseLevel(tank);
+        if (!low) continue;
+        await setTankActive(tank.tankId, false, {
+            actor: 'scheduler',
+            reason: `Live level ${low.waterLevel}m below minimum ${tank.minReleaseLevel}m`
+        });
+        console.log(`🛑 Release stopped: ${tank.tankId} level ${low.waterLevel}m below minimum ${tank.minReleaseLevel}m`);
+    }
+}
+
+async function runSchedules() {
+    await enforceReleaseLevels();
+    
+    const currentMinute = Math.floor(Date.now() / 60000);
+    if (currentMinute <= lastScheduledMinute) return;
+    
+    // Catch up on minutes skipped by a busy event loop, but not on long outages
+    const firstMinute = Math.max(lastScheduledMinute + 1, currentMinute - 5);
+    lastScheduledMinute = currentMinute;
+    
+    const [valveRules, tankRules] = await Promise.all([
+        dbAll('SELECT * FROM valve_schedules WHERE enabled = 1'),
+        dbAll('SELECT * FROM tank_schedules WHERE enabled = 1')
+    ]);
+    for (let minute = firstMinute; minute <= currentMinute; minute++) {
+        const at = new Date(minute * 60000);
+        for (const rule of valveRules) {
+            const action = scheduledAction(rule, at);
+            if (action) await applyValveRule(rule, action, at);
+        }
+        for (const rule of tankRules) {
+            const action = scheduledAction(rule, at);
+            if (action) await applyTankRule(rule, action, at);
+        }
+    }
+}
+
+const scheduler = setInterval(() => {
+    runSchedules().catch(err => console.error('❌ Scheduler error:', err));
+}, SCHEDULER_INTERVAL);
+
+// ==================== NETWORK ENDPOINTS ====================
+
+app.get('/api/network', async (req, res) => {
+    try {
+        const [junctions, edges, attachments] = await Promise.all([
+            dbAll('SELECT * FROM network_junctions'),
+            dbAll('SELECT * FROM network_edges ORDER BY pipelineId, segmentIndex'),
+            dbAll('SELECT * FROM network_attachments')
+        ]);
+        res.json({ junctions, edges, attachments });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.delete('/api/tank/:tankId', (req, res) => {
-    db.run('DELETE FROM tanks WHERE tankId = ?', [req.params.tankId], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
+app.get('/api/network/flow', async (req, res) => {
+    try {
+        const { network, tanks, valves } = await loadNetworkState();
+        const activeTanks = tanks.filter(t => t.isActive);
+        const flowData = NetworkTopology.computeFlow(network, activeTanks, valves);
         
-        broadcastToAll({
-            type: 'tank_deleted',
-            tankId: req.params.tankId
+        res.json({
+            activeTanks: activeTanks.map(t => t.tankId),
+            totalSegments: flowData.totalSegments,
+            flowingSegments: flowData.segments,
+            blockedSegments: flowData.blockedSegments,
+            coverage: flowData.totalSegments > 0
+                ? parseFloat(((flowData.segments.length / flowData.totalSegments) * 100).toFixed(1))
+                : 0,
+            computedAt: new Date().toISOString()
         });
-        
-        res.json({ message: 'Tank deleted' });
-    });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// ==================== VALVES ENDPOINTS ====================
+// ?valves=V1,V2 - combined impact of closing several valves (e.g. an isolation plan)
+app.get('/api/network/impact', async (req, res) => {
+    const valveIds = (req.query.valves || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (valveIds.length === 0) return res.status(400).json({ error: 'valves query parameter is required' });
+    
+    try {
+        res.json(await computeClosureImpact(valveIds));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-app.post('/api/valve', (req, res) => {
-    const valve = req.body;
-    if (!valve.valveId || !valve.name || !valve.latitude || !valve.longitude) {
-        return res.status(400).json({ error: 'Missing required fields' });
+app.get('/api/network/hydraulics', async (req, res) => {
+    try {
+        res.json(await runHydraulics());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    db.run(
-        `INSERT INTO gate_valves (valveId, name, type, category, parentValveId, households, flowRate, mandal, habitation, latitude, longitude, isOpen) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [valve.valveId, valve.name, valve.type, valve.category, valve.parentValveId || null, valve.households || 0, 
-         valve.flowRate || 0, valve.mandal || '', valve.habitation || '', valve.latitude, valve.longitude, valve.isOpen ? 1 : 0],
-        function(err) {
-            if (err) return res.status(500).json({ error: err.message });
-            res.json({ valveId: valve.valveId, message: 'Valve added' });
-        }
-    );
 });
 
-app.get('/api/valves', (req, res) => {
-    db.all('SELECT * FROM gate_valves ORDER BY created_at DESC', [], (err, rows) => {
-        if (err) return res.status(500).json({ error: err.message });
-        const valves = rows.map(row => ({ ...row, isOpen: row.isOpen === 1 }));
-        res.json(valves);
-    });
+app.get('/api/network/hydraulics/junction/:junctionId', async (req, res) => {
+    try {
+        const result = await runHydraulics();
+        const junction = result.junctions.find(j => j.junctionId === parseInt(req.params.junctionId));
+        if (!junction) return res.status(404).json({ error: 'Junction is dry or does not exist' });
+        res.json({ ...junction, converged: result.converged });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.get('/api/valve/:valveId', (req, res) => {
-    db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, row) => {
-        if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.status(404).json({ error: 'Valve not found' });
-        row.isOpen = row.isOpen === 1;
-        res.json(row);
-    });
+app.get('/api/network/hydraulics/edge/:edgeId', async (req, res) => {
+    try {
+        const result = await runHydraulics();
+        const segment = result.segments.find(s => s.edgeId === parseInt(req.params.edgeId));
+        if (!segment) return res.status(404).json({ error: 'Segment is dry or does not exist' });
+        res.json({ ...segment, converged: result.converged });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.put('/api/valve/:valveId', (req, res) => {
-    const valve = req.body;
-    const updates = [];
-    const values = [];
-    Object.keys(valve).forEach(key => {
-        if (key !== 'valveId') {
-            updates.push(`${key} = ?`);
-            values.push(key === 'isOpen' ? (valve[key] ? 1 : 0) : (key === 'parentValveId' ? (valve[key] || null) : valve[key]));
-        }
-    });
-    if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
-    values.push(req.params.valveId);
-    
-    db.run(`UPDATE gate_valves SET ${updates.join(', ')} WHERE valveId = ?`, values, function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        if (this.changes === 0) return res.status(404).json({ error: 'Valve not found' });
-        
-        db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, updatedValve) => {
-            if (updatedValve) {
-                updatedValve.isOpen = updatedValve.isOpen === 1;
-                broadcastToAll({
-                    type: 'valve_updated',
-                    valve: updatedValve
-                });
-                console.log(`📡 Broadcasted valve update: ${updatedValve.valveId} (isOpen: ${updatedValve.isOpen})`);
-            }
+app.put('/api/network/junction/:junctionId', requireRole('admin'), async (req, res) => {
+    const { elevation } = req.body;
+    if (elevation !== null && junctionElevation(req.body) === null) {
+        return res.status(400).json({ error: 'elevation must be a number (m) or null' });
+    }
+    try {
+        const change = await changeTopology(async () => {
+            const before = await topologyGet('SELECT * FROM network_junctions WHERE id = ?', [req.params.junctionId]);
+            if (!before) return null;
+            await topologyRun('UPDATE network_junctions SET elevation = ? WHERE id = ?', [junctionElevation(req.body), before.id]);
+            return { before, after: await topologyGet('SELECT * FROM network_junctions WHERE id = ?', [before.id]) };
         });
-        
-        res.json({ message: 'Valve updated', changes: this.changes });
-    });
+        if (!change) return res.status(404).json({ error: 'Junction not found' });
+        const junction = change.after;
+        await recordAudit(auditContext(req), 'junction', junction.id, 'update', change.before, junction);
+        res.json({ junctionId: junction.id, elevation: junction.elevation, message: 'Junction updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.delete('/api/valve/:valveId', (req, res) => {
-    db.run('UPDATE gate_valves SET parentValveId = NULL WHERE parentValveId = ?', [req.params.valveId], (err) => {
-        if (err) return res.status(500).json({ error: err.message });
-        db.run('DELETE FROM gate_valves WHERE valveId = ?', [req.params.valveId], function(delErr) {
-            if (delErr) return res.status(500).json({ error: delErr.message });
-            if (this.changes === 0) return res.status(404).json({ error: 'Valve not found' });
-            res.json({ message: 'Valve deleted', changes: this.changes });
+// Head the tank can deliver: at its floor, at ground level beside it, and at
+// every junction it reaches. staticPressureHead ignores friction (what the
+// tank could give with no draw); pressureHead is the hydraulic solution while
+// the tank is releasing.
+app.get('/api/tank/:tankId/supply-head', async (req, res) => {
+    try {
+        const { network, tanks, valves } = await loadNetworkState();
+        const tank = tanks.find(t => t.tankId === req.params.tankId);
+        if (!tank) return res.status(404).json({ error: 'Tank not found' });
+        
+        const reading = await liveTankLevel(tank.tankId);
+        const waterLevel = reading ? reading.waterLevel : (tank.waterLevel || 0);
+        const supplyHead = tankSupplyHead(tank, waterLevel);
+        
+        const graph = NetworkTopology.buildGraph(network);
+        const reach = NetworkTopology.computeFlow(graph, [tank], valves);
+        const reached = new Set();
+        reach.segments.forEach(segment => {
+            const edge = graph.edges.find(e => e.id === segment.edgeId);
+            reached.add(edge.fromJunctionId);
+            reached.add(edge.toJunctionId);
         });
-    });
+        const tankJunctionId = graph.attachments.tank.get(String(tank.tankId));
+        const defaultElevation = Hydraulics.defaultJunctionElevation(tanks);
+        
+        const solved = tank.isActive ? (await runHydraulics()).junctions : [];
+        const solvedById = new Map(solved.map(j => [j.junctionId, j]));
+        
+        const downstream = [...reached]
+            .filter(junctionId => junctionId !== tankJunctionId)
+            .map(junctionId => {
+                const junction = graph.junctions.get(junctionId);
+                const elevationKnown = junction.elevation !== null && junction.elevation !== undefined;
+                const elevation = Hydraulics.junctionElevation(junction, defaultElevation);
+                const result = solvedById.get(junctionId);
+                return {
+                    junctionId,
+                    latitude: junction.latitude,
+                    longitude: junction.longitude,
+                    elevation,
+                    elevationKnown,
+                    staticPressureHead: parseFloat((supplyHead - elevation).toFixed(2)),
+                    pressureHead: result ? result.pressureHead : null,
+                    pressureKPa: result ? result.pressureKPa : null
+                };
+            })
+            .sort((a, b) => a.staticPressureHead - b.staticPressureHead);
+        
+        res.json({
+            tankId: tank.tankId,
+            waterLevel,
+            live: !!reading,
+            groundElevation: tank.groundElevation || 0,
+            stagingHeight: tank.stagingHeight || 0,
+            supplyHead: parseFloat(supplyHead.toFixed(2)),
+            floorPressureKPa: parseFloat((waterLevel * 9.81).toFixed(2)),
+            headAboveGround: parseFloat(((tank.stagingHeight || 0) + waterLevel).toFixed(2)),
+            isActive: tank.isActive,
+            downstream
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.patch('/api/valve/:valveId/toggle', (req, res) => {
-    db.get('SELECT isOpen FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, row) => {
-        if (err) return res.status(500).json({ error: err.message });
-        if (!row) return res.status(404).json({ error: 'Valve not found' });
-        const newState = row.isOpen === 1 ? 0 : 1;
-        db.run('UPDATE gate_valves SET isOpen = ? WHERE valveId = ?', [newState, req.params.valveId], function(err) {
-            if (err) return res.status(500).json({ error: err.message });
-            
-            db.get('SELECT * FROM gate_valves WHERE valveId = ?', [req.params.valveId], (err, updatedValve) => {
-                if (updatedValve) {
-                    updatedValve.isOpen = updatedValve.isOpen === 1;
-                    broadcastToAll({
-                        type: 'valve_updated',
-                        valve: updatedValve
-                    });
-                }
-            });
-            
-            res.json({ message: 'Valve toggled', isOpen: newState === 1, valveId: req.params.valveId });
+app.put('/api/network/attachment/:entityType/:entityId', requireRole('admin'), async (req, res) => {
+    const { entityType, entityId } = req.params;
+    const { junctionId } = req.body;
+    if (!['tank', 'valve'].includes(entityType)) {
+        return res.status(400).json({ error: 'entityType must be tank or valve' });
+    }
+    try {
+        // Checked inside the change so a concurrent prune cannot drop the junction in between
+        const attachmentRow = () => topologyGet(
+            'SELECT * FROM network_attachments WHERE entityType = ? AND entityId = ?', [entityType, entityId]
+        );
+        const change = await changeTopology(async () => {
+            if (junctionId && !await topologyGet('SELECT id FROM network_junctions WHERE id = ?', [junctionId])) return null;
+            const before = await attachmentRow();
+            await setAttachment(entityType, entityId, junctionId || null);
+            return { before, after: await attachmentRow() };
         });
-    });
+        if (!change) return res.status(404).json({ error: 'Junction not found' });
+        if (change.before || change.after) {
+            const action = !change.before ? 'create' : (change.after ? 'update' : 'delete');
+            await recordAudit(auditContext(req), 'attachment', `${entityType}:${entityId}`, action, change.before || null, change.after || null);
+        }
+        res.json({ entityType, entityId, junctionId: junctionId || null, message: 'Attachment updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // ==================== ERROR HANDLING ====================
@@ -728,11 +4189,28 @@ app.use((err, req, res, next) => {
 // ==================== WEBSOCKET SERVER ====================
 
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Same session tokens as REST, passed as ?token= since browsers can't set headers here
+const wss = new WebSocket.Server({
+    server,
+    verifyClient: (info, done) => {
+        sessionUser(requestToken(info.req))
+            .then(user => {
+                if (!user) return done(false, 401, 'Login required');
+                info.req.user = user;
+                done(true);
+            })
+            .catch(err => {
+                console.error('❌ WebSocket auth error:', err);
+                done(false, 500);
+            });
+    }
+});
 const wsClients = new Set();
 
-wss.on('connection', (ws) => {
-    console.log('🔌 New WebSocket client connected');
+wss.on('connection', (ws, req) => {
+    console.log(`🔌 New WebSocket client connected (${req.user.username}, ${req.user.role})`);
+    ws.user = req.user;
+    ws.token = requestToken(req);
     wsClients.add(ws);
 
     ws.isAlive = true;
@@ -769,6 +4247,8 @@ wss.on('connection', (ws) => {
 });
 
 function broadcastToAll(data) {
+    notifyBroadcast(data);
+    
     if (wsClients.size === 0) {
         console.log('⏭️  No WebSocket clients, skipping broadcast');
         return;
@@ -808,6 +4288,11 @@ setInterval(() => {
         }
         ws.isAlive = false;
         ws.ping();
+        
+        // Logged out, expired or disabled since connecting
+        sessionUser(ws.token).then(user => {
+            if (!user) ws.close(4401, 'Session expired');
+        }).catch(err => console.error('❌ WebSocket session check error:', err));
     });
 }, 30000);
 
@@ -824,10 +4309,11 @@ process.on('SIGINT', () => {
         }
     });
     wss.close();
+    clearInterval(scheduler);
+    clearInterval(deliveryWorker);
+    clearInterval(heartbeatMonitor);
     
-    firebaseListeners.forEach((listenerInfo, deviceId) => {
-        stopRealtimeListener(deviceId);
-    });
+    ingestionSources.forEach(source => source.stop());
     
     db.close((err) => {
         if (err) {
@@ -853,13 +4339,27 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log('='.repeat(60));
     console.log('🔌 WebSocket: ws://localhost:' + PORT);
     console.log('📡 SSE Sensor Stream: /api/stream/device/:deviceId');
-    console.log('🔥 Firebase Real-Time Database: Connected');
+    console.log('📥 Ingestion:', ingestionSources.map(source => source.failed ? `${source.type} (failed)` : source.type).join(', ') || 'none');
     console.log('✅ Environment:', process.env.NODE_ENV || 'development');
     console.log('='.repeat(60));
     console.log('📋 Endpoints:');
-    console.log('   Tanks:      /api/tanks');
-    console.log('   Valves:     /api/valves');
+    console.log('   Tanks:      /api/tanks, /api/tank/:tankId/calibration');
+    console.log('   Valves:     /api/valves, /api/valves/tree');
     console.log('   Pipelines:  /api/pipelines');
-    console.log('   Sensor:     /api/sensor/device/:deviceId/latest');
+    console.log('   Network:    /api/network');
+    console.log('   Flow:       /api/network/flow');
+    console.log('   Hydraulics: /api/network/hydraulics, /api/tank/:tankId/supply-head');
+    console.log('   Impact:     /api/valve/:valveId/impact, /api/network/impact?valves=');
+    console.log('   Schedules:  /api/schedules, /api/valve/:valveId/schedules');
+    console.log('   Releases:   /api/tank-schedules, /api/tank/:tankId/schedules');
+    console.log('   Alerts:     /api/alerts?active=true, /api/tank/:tankId/alert-rules');
+    console.log('   Notify:     /api/notifications/channels, /subscriptions, /templates, /deliveries');
+    console.log('   Audit:      /api/audit?entityType=&entityId=&from=&to=');
+    console.log('   Auth:       /api/auth/login, /api/auth/me, /api/users');
+    console.log('   Devices:    /api/devices, /api/devices/:deviceId/readings, /api/device/:deviceId/credentials, /api/device-auth/rejections');
+    console.log('   Sensor:     /api/sensor/device/:deviceId/latest, /api/sensor/batch');
+    console.log('   Ingestion:  /api/ingestion/status');
     console.log('='.repeat(60));
+    
+    resyncIngestion();
 });
@@ -0,0 +1,165 @@
+// ==================== TANK GEOMETRY ====================
+// Level (m above the lowest point of the water) to stored volume for every tank
+// shape. Shared by the server (server.js) and the tank modal (pipeline-manager.js).
+// A tank with a calibration (strapping) table uses that instead of its shape:
+// [{ level, volumeLiters }, ...] interpolated linearly between points.
+
+(function(root) {
+    'use strict';
+
+    // Dimension fields (m) each shape is computed from, for validation and the modal
+    const TANK_SHAPES = {
+        Cylinder: { label: 'Cylinder (vertical)', fields: ['diameter'] },
+        Cuboid: { label: 'Rectangular (L × W)', fields: ['length', 'width'] },
+        ConeBottom: { label: 'Cylinder with cone bottom', fields: ['diameter', 'coneHeight', 'bottomDiameter'] },
+        HorizontalCylinder: { label: 'Horizontal cylinder', fields: ['diameter', 'length'] },
+        Sphere: { label: 'Spherical', fields: ['diameter'] },
+        Intze: { label: 'Intze (cone + bottom dome)', fields: ['diameter', 'coneHeight', 'bottomDiameter', 'domeRise'] }
+    };
+
+    const MIN_CALIBRATION_POINTS = 2;
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    // Frustum from radius rb at the bottom to R at height hc, filled to h
+    function frustumVolume(rb, R, hc, h) {
+        const depth = clamp(h, 0, hc);
+        const r = rb + (R - rb) * depth / hc;
+        return Math.PI * depth / 3 * (rb * rb + rb * r + r * r);
+    }
+
+    // Upward spherical dome of base radius a and rise f: the part below h
+    function domeVolume(a, f, h) {
+        if (!(a > 0) || !(f > 0)) return 0;
+        const depth = clamp(h, 0, f);
+        const sphereRadius = (a * a + f * f) / (2 * f);
+        const centre = f - sphereRadius; // below the base
+        return Math.PI * (sphereRadius * sphereRadius * depth
+            - (Math.pow(depth - centre, 3) - Math.pow(-centre, 3)) / 3);
+    }
+
+    // Cylinder of diameter D on a cone of height coneHeight narrowing to
+    // bottomDiameter (0 = pointed), minus any dome rising from the cone's base
+    function coneCylinderVolume(tank, level) {
+        const R = (tank.diameter || 0) / 2;
+        const rb = (tank.bottomDiameter || 0) / 2;
+        const hc = tank.coneHeight || 0;
+        let volume = hc > 0 ? frustumVolume(rb, R, hc, level) : 0;
+        if (level > hc) volume += Math.PI * R * R * (level - hc);
+        return volume - domeVolume(rb, tank.domeRise || 0, level);
+    }
+
+    function shapeVolumeM3(tank, level) {
+        const h = Math.max(level, 0);
+        const D = tank.diameter || 0;
+        const r = D / 2;
+
+        switch (tank.shape) {
+            case 'Cylinder':
+                return Math.PI * r * r * h;
+            case 'Cuboid':
+                // Older square tanks only have a diameter (side length)
+                return (tank.length || D) * (tank.width || tank.length || D) * h;
+            case 'ConeBottom':
+                return coneCylinderVolume({ ...tank, domeRise: 0 }, h);
+            case 'Intze':
+                return coneCylinderVolume(tank, h);
+            case 'HorizontalCylinder': {
+                const depth = clamp(h, 0, D);
+                const segment = r * r * Math.acos((r - depth) / r) - (r - depth) * Math.sqrt(2 * r * depth - depth * depth);
+                return (segment || 0) * (tank.length || 0);
+            }
+            case 'Sphere': {
+                const depth = clamp(h, 0, D);
+                return Math.PI * depth * depth * (3 * r - depth) / 3;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    // Sorted points, or an error message when the table can't be used
+    function normalizeCalibration(points) {
+        if (!Array.isArray(points)) return { error: 'points must be an array' };
+        if (points.length === 0) return { points: [] };
+        if (points.length < MIN_CALIBRATION_POINTS) {
+            return { error: `A calibration table needs at least ${MIN_CALIBRATION_POINTS} points` };
+        }
+
+        const sorted = points
+            .map(point => ({ level: Number(point.level), volumeLiters: Number(point.volumeLiters) }))
+            .sort((a, b) => a.level - b.level);
+        for (let i = 0; i < sorted.length; i++) {
+            const { level, volumeLiters } = sorted[i];
+            if (!isFinite(level) || !isFinite(volumeLiters) || level < 0 || volumeLiters < 0) {
+                return { error: 'Every point needs a non-negative level and volumeLiters' };
+            }
+            if (i > 0 && level === sorted[i - 1].level) return { error: `Level ${level} m appears twice` };
+            if (i > 0 && volumeLiters < sorted[i - 1].volumeLiters) {
+                return { error: `Volume drops between ${sorted[i - 1].level} m and ${level} m` };
+            }
+        }
+        return { points: sorted };
+    }
+
+    // Stored as JSON on the tank row
+    function calibrationPoints(tank) {
+        if (!tank.calibrationTable) return [];
+        try {
+            const points = typeof tank.calibrationTable === 'string'
+                ? JSON.parse(tank.calibrationTable)
+                : tank.calibrationTable;
+            return Array.isArray(points) ? points : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    // Linear between points, flat beyond the first and last
+    function interpolateVolume(points, level) {
+        if (level <= points[0].level) return points[0].volumeLiters;
+        const last = points[points.length - 1];
+        if (level >= last.level) return last.volumeLiters;
+
+        const upper = points.findIndex(point => point.level >= level);
+        const a = points[upper - 1];
+        const b = points[upper];
+        return a.volumeLiters + (b.volumeLiters - a.volumeLiters) * (level - a.level) / (b.level - a.level);
+    }
+
+    function volumeLiters(tank, level) {
+        const points = calibrationPoints(tank);
+        if (points.length >= MIN_CALIBRATION_POINTS) return interpolateVolume(points, level);
+        return Math.max(shapeVolumeM3(tank, level), 0) * 1000;
+    }
+
+    // Highest level the shape can hold: its height, or its diameter when lying down / round
+    function maxLevel(tank) {
+        if (tank.shape === 'HorizontalCylinder' || tank.shape === 'Sphere') return tank.diameter || 0;
+        return tank.height || 0;
+    }
+
+    function fullVolumeLiters(tank) {
+        return volumeLiters(tank, maxLevel(tank));
+    }
+
+    const TankGeometry = {
+        TANK_SHAPES,
+        MIN_CALIBRATION_POINTS,
+        shapeVolumeM3,
+        normalizeCalibration,
+        calibrationPoints,
+        interpolateVolume,
+        volumeLiters,
+        maxLevel,
+        fullVolumeLiters
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TankGeometry;
+    } else {
+        root.TankGeometry = TankGeometry;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -1,6 +1,8 @@
 // Live sensor data simulator - works in Node.js and Browser
 
 const deviceId = '123456';  // Change this to your device ID
+// Secret issued by POST /api/device/:deviceId/credentials
+const deviceSecret = (typeof process !== 'undefined' && process.env.DEVICE_SECRET) || '';
 
 let currentWaterLevel = 7.5;
 let currentTemp = 25.0;
@@ -11,8 +13,18 @@ const isNode = typeof window === 'undefined';
 
 // Import http module if in Node.js
 let http;
+let crypto;
 if (isNode) {
   http = require('http');
+  crypto = require('crypto');
+}
+
+// Signed requests: HMAC over timestamp + body, so a captured request can't be replayed later
+function signingHeaders(body) {
+  if (!isNode) return { 'X-Device-Key': deviceSecret };
+  const timestamp = Date.now().toString();
+  const signature = crypto.createHmac('sha256', deviceSecret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'X-Device-Timestamp': timestamp, 'X-Device-Signature': signature };
 }
 
 // Send data function
@@ -47,7 +59,8 @@ async function sendSensorData() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(jsonData)
+        'Content-Length': Buffer.byteLength(jsonData),
+        ...signingHeaders(jsonData)
       }
     };
 
@@ -75,7 +88,7 @@ async function sendSensorData() {
     req.on('error', (error) => {
       console.error('❌ Error:', error.message);
       console.error('💡 Make sure your server is running on http://127.0.0.1:3000');
-      console.error('💡 Check if device "123456" exists in your tanks table');
+      console.error(`💡 Check that device "${deviceId}" is registered and attached to a tank (GET /api/devices)`);
     });
 
     req.write(jsonData);
@@ -88,6 +101,7 @@ async function sendSensorData() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...signingHeaders(jsonData)
         },
         body: jsonData
       });
@@ -112,7 +126,12 @@ console.log('🚀 Starting live sensor data stream...');
 console.log(`📡 Device ID: ${deviceId}`);
 console.log('⏱️  Sending data every 3 seconds');
 console.log('💡 Server must be running on http://127.0.0.1:3000');
-console.log('💡 Device ID must exist in tanks table with matching deviceId');
+console.log('💡 The device must be registered as a level sensor on a tank (POST /api/devices)');
+if (!deviceSecret) {
+  console.log('⚠️  DEVICE_SECRET not set - the server will reject readings');
+  console.log(`💡 As an admin, POST /api/device/${deviceId}/credentials (or .../credentials/rotate) and run:`);
+  console.log('   DEVICE_SECRET=<secret> node test.js');
+}
 console.log('-----------------------------------');
 
 sendSensorData();
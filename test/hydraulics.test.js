@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Hydraulics = require('../hydraulics');
+
+// Tank at junction 1, a draw-off valve at junction 3, 500 m of pipe in two segments
+function serialNetwork() {
+    return {
+        junctions: [
+            { id: 1, latitude: 0, longitude: 0, elevation: 100 },
+            { id: 2, latitude: 0, longitude: 0.0025, elevation: 95 },
+            { id: 3, latitude: 0, longitude: 0.005, elevation: null }
+        ],
+        edges: [
+            { id: 1, pipelineId: 1, segmentIndex: 0, fromJunctionId: 1, toJunctionId: 2, length: 250 },
+            { id: 2, pipelineId: 1, segmentIndex: 1, fromJunctionId: 2, toJunctionId: 3, length: 250 }
+        ],
+        attachments: [
+            { entityType: 'tank', entityId: 'T1', junctionId: 1 },
+            { entityType: 'valve', entityId: 'V1', junctionId: 3 }
+        ]
+    };
+}
+
+const tank = { tankId: 'T1', name: 'Main tank', groundElevation: 100, stagingHeight: 12, waterLevel: 3 };
+
+function drawOff(extra) {
+    return { valveId: 'V1', name: 'Outlet', isOpen: true, flowRate: 600, ...extra }; // 600 L/min = 10 L/s
+}
+
+// Hazen-Williams head loss (m) for a flow in L/s
+function hazenWilliamsLoss(flowLps, lengthM, diameterMm, C) {
+    const Q = flowLps / 1000;
+    const D = diameterMm / 1000;
+    return 10.67 * lengthM * Math.pow(Q, 1.852) / (Math.pow(C, 1.852) * Math.pow(D, 4.87));
+}
+
+test('hazenWilliamsC looks up the pipe material and falls back to the default', () => {
+    assert.equal(Hydraulics.hazenWilliamsC('PVC'), 145);
+    assert.equal(Hydraulics.hazenWilliamsC('CI'), 100);
+    assert.equal(Hydraulics.hazenWilliamsC('Bamboo'), Hydraulics.DEFAULT_HW_C);
+    assert.equal(Hydraulics.hazenWilliamsC(undefined), Hydraulics.DEFAULT_HW_C);
+});
+
+test('junctions without an elevation sit level with the lowest tank ground', () => {
+    const tanks = [{ groundElevation: 120 }, { groundElevation: 98 }, {}];
+    assert.equal(Hydraulics.defaultJunctionElevation(tanks), 0);
+    assert.equal(Hydraulics.defaultJunctionElevation(tanks.slice(0, 2)), 98);
+    assert.equal(Hydraulics.defaultJunctionElevation([]), 0);
+
+    assert.equal(Hydraulics.junctionElevation({ elevation: 0 }, 98), 0);
+    assert.equal(Hydraulics.junctionElevation({ elevation: null }, 98), 98);
+    assert.equal(Hydraulics.junctionElevation(undefined, 98), 98);
+});
+
+test('with no draw-off every junction sits at the tank head', () => {
+    const result = Hydraulics.solveHydraulics(serialNetwork(), [tank], [drawOff({ flowRate: 0 })]);
+
+    assert.equal(result.converged, true);
+    result.junctions.forEach(junction => assert.equal(junction.head, 115));
+    result.segments.forEach(segment => assert.ok(Math.abs(segment.flowLps) < 0.01));
+});
+
+test('the draw-off flows through every pipe with Hazen-Williams head loss', () => {
+    const pipeOf = () => ({ diameterMm: 150, hazenWilliamsC: 140 });
+    const result = Hydraulics.solveHydraulics(serialNetwork(), [tank], [drawOff()], pipeOf);
+
+    assert.equal(result.converged, true);
+    const expectedLoss = hazenWilliamsLoss(10, 250, 150, 140);
+    result.segments.forEach(segment => {
+        assert.ok(Math.abs(segment.flowLps - 10) < 0.01, `flow ${segment.flowLps} L/s`);
+        assert.ok(Math.abs(segment.headLoss - expectedLoss) < 0.01, `head loss ${segment.headLoss} m`);
+        assert.equal(segment.diameterMm, 150);
+    });
+
+    const byId = Object.fromEntries(result.junctions.map(junction => [junction.junctionId, junction]));
+    assert.equal(byId[1].isSource, true);
+    assert.equal(byId[1].head, 115);
+    assert.ok(Math.abs(byId[3].head - (115 - 2 * expectedLoss)) < 0.02);
+    // Junction 3 has no survey: it takes the tank's ground elevation
+    assert.equal(byId[3].elevation, 100);
+    assert.ok(Math.abs(byId[2].pressureHead - (byId[2].head - 95)) < 0.01);
+    assert.ok(Math.abs(byId[2].pressureKPa - byId[2].pressureHead * 9.81) < 0.1);
+    assert.equal(byId[3].demandLps, 10);
+});
+
+test('a throttled valve draws its rated flow scaled by the opening', () => {
+    const result = Hydraulics.solveHydraulics(serialNetwork(), [tank], [drawOff({ openingPercent: 25 })]);
+
+    result.segments.forEach(segment => assert.ok(Math.abs(segment.flowLps - 2.5) < 0.01));
+});
+
+test('pipes behind a closed valve are blocked, not solved', () => {
+    const network = serialNetwork();
+    network.attachments[1].junctionId = 2;
+    const result = Hydraulics.solveHydraulics(network, [tank], [drawOff({ isOpen: false })]);
+
+    assert.equal(result.converged, true);
+    assert.deepEqual(result.segments.map(segment => segment.edgeId), [1]);
+    assert.deepEqual(result.blockedSegments.map(segment => segment.edgeId), [2]);
+    assert.ok(Math.abs(result.segments[0].flowLps) < 0.01);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LevelConversion = require('../level-conversion');
+
+function assertLevel(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected} m, got ${actual} m`);
+}
+
+test('measurementField maps each mode to the reading field it is sent in', () => {
+    assert.equal(LevelConversion.measurementField('level'), 'waterLevel');
+    assert.equal(LevelConversion.measurementField('distance'), 'distance');
+    assert.equal(LevelConversion.measurementField('pressure_kpa'), 'pressure');
+    assert.equal(LevelConversion.measurementField('pressure_bar'), 'pressure');
+});
+
+test('level mode reads waterLevel, or sensorHeight from older sensors', () => {
+    const tank = { height: 5 };
+    assert.deepEqual(LevelConversion.readingToLevel(tank, { waterLevel: '2.5' }), { waterLevel: 2.5, rawValue: 2.5, inDeadBand: false });
+    assert.equal(LevelConversion.readingToLevel(tank, { sensorHeight: 1.5 }).waterLevel, 1.5);
+});
+
+test('distance mode subtracts the distance to the surface from the sensor height', () => {
+    const tank = { measurementMode: 'distance', sensorHeight: 4, height: 3.5 };
+    const reading = LevelConversion.readingToLevel(tank, { distance: 1.25 });
+
+    assertLevel(reading.waterLevel, 2.75);
+    assert.equal(reading.rawValue, 1.25);
+    assert.equal(reading.inDeadBand, false);
+});
+
+test('distance mode reads anything inside the dead-band as the top of it', () => {
+    const tank = { measurementMode: 'distance', sensorHeight: 4, deadBand: 0.3, height: 5 };
+    const reading = LevelConversion.readingToLevel(tank, { distance: 0.1 });
+
+    assertLevel(reading.waterLevel, 3.7);
+    assert.equal(reading.inDeadBand, true);
+});
+
+test('pressure modes convert kPa and bar of water head to metres', () => {
+    assertLevel(LevelConversion.readingToLevel({ measurementMode: 'pressure_kpa', height: 5 }, { pressure: 19.62 }).waterLevel, 2);
+    assertLevel(LevelConversion.readingToLevel({ measurementMode: 'pressure_bar', height: 5 }, { pressure: 0.1962 }).waterLevel, 2);
+});
+
+test('levelOffset is added after conversion', () => {
+    const tank = { measurementMode: 'distance', sensorHeight: 4, levelOffset: -0.2, height: 5 };
+    assertLevel(LevelConversion.readingToLevel(tank, { distance: 1 }).waterLevel, 2.8);
+});
+
+test('the level is clamped between the floor and the top of the tank', () => {
+    const tank = { measurementMode: 'distance', sensorHeight: 4, height: 3 };
+    assert.equal(LevelConversion.readingToLevel(tank, { distance: 0 }).waterLevel, 3);
+    assert.equal(LevelConversion.readingToLevel(tank, { distance: 6 }).waterLevel, 0);
+    // No height recorded: no upper limit
+    assert.equal(LevelConversion.readingToLevel({}, { waterLevel: 12 }).waterLevel, 12);
+});
+
+test('a reading without the mode\'s own field is not converted', () => {
+    const distanceTank = { measurementMode: 'distance', sensorHeight: 4, height: 3 };
+    assert.equal(LevelConversion.readingToLevel(distanceTank, { waterLevel: 1.2 }), null);
+    assert.equal(LevelConversion.readingToLevel(distanceTank, { distance: 'n/a' }), null);
+    assert.equal(LevelConversion.readingToLevel({ measurementMode: 'pressure_kpa' }, { waterLevel: 1.2, sensorHeight: 3 }), null);
+    assert.equal(LevelConversion.readingToLevel({}, {}), null);
+});
@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NetworkTopology = require('../network-topology');
+
+// Junctions 1..n strung west to east along the equator, about 111 m apart,
+// one pipe segment between each neighbouring pair
+function lineNetwork(count, attachments) {
+    const junctions = [];
+    const edges = [];
+    for (let id = 1; id <= count; id++) {
+        junctions.push({ id, latitude: 0, longitude: (id - 1) * 0.001 });
+        if (id > 1) {
+            edges.push({ id: id - 1, pipelineId: 1, segmentIndex: id - 2, fromJunctionId: id - 1, toJunctionId: id, length: 111 });
+        }
+    }
+    return { junctions, edges, attachments };
+}
+
+const tank = { tankId: 'T1', name: 'Main tank' };
+
+function valve(valveId, extra) {
+    return { valveId, name: `Valve ${valveId}`, type: 'Gate', isOpen: true, households: 10, habitation: 'Village', ...extra };
+}
+
+const edgeIds = segments => segments.map(segment => segment.edgeId).sort();
+
+// ==================== computeFlow ====================
+
+test('computeFlow wets every segment reachable from a tank', () => {
+    const network = lineNetwork(4, [{ entityType: 'tank', entityId: 'T1', junctionId: 1 }]);
+    const flow = NetworkTopology.computeFlow(network, [tank], []);
+
+    assert.deepEqual(edgeIds(flow.segments), [1, 2, 3]);
+    assert.equal(flow.blockedSegments.length, 0);
+    assert.equal(flow.totalSegments, 3);
+    flow.segments.forEach(segment => {
+        assert.equal(segment.sourceTank, 'Main tank');
+        assert.equal(segment.supplyFraction, 1);
+    });
+});
+
+test('computeFlow stops at a closed valve and reports the far side as blocked by it', () => {
+    const network = lineNetwork(4, [
+        { entityType: 'tank', entityId: 'T1', junctionId: 1 },
+        { entityType: 'valve', entityId: 'V1', junctionId: 2 }
+    ]);
+    const flow = NetworkTopology.computeFlow(network, [tank], [valve('V1', { isOpen: false })]);
+
+    assert.deepEqual(edgeIds(flow.segments), [1]);
+    assert.deepEqual(edgeIds(flow.blockedSegments), [2]);
+    assert.equal(flow.blockedSegments[0].blockedByValveId, 'V1');
+    assert.equal(flow.blockedSegments[0].blockedBy, 'Valve V1');
+});
+
+test('computeFlow scales supplyFraction by the opening of each throttled valve crossed', () => {
+    const network = lineNetwork(4, [
+        { entityType: 'tank', entityId: 'T1', junctionId: 1 },
+        { entityType: 'valve', entityId: 'V1', junctionId: 2 },
+        { entityType: 'valve', entityId: 'V2', junctionId: 3 }
+    ]);
+    const flow = NetworkTopology.computeFlow(network, [tank], [
+        valve('V1', { openingPercent: 50 }),
+        valve('V2', { openingPercent: 50 })
+    ]);
+
+    const fractions = Object.fromEntries(flow.segments.map(segment => [segment.edgeId, segment.supplyFraction]));
+    assert.deepEqual(fractions, { 1: 1, 2: 0.5, 3: 0.25 });
+});
+
+test('computeFlow accepts a graph already built with buildGraph', () => {
+    const network = lineNetwork(3, [{ entityType: 'tank', entityId: 'T1', junctionId: 1 }]);
+    const flow = NetworkTopology.computeFlow(NetworkTopology.buildGraph(network), [tank], []);
+
+    assert.deepEqual(edgeIds(flow.segments), [1, 2]);
+});
+
+test('computeFlow passes a check valve in its flow direction', () => {
+    const network = lineNetwork(4, [
+        { entityType: 'tank', entityId: 'T1', junctionId: 1 },
+        { entityType: 'valve', entityId: 'CV', junctionId: 2 }
+    ]);
+    const flow = NetworkTopology.computeFlow(network, [tank], [valve('CV', { type: 'Check' })]);
+
+    assert.deepEqual(edgeIds(flow.segments), [1, 2, 3]);
+});
+
+test('computeFlow holds water back at a check valve facing the tank', () => {
+    const network = lineNetwork(4, [
+        { entityType: 'tank', entityId: 'T1', junctionId: 1 },
+        { entityType: 'valve', entityId: 'CV', junctionId: 2 }
+    ]);
+    const flow = NetworkTopology.computeFlow(network, [tank], [valve('CV', { type: 'Check', checkDirection: 'reverse' })]);
+
+    assert.deepEqual(edgeIds(flow.segments), [1]);
+    assert.deepEqual(edgeIds(flow.blockedSegments), [2]);
+    assert.equal(flow.blockedSegments[0].blockedByValveId, 'CV');
+});
+
+// ==================== checkValveBearing ====================
+
+test('checkValveBearing follows the drawing order of the pipe the valve sits on', () => {
+    const graph = NetworkTopology.buildGraph(lineNetwork(3, [{ entityType: 'valve', entityId: 'CV', junctionId: 2 }]));
+
+    const east = NetworkTopology.checkValveBearing(graph, valve('CV', { type: 'Check' }));
+    assert.ok(Math.abs(east - 90) < 0.01, `expected about 90°, got ${east}`);
+
+    const west = NetworkTopology.checkValveBearing(graph, valve('CV', { type: 'Check', checkDirection: 'reverse' }));
+    assert.ok(Math.abs(west - 270) < 0.01, `expected about 270°, got ${west}`);
+});
+
+test('checkValveBearing uses the bearing of the last pipe when the valve ends the line', () => {
+    const graph = NetworkTopology.buildGraph(lineNetwork(3, [{ entityType: 'valve', entityId: 'CV', junctionId: 3 }]));
+    const bearing = NetworkTopology.checkValveBearing(graph, valve('CV', { type: 'Check' }));
+
+    assert.ok(Math.abs(bearing - 90) < 0.01, `expected about 90°, got ${bearing}`);
+});
+
+test('checkValveBearing prefers an explicit flowBearing, normalised to 0..360', () => {
+    const graph = NetworkTopology.buildGraph(lineNetwork(3, [{ entityType: 'valve', entityId: 'CV', junctionId: 2 }]));
+
+    assert.equal(NetworkTopology.checkValveBearing(graph, valve('CV', { type: 'Check', flowBearing: 370 })), 10);
+    assert.equal(NetworkTopology.checkValveBearing(graph, valve('CV', { type: 'Check', flowBearing: '-90' })), 270);
+});
+
+test('checkValveBearing is null for a valve not on the network', () => {
+    const graph = NetworkTopology.buildGraph(lineNetwork(3, []));
+
+    assert.equal(NetworkTopology.checkValveBearing(graph, valve('CV', { type: 'Check' })), null);
+});
+
+// ==================== planIsolation ====================
+
+// Tank at 1, valve A at 2, valve B at 4, a dead end at 5
+function isolationNetwork() {
+    return lineNetwork(5, [
+        { entityType: 'tank', entityId: 'T1', junctionId: 1 },
+        { entityType: 'valve', entityId: 'A', junctionId: 2 },
+        { entityType: 'valve', entityId: 'B', junctionId: 4 }
+    ]);
+}
+
+test('planIsolation closes only the boundary valves with a tank behind them', () => {
+    const plan = NetworkTopology.planIsolation(isolationNetwork(), [tank], [valve('A'), valve('B')], 3);
+
+    assert.equal(plan.isolatable, true);
+    assert.deepEqual(plan.valvesToClose.map(v => v.valveId), ['A']);
+    assert.deepEqual(plan.alreadyClosed, []);
+    assert.deepEqual(edgeIds(plan.sectionSegments), [2, 3]);
+    assert.deepEqual(plan.impact.closedValveIds, ['A']);
+});
+
+test('planIsolation reports boundary valves that are already shut', () => {
+    const plan = NetworkTopology.planIsolation(isolationNetwork(), [tank], [valve('A', { isOpen: false }), valve('B')], 3);
+
+    assert.deepEqual(plan.valvesToClose, []);
+    assert.deepEqual(plan.alreadyClosed.map(v => v.valveId), ['A']);
+});
+
+test('planIsolation cannot isolate a section a tank feeds directly', () => {
+    const plan = NetworkTopology.planIsolation(isolationNetwork(), [tank], [valve('A'), valve('B')], 1);
+
+    assert.equal(plan.isolatable, false);
+    assert.deepEqual(plan.feedingTanks, [{ tankId: 'T1', name: 'Main tank' }]);
+});
+
+test('planIsolation returns null for an unknown segment', () => {
+    assert.equal(NetworkTopology.planIsolation(isolationNetwork(), [tank], [], 99), null);
+});
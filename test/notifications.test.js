@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Notifications = require('../notifications');
+
+test('renderTemplate fills dotted paths from the event data', () => {
+    const data = { tank: { name: 'North', level: { percent: 12.5 } }, severity: 'critical' };
+    assert.equal(
+        Notifications.renderTemplate('{{tank.name}} at {{ tank.level.percent }}% ({{severity}})', data),
+        'North at 12.5% (critical)'
+    );
+});
+
+test('renderTemplate leaves missing and null values empty but keeps zero', () => {
+    const data = { alert: { peakValue: null, value: 0 } };
+    assert.equal(
+        Notifications.renderTemplate('[{{alert.peakValue}}|{{alert.value}}|{{alert.missing.deep}}|{{nothing}}]', data),
+        '[|0||]'
+    );
+});
+
+test('renderTemplate leaves text without placeholders alone', () => {
+    assert.equal(Notifications.renderTemplate('Tank {low} - {{ }}', {}), 'Tank {low} - {{ }}');
+});
+
+test('every default template renders without leftover placeholders', () => {
+    Object.values(Notifications.DEFAULT_TEMPLATES).forEach(template => {
+        assert.doesNotMatch(Notifications.renderTemplate(template.subject, {}), /\{\{/);
+        assert.doesNotMatch(Notifications.renderTemplate(template.body, {}), /\{\{/);
+    });
+});
+
+test('retryDelay doubles from 30 s per attempt', () => {
+    assert.equal(Notifications.retryDelay(1), 30 * 1000);
+    assert.equal(Notifications.retryDelay(2), 60 * 1000);
+    assert.equal(Notifications.retryDelay(3), 120 * 1000);
+    assert.equal(Notifications.retryDelay(0), 30 * 1000);
+});
+
+test('retryDelay is capped at 30 minutes', () => {
+    assert.equal(Notifications.retryDelay(7), 30 * 60 * 1000);
+    assert.equal(Notifications.retryDelay(50), 30 * 60 * 1000);
+});
+
+test('signPayload is HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const crypto = require('crypto');
+    const expected = crypto.createHmac('sha256', 's3cret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(Notifications.signPayload('s3cret', 1700000000, '{"a":1}'), expected);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TankGeometry = require('../tank-geometry');
+
+function assertLiters(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 0.01, `expected ${expected} L, got ${actual} L`);
+}
+
+// ==================== volumeLiters by shape ====================
+
+test('Cylinder holds πr²h', () => {
+    const tank = { shape: 'Cylinder', diameter: 2, height: 3 };
+    assertLiters(TankGeometry.volumeLiters(tank, 1), Math.PI * 1000);
+    assertLiters(TankGeometry.volumeLiters(tank, -1), 0);
+});
+
+test('Cuboid holds L × W × h, or side² × h for older square tanks', () => {
+    assertLiters(TankGeometry.volumeLiters({ shape: 'Cuboid', length: 2, width: 3 }, 1), 6000);
+    assertLiters(TankGeometry.volumeLiters({ shape: 'Cuboid', diameter: 2 }, 1), 4000);
+});
+
+test('ConeBottom fills the cone before the cylinder above it', () => {
+    const tank = { shape: 'ConeBottom', diameter: 2, coneHeight: 1, bottomDiameter: 0 };
+    const cone = Math.PI / 3 * 1000;
+    assertLiters(TankGeometry.volumeLiters(tank, 1), cone);
+    assertLiters(TankGeometry.volumeLiters(tank, 2), cone + Math.PI * 1000);
+    assertLiters(TankGeometry.volumeLiters(tank, 0.5), Math.PI * 0.5 * 0.5 * 0.5 / 3 * 1000);
+});
+
+test('Intze is the cone-bottom volume less the dome rising into it', () => {
+    const dims = { diameter: 4, coneHeight: 1, bottomDiameter: 2 };
+    const intze = { shape: 'Intze', domeRise: 0.5, ...dims };
+    const coneBottom = { shape: 'ConeBottom', ...dims };
+    // Spherical cap of base radius 1 and rise 0.5
+    const dome = Math.PI * 0.5 * (3 * 1 + 0.25) / 6 * 1000;
+
+    assertLiters(TankGeometry.volumeLiters(intze, 3), TankGeometry.volumeLiters(coneBottom, 3) - dome);
+    assertLiters(TankGeometry.volumeLiters(intze, 0), 0);
+});
+
+test('HorizontalCylinder fills by circular segment and stops at its diameter', () => {
+    const tank = { shape: 'HorizontalCylinder', diameter: 2, length: 3 };
+    assertLiters(TankGeometry.volumeLiters(tank, 1), Math.PI * 1.5 * 1000);
+    assertLiters(TankGeometry.volumeLiters(tank, 2), Math.PI * 3 * 1000);
+    assertLiters(TankGeometry.volumeLiters(tank, 5), Math.PI * 3 * 1000);
+    assert.equal(TankGeometry.maxLevel(tank), 2);
+});
+
+test('Sphere fills by spherical cap and stops at its diameter', () => {
+    const tank = { shape: 'Sphere', diameter: 2 };
+    assertLiters(TankGeometry.volumeLiters(tank, 1), 2 / 3 * Math.PI * 1000);
+    assertLiters(TankGeometry.volumeLiters(tank, 2), 4 / 3 * Math.PI * 1000);
+    assertLiters(TankGeometry.fullVolumeLiters(tank), 4 / 3 * Math.PI * 1000);
+});
+
+test('an unknown shape holds nothing', () => {
+    assert.equal(TankGeometry.volumeLiters({ shape: 'Pyramid', diameter: 2 }, 1), 0);
+});
+
+test('a calibration table overrides the shape and interpolates between points', () => {
+    const tank = {
+        shape: 'Cylinder',
+        diameter: 2,
+        height: 2,
+        calibrationTable: JSON.stringify([
+            { level: 0, volumeLiters: 100 },
+            { level: 1, volumeLiters: 1100 },
+            { level: 2, volumeLiters: 1600 }
+        ])
+    };
+
+    assertLiters(TankGeometry.volumeLiters(tank, 0.5), 600);
+    assertLiters(TankGeometry.volumeLiters(tank, 1.5), 1350);
+    assertLiters(TankGeometry.volumeLiters(tank, -1), 100);
+    assertLiters(TankGeometry.volumeLiters(tank, 3), 1600);
+    assertLiters(TankGeometry.fullVolumeLiters(tank), 1600);
+});
+
+test('an unreadable calibration table falls back to the shape', () => {
+    const tank = { shape: 'Cylinder', diameter: 2, calibrationTable: '{not json' };
+    assertLiters(TankGeometry.volumeLiters(tank, 1), Math.PI * 1000);
+    assert.deepEqual(TankGeometry.calibrationPoints(tank), []);
+});
+
+// ==================== normalizeCalibration ====================
+
+test('normalizeCalibration sorts points by level and coerces numbers', () => {
+    const result = TankGeometry.normalizeCalibration([
+        { level: '2', volumeLiters: '900' },
+        { level: 0, volumeLiters: 0 },
+        { level: 1, volumeLiters: 400 }
+    ]);
+
+    assert.deepEqual(result, {
+        points: [
+            { level: 0, volumeLiters: 0 },
+            { level: 1, volumeLiters: 400 },
+            { level: 2, volumeLiters: 900 }
+        ]
+    });
+});
+
+test('normalizeCalibration accepts an empty table to clear calibration', () => {
+    assert.deepEqual(TankGeometry.normalizeCalibration([]), { points: [] });
+});
+
+test('normalizeCalibration rejects tables it cannot interpolate', () => {
+    const cases = [
+        [{ level: 0 }, /must be an array/],
+        [[{ level: 0, volumeLiters: 0 }], /at least 2 points/],
+        [[{ level: 0, volumeLiters: 0 }, { level: 'x', volumeLiters: 10 }], /non-negative/],
+        [[{ level: -1, volumeLiters: 0 }, { level: 1, volumeLiters: 10 }], /non-negative/],
+        [[{ level: 0, volumeLiters: -5 }, { level: 1, volumeLiters: 10 }], /non-negative/],
+        [[{ level: 1, volumeLiters: 0 }, { level: 1, volumeLiters: 10 }], /appears twice/],
+        [[{ level: 0, volumeLiters: 50 }, { level: 1, volumeLiters: 10 }], /Volume drops/]
+    ];
+
+    cases.forEach(([points, message]) => {
+        const result = TankGeometry.normalizeCalibration(points);
+        assert.match(result.error || '', message, JSON.stringify(points));
+        assert.equal(result.points, undefined);
+    });
+});
+
+test('maxLevel is the height of upright shapes', () => {
+    assert.equal(TankGeometry.maxLevel({ shape: 'Cylinder', diameter: 2, height: 4 }), 4);
+    assert.equal(TankGeometry.maxLevel({ shape: 'Cuboid' }), 0);
+});
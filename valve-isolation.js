@@ -0,0 +1,268 @@
+// ==================== VALVE ISOLATION PLANNER ====================
+// Pipe repair tool: click a segment, get the gate valves that shut it off from
+// every active tank and the households that lose supply while it is isolated.
+
+const SEGMENT_PICK_DISTANCE = 30; // metres from the click to count as "on" a pipe
+
+class ValveIsolationPlanner {
+    constructor(map) {
+        this.map = map;
+        this.active = false;
+        this.plan = null;
+        this.layers = [];
+    }
+
+    toggleMode() {
+        this.active = !this.active;
+
+        // Isolation picking replaces any drawing / placement mode
+        isDrawing = false;
+        isErasing = false;
+        isAddingTank = false;
+        drawBtn.classList.remove('active');
+        eraseBtn.classList.remove('active');
+        addTankBtn.classList.remove('active');
+
+        document.getElementById('isolateBtn').classList.toggle('active', this.active);
+        this.map.getContainer().style.cursor = this.active ? 'crosshair' : '';
+
+        if (!this.active) {
+            this.clear();
+        }
+        console.log(`🧰 Isolation mode ${this.active ? 'ON - click the pipe to repair' : 'OFF'}`);
+    }
+
+    async handleMapClick(e) {
+        if (!this.active || isDrawing || isErasing || isAddingTank || valveAddMode) return;
+
+        try {
+            const response = await fetch('http://localhost:3000/api/network');
+            if (!response.ok) throw new Error('Failed to load network');
+            const network = await response.json();
+
+            const edge = this.pickEdge(network, e.latlng);
+            if (!edge) {
+                alert('⚠️ Click on a pipeline segment to isolate it');
+                return;
+            }
+
+            const tanks = waterFlowSystem ? waterFlowSystem.activeTanks : [];
+            const valves = gateValveSystem ? gateValveSystem.valves : [];
+            this.plan = NetworkTopology.planIsolation(network, tanks, valves, edge.id);
+
+            this.drawPlan(this.plan);
+            this.openSidebar(this.plan);
+        } catch (err) {
+            console.error('Error planning isolation:', err);
+            alert('❌ Error planning isolation: ' + err.message);
+        }
+    }
+
+    pickEdge(network, latlng) {
+        const junctions = new Map(network.junctions.map(j => [j.id, j]));
+        let nearest = null;
+        let minDistance = SEGMENT_PICK_DISTANCE;
+
+        network.edges.forEach(edge => {
+            const from = junctions.get(edge.fromJunctionId);
+            const to = junctions.get(edge.toJunctionId);
+            if (!from || !to) return;
+
+            const point = NetworkTopology.projectOntoSegment(
+                latlng,
+                { lat: from.latitude, lng: from.longitude },
+                { lat: to.latitude, lng: to.longitude }
+            );
+            const dist = NetworkTopology.distanceMeters(latlng, point);
+            if (dist < minDistance) {
+                minDistance = dist;
+                nearest = edge;
+            }
+        });
+
+        return nearest;
+    }
+
+    drawPlan(plan) {
+        this.clearLayers();
+
+        plan.sectionSegments.forEach(segment => {
+            const isTarget = segment.edgeId === plan.edgeId;
+            const line = L.polyline(
+                [[segment.start.lat, segment.start.lng], [segment.end.lat, segment.end.lng]],
+                {
+                    color: isTarget ? '#ef4444' : '#f59e0b',
+                    weight: isTarget ? 10 : 7,
+                    opacity: 0.9,
+                    dashArray: isTarget ? null : '8, 8'
+                }
+            ).addTo(this.map);
+            this.layers.push(line);
+        });
+
+        [...plan.valvesToClose, ...plan.alreadyClosed].forEach(valve => {
+            const ring = L.circleMarker([valve.latitude, valve.longitude], {
+                radius: 22,
+                color: plan.valvesToClose.includes(valve) ? '#ef4444' : '#64748b',
+                weight: 3,
+                fill: false
+            }).addTo(this.map);
+            this.layers.push(ring);
+        });
+    }
+
+    openSidebar(plan) {
+        const sidebar = document.getElementById('isolationSidebar');
+        const content = document.getElementById('isolationSidebarContent');
+        const impact = plan.impact;
+
+        const valveRow = (valve) => `
+            <value>🔧 ${valve.name} <small>(${valve.valveId})</small></value>
+        `;
+
+        content.innerHTML = `
+            <div class="detail-header">
+                <h2>🧰 Isolate for Repair</h2>
+                <div class="status-badge ${plan.isolatable ? 'active' : 'inactive'}">
+                    ${plan.isolatable
+                        ? (plan.valvesToClose.length > 0 ? `${plan.valvesToClose.length} valve(s) to close` : 'Already isolated')
+                        : '⚠️ Cannot isolate with valves'}
+                </div>
+            </div>
+
+            <div class="detail-content">
+                <div class="info-card">
+                    <label>Pipe</label>
+                    <value>${waterFlowSystem.describePipeline(plan.pipelineId)}</value>
+                    <small>Segment ${plan.segmentIndex} • ${plan.sectionSegments.length} segment(s) in the valve-bounded section</small>
+                </div>
+
+                ${!plan.isolatable ? `
+                <div class="info-card">
+                    <label>⚠️ Fed Directly By Tank</label>
+                    <value>${plan.feedingTanks.map(tank => tank.name).join(', ')}</value>
+                    <small>No gate valve sits between this tank and the pipe - stop the tank release instead.</small>
+                </div>
+                ` : ''}
+
+                <div class="info-card">
+                    <label>Valves To Close</label>
+                    ${plan.valvesToClose.length > 0
+                        ? plan.valvesToClose.map(valveRow).join('')
+                        : '<value>None</value>'}
+                </div>
+
+                ${plan.alreadyClosed.length > 0 ? `
+                <div class="info-card">
+                    <label>Already Closed (keep shut)</label>
+                    ${plan.alreadyClosed.map(valveRow).join('')}
+                </div>
+                ` : ''}
+
+                <div class="metrics-grid">
+                    <div class="metric-card">
+                        <div class="metric-icon">🏠</div>
+                        <div class="metric-value">${impact.households}</div>
+                        <div class="metric-label">Households Affected</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-icon">🚱</div>
+                        <div class="metric-value">${impact.drySegments.length}</div>
+                        <div class="metric-label">Segments Go Dry</div>
+                    </div>
+                </div>
+
+                ${impact.affectedValves.length > 0 ? `
+                <div class="info-card">
+                    <label>Supply Lost At</label>
+                    ${impact.affectedValves.map(valve => `
+                        <value>🔧 ${valve.name} - ${valve.households} households${valve.habitation ? ` <small>(${valve.habitation})</small>` : ''}</value>
+                    `).join('')}
+                </div>
+                ` : ''}
+
+                ${impact.habitations.length > 0 ? `
+                <div class="info-card">
+                    <label>📍 Habitations Without Supply</label>
+                    <value>${impact.habitations.join('<br>')}</value>
+                </div>
+                ` : ''}
+
+                ${plan.isolatable && plan.valvesToClose.length > 0 ? `
+                <button class="action-button danger requires-operator" onclick="isolationPlanner.closeValves()">
+                    <i class="fas fa-lock"></i> 🔒 Close ${plan.valvesToClose.length} Valve(s)
+                </button>
+                ` : ''}
+
+                <button class="action-button primary" onclick="isolationPlanner.clear()">
+                    <i class="fas fa-times"></i> Clear Plan
+                </button>
+            </div>
+        `;
+
+        sidebar.classList.add('open');
+    }
+
+    async closeValves() {
+        if (!this.plan || this.plan.valvesToClose.length === 0) return;
+
+        const names = this.plan.valvesToClose.map(valve => valve.name).join(', ');
+        if (!confirm(`🔒 Close ${names}?\n\n${this.plan.impact.households} households will lose supply.`)) {
+            return;
+        }
+
+        try {
+            for (const valve of this.plan.valvesToClose) {
+                const response = await fetch(`http://localhost:3000/api/valve/${valve.valveId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ isOpen: false })
+                });
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(`${valve.name}: ${error.error || 'update failed'}`);
+                }
+
+                valve.isOpen = false;
+                valve.openingPercent = 0;
+                gateValveSystem.refreshValveIcon(valve);
+                console.log(`🔒 Isolation: closed valve ${valve.valveId}`);
+            }
+
+            gateValveSystem.updateValveList();
+            gateValveSystem.updateFlowStatistics();
+            await waterFlowSystem.recalculateAllFlows();
+
+            alert(`✅ Section isolated - ${this.plan.valvesToClose.length} valve(s) closed`);
+            this.clear();
+        } catch (err) {
+            console.error('Error closing isolation valves:', err);
+            alert('❌ Error closing valves: ' + err.message);
+            await gateValveSystem.loadValves();
+            await waterFlowSystem.recalculateAllFlows();
+        }
+    }
+
+    clearLayers() {
+        this.layers.forEach(layer => this.map.removeLayer(layer));
+        this.layers = [];
+    }
+
+    clear() {
+        this.clearLayers();
+        this.plan = null;
+        document.getElementById('isolationSidebar').classList.remove('open');
+    }
+}
+
+const isolationPlanner = new ValveIsolationPlanner(map);
+
+document.getElementById('isolateBtn').addEventListener('click', () => isolationPlanner.toggleMode());
+map.on('click', (e) => isolationPlanner.handleMapClick(e));
+
+function closeIsolationSidebar() {
+    isolationPlanner.clear();
+}
+
+window.closeIsolationSidebar = closeIsolationSidebar;
+window.isolationPlanner = isolationPlanner;